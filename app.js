@@ -2,10 +2,27 @@
   'use strict';
 
   const API_ORDERS = '/api/mediblood/orders';
+  const API_CATALOG = '/api/mediblood/catalog';
+  const API_BLOOD_STOCK = '/api/mediblood/blood-stock';
+  const API_DONORS = '/api/mediblood/donors';
+  const API_AUTH = '/api/mediblood/auth';
+  const API_ACCOUNT = '/api/mediblood/account';
+  const API_DELIVERY = '/api/mediblood/delivery';
+  const API_COUPONS = '/api/mediblood/coupons';
+  const API_DISPATCH = '/api/mediblood/dispatch';
+  const API_RIDER_JOBS = '/api/mediblood/rider/jobs';
+  const API_AUDIT = '/api/mediblood/audit';
   const API_HEALTH = '/api/health';
   const STORAGE_LAST_ORDER = 'medibloodLastOrderIdV1';
   const STORAGE_LOCAL_ORDERS = 'medibloodOrdersV1';
+  const STORAGE_ORDER_ID_MAP = 'medibloodOrderIdMapV1';
+  const STORAGE_CART = 'medibloodCartV1';
   const BACKEND_TIMEOUT_MS = 650;
+  const HEALTH_RECHECK_MS = 20000;
+  const RX_PENDING = 'Pending Rx verification';
+  const TRACK_POLL_MS = 15000;
+  const RX_MAX_BYTES = 5 * 1024 * 1024;
+  const LOW_STOCK_THRESHOLD = 5;
 
   const qs = (sel, root = document) => root.querySelector(sel);
   const qsa = (sel, root = document) => Array.from(root.querySelectorAll(sel));
@@ -53,6 +70,56 @@
     host.textContent = '';
   };
 
+  const clearFieldErrors = (root) => {
+    if (!root) return;
+    qsa('[data-field-error]', root).forEach((el) => el.remove());
+    qsa('[aria-invalid="true"]', root).forEach((el) => el.removeAttribute('aria-invalid'));
+  };
+
+  const showFieldError = (input, message) => {
+    input.setAttribute('aria-invalid', 'true');
+    const msg = document.createElement('div');
+    msg.className = 'field-error';
+    msg.dataset.fieldError = '';
+    msg.textContent = message;
+    const row = input.closest('.cart-item');
+    if (row) row.appendChild(msg);
+    else (input.closest('.coupon-row') || input).insertAdjacentElement('afterend', msg);
+  };
+
+  // Server error keys mirror the order payload (`customer.phone`, `items.0.qty`).
+  // Returns the messages that have no matching input so the caller can list them.
+  const showFieldErrors = (form, errors, items = []) => {
+    const unplaced = [];
+    for (const [key, message] of Object.entries(errors || {})) {
+      let input = null;
+      const itemMatch = key.match(/^items\.(\d+)\./);
+      if (itemMatch) {
+        const sku = items[Number(itemMatch[1])]?.sku;
+        if (sku) input = qs(`[data-cart-qty="${CSS.escape(sku)}"]`);
+      } else {
+        const el = form.elements.namedItem(key.split('.').pop());
+        if (el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || el instanceof HTMLSelectElement) {
+          input = el;
+        }
+      }
+      if (input) showFieldError(input, String(message));
+      else unplaced.push(String(message));
+    }
+    return unplaced;
+  };
+
+  const isClientError = (err) => Boolean(err) && typeof err.status === 'number' && err.status < 500;
+
+  const showSubmitError = (form, resultHost, err, { items, fallback }) => {
+    const errors = err && err.data && err.data.errors;
+    const unplaced = errors ? showFieldErrors(form, errors, items) : [];
+    const list = unplaced.length
+      ? `<ul class="error-list">${unplaced.map((m) => `<li>${escapeHtml(m)}</li>`).join('')}</ul>`
+      : '';
+    showResult(resultHost, { ok: false, html: `${escapeHtml((err && err.message) || fallback)}${list}` });
+  };
+
   const fetchJson = async (url, options) => {
     const res = await fetch(url, options);
     const data = await res.json().catch(() => null);
@@ -93,21 +160,33 @@
     host.hidden = false;
     host.classList.remove('ok', 'bad');
 
+    const { pending, synced, failed } = outboxCounts();
+    const parts = [];
+    if (pending) parts.push(`${pending} offline order(s) waiting to sync`);
+    if (synced) parts.push(`${synced} synced`);
+    if (failed) parts.push(`${failed} could not be synced`);
+    const outbox = parts.length
+      ? `<span class="muted small" style="margin-left: 10px;">${escapeHtml(parts.join(' • '))}</span>`
+      : '';
+
     if (mode === 'online') {
       host.classList.add('ok');
-      host.innerHTML = `Backend connected. Orders are saved on the server.`;
+      host.innerHTML = `Backend connected. Orders are saved on the server.${outbox}`;
       return;
     }
 
     host.classList.add('bad');
     host.innerHTML = `
-      <strong>Offline demo mode:</strong> orders are saved only in this browser.
+      <strong>Offline demo mode:</strong> orders are saved only in this browser and sync when the server is back.
+      ${outbox}
       <span class="muted small" style="margin-left: 10px;">
         To enable the backend, run <code>node server.js</code> and open <code>http://localhost:5173/mediblood/</code>.
       </span>
     `;
   };
 
+  const refreshSystemBanner = () => setSystemBanner(backendAvailable ? 'online' : 'offline');
+
   const checkBackend = async () => {
     if (!canUseBackend()) return false;
     try {
@@ -142,41 +221,171 @@
     return `MB-${ts}-L${rnd}`;
   };
 
+  const makeIdempotencyKey = () => {
+    try {
+      if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+    } catch {
+      // fall through
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+  };
+
   const addLocalOrder = (order) => {
     const orders = loadLocalOrders();
     orders.push(order);
     saveLocalOrders(orders);
+    refreshSystemBanner();
     return order;
   };
 
   const findLocalOrder = (id) => loadLocalOrders().find((o) => o && typeof o === 'object' && o.id === id) || null;
 
-  const listLocalOrders = () =>
-    loadLocalOrders()
-      .slice()
-      .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
-      .slice(0, 200);
+  const updateLocalOrder = (id, patch) => {
+    const orders = loadLocalOrders();
+    const index = orders.findIndex((o) => o && typeof o === 'object' && o.id === id);
+    if (index < 0) return;
+    orders[index] = { ...orders[index], ...patch };
+    saveLocalOrders(orders);
+  };
+
+  const loadOrderIdMap = () => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_ORDER_ID_MAP) || '{}');
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  };
+
+  const rememberSyncedId = (localId, serverId) => {
+    try {
+      localStorage.setItem(STORAGE_ORDER_ID_MAP, JSON.stringify({ ...loadOrderIdMap(), [localId]: serverId }));
+    } catch {
+      // ignore
+    }
+  };
+
+  // Local `MB-…-L…` IDs that have been replayed resolve to the server ID they were given.
+  const resolveOrderId = (id) => loadOrderIdMap()[id] || id;
+
+  const outboxOrders = () => loadLocalOrders().filter((o) => o && o.id && !o.syncedId && !o.syncError);
+
+  const outboxCounts = () => {
+    const orders = loadLocalOrders().filter((o) => o && o.id);
+    return {
+      pending: orders.filter((o) => !o.syncedId && !o.syncError).length,
+      synced: orders.filter((o) => o.syncedId).length,
+      failed: orders.filter((o) => !o.syncedId && o.syncError).length
+    };
+  };
+
+  const toReplayPayload = (local) => ({
+    type: local.type,
+    customer: local.customer,
+    ...(local.type === 'medicine'
+      ? {
+          items: (Array.isArray(local.items) ? local.items : []).map((it) => ({ sku: it.sku, qty: it.qty })),
+          delivery: local.delivery,
+          coupon: local.coupon ? local.coupon.code : ''
+        }
+      : { request: local.request }),
+    note: local.note,
+    language: local.language,
+    localId: local.id,
+    placedOfflineAt: local.createdAt
+  });
+
+  // Once an offline order is on the server, this browser keeps only what its local list needs, not who placed it.
+  const withoutPersonalData = (local) => ({
+    customer: { city: (local.customer && local.customer.city) || '' },
+    note: '',
+    ...(local.request ? { request: { ...local.request, patientName: '' } } : {})
+  });
+
+  const pruneSyncedOrders = () => {
+    const orders = loadLocalOrders();
+    if (!orders.some((o) => o && o.syncedId && o.customer && o.customer.phone)) return;
+    saveLocalOrders(orders.map((o) => (o && o.syncedId ? { ...o, ...withoutPersonalData(o) } : o)));
+  };
 
-  const products = [
+  // Used when the server is unreachable; the live catalog (with stock counts) comes from API_CATALOG.
+  const FALLBACK_PRODUCTS = [
     {
       sku: 'MB-PARA-500',
       name: 'Paracetamol Tablets 500mg (10)',
       price: 2.5,
       tag: 'OTC',
+      category: 'Pain & fever',
+      manufacturer: 'MediBlood Generics',
+      generic: 'Paracetamol',
+      strength: '500 mg',
+      packSize: '10 tablets',
+      dosageForm: 'Tablet',
       desc: 'Pain & fever relief (demo listing).'
     },
+    {
+      sku: 'MB-FEVEX-500',
+      name: 'Feverex 500 Tablets (15)',
+      price: 3.2,
+      tag: 'OTC',
+      category: 'Pain & fever',
+      manufacturer: 'Sunrise Pharma',
+      generic: 'Paracetamol',
+      strength: '500 mg',
+      packSize: '15 tablets',
+      dosageForm: 'Tablet',
+      desc: 'Branded paracetamol for pain & fever (demo listing).'
+    },
+    {
+      sku: 'MB-PARA-SYR',
+      name: 'Paracetamol Syrup 120mg/5ml (60 ml)',
+      price: 4.5,
+      tag: 'OTC',
+      category: 'Pain & fever',
+      manufacturer: 'MediBlood Generics',
+      generic: 'Paracetamol',
+      strength: '120 mg/5 ml',
+      packSize: '60 ml bottle',
+      dosageForm: 'Syrup',
+      desc: 'Paediatric fever relief (demo listing).'
+    },
     {
       sku: 'MB-IBU-200',
       name: 'Ibuprofen Tablets 200mg (10)',
       price: 3.0,
       tag: 'OTC',
+      category: 'Pain & fever',
+      manufacturer: 'MediBlood Generics',
+      generic: 'Ibuprofen',
+      strength: '200 mg',
+      packSize: '10 tablets',
+      dosageForm: 'Tablet',
       desc: 'Anti-inflammatory (demo listing).'
     },
+    {
+      sku: 'MB-IBUFLEX-400',
+      name: 'Ibuflex 400 Tablets (10)',
+      price: 4.0,
+      tag: 'OTC',
+      category: 'Pain & fever',
+      manufacturer: 'Northwind Labs',
+      generic: 'Ibuprofen',
+      strength: '400 mg',
+      packSize: '10 tablets',
+      dosageForm: 'Tablet',
+      desc: 'Higher-strength ibuprofen (demo listing).'
+    },
     {
       sku: 'MB-ORS-200',
       name: 'ORS Sachet (1)',
       price: 1.2,
       tag: 'OTC',
+      category: 'Digestive care',
+      manufacturer: 'MediBlood Generics',
+      generic: 'Oral rehydration salts',
+      strength: '20.5 g',
+      packSize: '1 sachet',
+      dosageForm: 'Powder',
       desc: 'Oral rehydration salts (demo listing).'
     },
     {
@@ -184,6 +393,13 @@
       name: 'Insulin Pen (Demo)',
       price: 18.0,
       tag: 'Prescription',
+      category: 'Diabetes',
+      manufacturer: 'Demo Biologics',
+      generic: 'Insulin glargine',
+      strength: '100 IU/ml',
+      packSize: '3 ml pen',
+      dosageForm: 'Injection',
+      coldChain: 'insulin',
       desc: 'Prescription required in many regions.'
     },
     {
@@ -191,29 +407,187 @@
       name: 'Antibiotic Capsules (Demo)',
       price: 12.0,
       tag: 'Prescription',
+      category: 'Antibiotics',
+      manufacturer: 'Northwind Labs',
+      generic: 'Amoxicillin',
+      strength: '500 mg',
+      packSize: '10 capsules',
+      dosageForm: 'Capsule',
+      desc: 'Prescription required in many regions.'
+    },
+    {
+      sku: 'MB-AMOX-250',
+      name: 'Amoxicillin Capsules 250mg (10)',
+      price: 8.0,
+      tag: 'Prescription',
+      category: 'Antibiotics',
+      manufacturer: 'MediBlood Generics',
+      generic: 'Amoxicillin',
+      strength: '250 mg',
+      packSize: '10 capsules',
+      dosageForm: 'Capsule',
       desc: 'Prescription required in many regions.'
     }
   ];
 
+  let products = FALLBACK_PRODUCTS;
+
+  const loadCatalog = async () => {
+    if (!backendAvailable) return;
+    try {
+      const data = await fetchJson(API_CATALOG, { method: 'GET' });
+      if (Array.isArray(data.products)) products = data.products;
+    } catch {
+      // keep the last known catalog
+    }
+  };
+
+  const hasStockCount = (product) => Boolean(product) && typeof product.stock === 'number';
+
+  const maxQtyFor = (sku) => {
+    const product = products.find((p) => p.sku === sku);
+    return hasStockCount(product) ? Math.max(0, Math.min(99, product.stock)) : 99;
+  };
+
   const cart = new Map();
 
+  // The cart is kept in localStorage so it survives reloads; other tabs pick up changes through the storage event.
+  const saveCart = () => {
+    try {
+      localStorage.setItem(STORAGE_CART, JSON.stringify(Array.from(cart.values())));
+    } catch {
+      // ignore
+    }
+  };
+
+  const loadStoredCart = () => {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_CART) || '[]');
+      return Array.isArray(parsed)
+        ? parsed.filter((it) => it && typeof it === 'object' && it.sku && Number.isInteger(it.qty) && it.qty > 0)
+        : [];
+    } catch {
+      return [];
+    }
+  };
+
+  const replaceCart = (items) => {
+    cart.clear();
+    for (const item of items) cart.set(item.sku, item);
+  };
+
   const cartCount = () => {
     let count = 0;
     for (const item of cart.values()) count += item.qty;
     return count;
   };
 
+  const roundMoney = (value) => Math.round(value * 100) / 100;
+
   const cartTotal = () => {
     let total = 0;
     for (const item of cart.values()) total += item.price * item.qty;
-    return Math.round(total * 100) / 100;
+    return roundMoney(total);
+  };
+
+  // Zone, tax lines and slots for the address in the checkout form; null while offline or not loaded yet.
+  let deliveryQuote = null;
+
+  // The coupon accepted by the server's check, with its rules, so the discount follows cart changes.
+  let appliedCoupon = null;
+
+  const couponDiscount = (subtotal) => {
+    const coupon = appliedCoupon;
+    if (!coupon || subtotal < coupon.minCart) return 0;
+    const anyItem = !coupon.skus.length && !coupon.tags.length;
+    let base = 0;
+    for (const item of cart.values()) {
+      if (item.tag === 'Prescription') continue;
+      if (anyItem || coupon.skus.includes(item.sku) || coupon.tags.includes(item.tag)) base += item.price * item.qty;
+    }
+    base = roundMoney(base);
+    return roundMoney(coupon.type === 'percent' ? (base * coupon.value) / 100 : Math.min(coupon.value, base));
+  };
+
+  // Mirrors the server's pricing so the cart shows what will be charged. The server recomputes it on checkout.
+  const priceCart = () => {
+    const subtotal = cartTotal();
+    const discount = couponDiscount(subtotal);
+    const taxable = roundMoney(subtotal - discount);
+    const zone = deliveryQuote && deliveryQuote.zone;
+    const deliveryFee = zone && subtotal < zone.freeAbove ? zone.fee : 0;
+    const taxes = ((deliveryQuote && deliveryQuote.taxes) || []).map((t) => ({
+      label: t.label,
+      rate: t.rate,
+      amount: roundMoney(taxable * t.rate)
+    }));
+    const total = roundMoney(taxable + deliveryFee + taxes.reduce((sum, t) => sum + t.amount, 0));
+    return { subtotal, discount, deliveryFee, taxes, total };
+  };
+
+  const formatRate = (rate) => `${roundMoney(Number(rate) * 100)}%`;
+
+  const renderCartSummary = () => {
+    const { subtotal, discount, deliveryFee, taxes, total } = priceCart();
+    const zone = deliveryQuote && deliveryQuote.zone;
+    const set = (selector, text) => {
+      const el = qs(selector);
+      if (el) el.textContent = text;
+    };
+    set('[data-cart-subtotal]', formatMoney(subtotal));
+    const discountRow = qs('[data-cart-discount-row]');
+    if (discountRow) discountRow.hidden = !appliedCoupon;
+    set('[data-cart-coupon]', appliedCoupon ? `(${appliedCoupon.code})` : '');
+    set('[data-cart-discount]', `−${formatMoney(discount)}`);
+    const couponStatus = qs('[data-coupon-status]');
+    if (appliedCoupon && couponStatus) {
+      couponStatus.hidden = false;
+      couponStatus.textContent = discount
+        ? `${appliedCoupon.code} applied${appliedCoupon.description ? `: ${appliedCoupon.description}` : ''}.`
+        : `${appliedCoupon.code} does not apply to this cart any more.`;
+    }
+    set('[data-cart-fee]', zone ? (deliveryFee ? formatMoney(deliveryFee) : 'Free') : '—');
+    set('[data-cart-total]', formatMoney(total));
+    const taxHost = qs('[data-cart-taxes]');
+    if (taxHost) {
+      taxHost.innerHTML = taxes
+        .map(
+          (t) => `
+            <div class="cart-row">
+              <span class="muted">${escapeHtml(t.label)} ${escapeHtml(formatRate(t.rate))}</span>
+              <span>${formatMoney(t.amount)}</span>
+            </div>
+          `
+        )
+        .join('');
+    }
+
+    let note = '';
+    if (!backendAvailable) note = 'Delivery fee and tax are added when the order reaches the server.';
+    else if (!zone) note = deliveryQuote ? 'Enter a city or pincode we deliver to.' : '';
+    else if (subtotal > 0 && subtotal < zone.minOrder) {
+      note = `Minimum order for ${zone.name} is ${formatMoney(zone.minOrder)}.`;
+    } else if (deliveryFee) {
+      note = `Free delivery in ${zone.name} on orders of ${formatMoney(zone.freeAbove)} or more.`;
+    }
+    set('[data-cart-delivery-note]', note);
+  };
+
+  const cartNeedsRx = () => Array.from(cart.values()).some((item) => item.tag === 'Prescription');
+
+  const syncRxFields = () => {
+    const fields = qs('[data-rx-fields]');
+    if (!(fields instanceof HTMLFieldSetElement)) return;
+    const needsRx = cartNeedsRx();
+    fields.hidden = !needsRx;
+    fields.disabled = !needsRx;
   };
 
   const updateCartHud = () => {
     const pill = qs('[data-cart-count]');
     if (pill) pill.textContent = String(cartCount());
-    const totalEl = qs('[data-cart-total]');
-    if (totalEl) totalEl.textContent = formatMoney(cartTotal());
+    renderCartSummary();
+    syncRxFields();
   };
 
   const renderCart = () => {
@@ -251,10 +625,11 @@
     qsa('[data-cart-qty]', host).forEach((input) => {
       input.addEventListener('change', () => {
         const sku = input.dataset.cartQty;
-        const qty = Math.max(1, Math.min(99, Number.parseInt(input.value, 10) || 1));
+        const qty = Math.max(1, Math.min(maxQtyFor(sku), Number.parseInt(input.value, 10) || 1));
         input.value = String(qty);
         const existing = cart.get(sku);
         if (existing) cart.set(sku, { ...existing, qty });
+        saveCart();
         updateCartHud();
       });
     });
@@ -263,6 +638,7 @@
       btn.addEventListener('click', () => {
         const sku = btn.dataset.cartRemove;
         cart.delete(sku);
+        saveCart();
         renderCart();
       });
     });
@@ -270,50 +646,275 @@
     updateCartHud();
   };
 
+  const renderCartNotice = (removed, changes) => {
+    const host = qs('[data-cart-notice]');
+    if (!removed.length && !changes.length) {
+      hideResult(host);
+      return;
+    }
+    const list = (title, lines) =>
+      lines.length
+        ? `<div class="small" style="margin-top: 6px;">${escapeHtml(title)}</div>
+           <ul class="small">${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+        : '';
+    showResult(host, {
+      ok: false,
+      html: `
+        <div><strong>Your saved cart has changed. Please review it before checking out.</strong></div>
+        ${list('No longer available (removed from your cart):', removed)}
+        ${list('Updated:', changes)}
+      `
+    });
+  };
+
+  // Checks the saved cart against the catalog just loaded: lines whose SKU is gone or sold out are dropped, prices,
+  // names and quantities are brought in line with the catalog, and the user is told what changed.
+  const restoreCart = () => {
+    const removed = [];
+    const changes = [];
+    const items = [];
+    for (const item of loadStoredCart()) {
+      const product = products.find((p) => p.sku === item.sku);
+      const maxQty = product ? maxQtyFor(item.sku) : 0;
+      if (!product || maxQty <= 0) {
+        removed.push(`${item.name || item.sku}${product ? ' (out of stock)' : ''}`);
+        continue;
+      }
+      if (Number(item.price) !== product.price) {
+        changes.push(`${product.name}: price ${formatMoney(item.price)} → ${formatMoney(product.price)}`);
+      }
+      if (item.qty > maxQty) changes.push(`${product.name}: only ${maxQty} left, quantity reduced`);
+      items.push({
+        sku: product.sku,
+        name: product.name,
+        price: product.price,
+        tag: product.tag,
+        qty: Math.min(item.qty, maxQty)
+      });
+    }
+    replaceCart(items);
+    saveCart();
+    renderCartNotice(removed, changes);
+  };
+
+  const initCartSync = () => {
+    window.addEventListener('storage', (ev) => {
+      if (ev.key !== STORAGE_CART) return;
+      replaceCart(loadStoredCart());
+      renderCart();
+    });
+  };
+
+  const addToCart = (sku, qty) => {
+    const product = products.find((p) => p.sku === sku);
+    if (!product) return;
+    const existing = cart.get(sku);
+    const total = Math.min(maxQtyFor(sku), (existing ? existing.qty : 0) + qty);
+    if (total <= 0) return;
+    cart.set(sku, {
+      sku,
+      name: product.name,
+      price: product.price,
+      tag: product.tag,
+      qty: total
+    });
+    saveCart();
+    renderCart();
+  };
+
+  const CATALOG_SORTS = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    'name-desc': (a, b) => b.name.localeCompare(a.name),
+    price: (a, b) => a.price - b.price || a.name.localeCompare(b.name),
+    'price-desc': (a, b) => b.price - a.price || a.name.localeCompare(b.name)
+  };
+
+  let catalogQuery = { q: '', category: '', tag: '', sort: 'name' };
+  let openProductSku = '';
+
+  // Every word of the search has to appear in the brand or the generic name.
+  const matchesCatalogQuery = (product, query) => {
+    if (query.category && product.category !== query.category) return false;
+    if (query.tag && product.tag !== query.tag) return false;
+    const words = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+    const haystack = `${product.name} ${product.generic || ''}`.toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  };
+
+  const filteredProducts = () =>
+    products
+      .filter((product) => matchesCatalogQuery(product, catalogQuery))
+      .sort(CATALOG_SORTS[catalogQuery.sort] || CATALOG_SORTS.name);
+
+  const sameGeneric = (a, b) => Boolean(a.generic) && a.generic.toLowerCase() === String(b.generic || '').toLowerCase();
+
+  const productSummary = (product) =>
+    [[product.generic, product.strength].filter(Boolean).join(' '), product.dosageForm, product.packSize]
+      .filter(Boolean)
+      .join(' • ');
+
+  const isSoldOut = (product) => hasStockCount(product) && product.stock <= 0;
+
+  const stockBadgeFor = (product) => {
+    if (isSoldOut(product)) return '<span class="badge danger">Out of stock</span>';
+    if (hasStockCount(product) && product.stock <= LOW_STOCK_THRESHOLD) {
+      return `<span class="badge warn">Only ${escapeHtml(String(product.stock))} left</span>`;
+    }
+    return '';
+  };
+
+  const addControls = (product) => {
+    const soldOut = isSoldOut(product);
+    return `
+      <div class="product-actions">
+        <input class="qty" type="number" min="1" max="${Math.max(1, maxQtyFor(product.sku))}" value="1"
+          aria-label="Quantity" data-qty="${escapeHtml(product.sku)}"${soldOut ? ' disabled' : ''} />
+        <button class="primary" type="button" data-add="${escapeHtml(product.sku)}"${soldOut ? ' disabled' : ''}>
+          Add
+        </button>
+      </div>
+    `;
+  };
+
+  const renderProductRow = (product) => `
+    <div class="product">
+      <div>
+        <button class="link product-title" type="button" data-product-open="${escapeHtml(product.sku)}">
+          ${escapeHtml(product.name)}
+        </button>
+        <div class="muted small">${escapeHtml(productSummary(product))}</div>
+        <div class="product-meta">
+          <span class="${product.tag === 'Prescription' ? 'badge danger' : 'badge'}">${escapeHtml(product.tag)}</span>
+          <span class="badge">${formatMoney(product.price)}</span>
+          ${stockBadgeFor(product)}
+        </div>
+        ${product.manufacturer ? `<div class="muted small" style="margin-top: 6px;">${escapeHtml(product.manufacturer)}</div>` : ''}
+      </div>
+      ${addControls(product)}
+    </div>
+  `;
+
+  const renderProductDetail = () => {
+    const host = qs('[data-product-detail]');
+    const product = products.find((p) => p.sku === openProductSku);
+    if (!host || !product) return;
+    const substitutes = products
+      .filter((p) => p.sku !== product.sku && sameGeneric(p, product))
+      .sort(CATALOG_SORTS.price);
+    const facts = [
+      ['Generic / salt', product.generic],
+      ['Strength', product.strength],
+      ['Dosage form', product.dosageForm],
+      ['Pack size', product.packSize],
+      ['Manufacturer', product.manufacturer],
+      ['Category', product.category],
+      ['SKU', product.sku]
+    ].filter(([, value]) => value);
+    host.innerHTML = `
+      <button class="ghost" type="button" data-action="close-product">← Back to catalog</button>
+      <h3 style="margin-top: 12px;">${escapeHtml(product.name)}</h3>
+      <div class="product-meta">
+        <span class="${product.tag === 'Prescription' ? 'badge danger' : 'badge'}">${escapeHtml(product.tag)}</span>
+        <span class="badge">${formatMoney(product.price)}</span>
+        ${stockBadgeFor(product)}
+      </div>
+      <p class="muted small">${escapeHtml(product.desc || '')}</p>
+      <dl class="product-facts">
+        ${facts.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+      </dl>
+      ${addControls(product)}
+      <h3 style="margin-top: 18px;">Substitutes with the same generic</h3>
+      ${
+        substitutes.length
+          ? `<p class="muted small">Check the strength and form with your doctor or pharmacist before switching.</p>
+             <div class="products">${substitutes.map(renderProductRow).join('')}</div>`
+          : '<p class="muted small">No other products with this generic in the catalog.</p>'
+      }
+    `;
+  };
+
+  // Category and type choices come from the catalog itself; a choice that disappears falls back to "All".
+  const renderCatalogOptions = () => {
+    const form = qs('[data-catalog-filters]');
+    if (!(form instanceof HTMLFormElement)) return;
+    for (const [name, field] of [
+      ['category', 'category'],
+      ['tag', 'tag']
+    ]) {
+      const select = form.elements.namedItem(name);
+      if (!(select instanceof HTMLSelectElement)) continue;
+      const values = Array.from(new Set(products.map((p) => p[field]).filter(Boolean))).sort();
+      if (!values.includes(catalogQuery[name])) catalogQuery[name] = '';
+      select.innerHTML = `
+        <option value="">All</option>
+        ${values.map((value) => `<option>${escapeHtml(value)}</option>`).join('')}
+      `;
+      select.value = catalogQuery[name];
+    }
+  };
+
   const renderProducts = () => {
     const host = qs('[data-products]');
     if (!host) return;
-    host.innerHTML = '';
+    renderCatalogOptions();
+    const list = filteredProducts();
+    host.innerHTML = list.length
+      ? list.map(renderProductRow).join('')
+      : '<div class="cart-empty">No medicines match your search.</div>';
+    const count = qs('[data-catalog-count]');
+    if (count) count.textContent = `Showing ${list.length} of ${products.length} medicines`;
+    if (openProductSku) renderProductDetail();
+  };
 
-    for (const product of products) {
-      const row = document.createElement('div');
-      row.className = 'product';
+  // The detail view replaces the list (and its filters) inside the catalog card.
+  const showProductDetail = (sku) => {
+    openProductSku = products.some((p) => p.sku === sku) ? sku : '';
+    const detail = qs('[data-product-detail]');
+    if (detail) detail.hidden = !openProductSku;
+    ['[data-catalog-filters]', '[data-catalog-count]', '[data-products]'].forEach((selector) => {
+      const el = qs(selector);
+      if (el) el.hidden = Boolean(openProductSku);
+    });
+    if (openProductSku) renderProductDetail();
+  };
 
-      const badgeClass = product.tag === 'Prescription' ? 'badge danger' : 'badge';
-      row.innerHTML = `
-        <div>
-          <div class="product-title">${escapeHtml(product.name)}</div>
-          <div class="product-meta">
-            <span class="${badgeClass}">${escapeHtml(product.tag)}</span>
-            <span class="badge">${formatMoney(product.price)}</span>
-          </div>
-          <div class="muted small" style="margin-top: 6px;">${escapeHtml(product.desc)}</div>
-        </div>
-        <div class="product-actions">
-          <input class="qty" type="number" min="1" max="99" value="1" aria-label="Quantity" data-qty="${escapeHtml(
-        product.sku
-      )}" />
-          <button class="primary" type="button" data-add="${escapeHtml(product.sku)}">Add</button>
-        </div>
-      `;
-      host.appendChild(row);
+  const initCatalog = () => {
+    const form = qs('[data-catalog-filters]');
+    if (form instanceof HTMLFormElement) {
+      const apply = () => {
+        catalogQuery = {
+          q: getFormValue(form, 'q').trim(),
+          category: getFormValue(form, 'category'),
+          tag: getFormValue(form, 'tag'),
+          sort: getFormValue(form, 'sort') || 'name'
+        };
+        renderProducts();
+      };
+      form.addEventListener('input', apply);
+      form.addEventListener('change', apply);
+      form.addEventListener('submit', (ev) => ev.preventDefault());
     }
 
-    qsa('[data-add]', host).forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const sku = btn.dataset.add;
-        const product = products.find((p) => p.sku === sku);
-        if (!product) return;
-        const qtyInput = qs(`[data-qty="${CSS.escape(sku)}"]`, host);
-        const qty = Math.max(1, Math.min(99, Number.parseInt(qtyInput?.value, 10) || 1));
-        const existing = cart.get(sku);
-        cart.set(sku, {
-          sku,
-          name: product.name,
-          price: product.price,
-          qty: (existing ? existing.qty : 0) + qty
-        });
-        renderCart();
+    // Product rows are re-rendered on every filter change, so clicks are handled on the containers.
+    ['[data-products]', '[data-product-detail]'].forEach((selector) => {
+      const host = qs(selector);
+      if (!host) return;
+      host.addEventListener('click', (ev) => {
+        const target = ev.target instanceof Element ? ev.target : null;
+        if (!target) return;
+        const add = target.closest('[data-add]');
+        if (add instanceof HTMLElement) {
+          const sku = add.dataset.add || '';
+          const qtyInput = qs(`[data-qty="${CSS.escape(sku)}"]`, add.closest('.product-actions') || host);
+          addToCart(sku, Math.max(1, Math.min(99, Number.parseInt(qtyInput?.value, 10) || 1)));
+          return;
+        }
+        const open = target.closest('[data-product-open]');
+        if (open instanceof HTMLElement) {
+          navigate(routeHash('medicines', open.dataset.productOpen || ''));
+          return;
+        }
+        if (target.closest('[data-action="close-product"]')) navigate(routeHash('medicines'));
       });
     });
   };
@@ -332,16 +933,100 @@
     });
   };
 
+  // Routes live in the URL hash (`#/medicines`, `#/track/MB-…`, `#/admin?status=Placed`) so views can be bookmarked
+  // and shared, and back/forward move between them. The query after `?` carries the admin list state.
+  const ROUTE_VIEWS = ['home', 'medicines', 'blood', 'track', 'account', 'admin'];
+
+  const decodePart = (part) => {
+    try {
+      return decodeURIComponent(part);
+    } catch {
+      return part;
+    }
+  };
+
+  const parseRoute = () => {
+    const [path, search = ''] = window.location.hash.replace(/^#\/?/, '').split('?');
+    const [view, ...rest] = path.split('/').map(decodePart);
+    return {
+      view: ROUTE_VIEWS.includes(view) ? view : 'home',
+      param: rest.join('/'),
+      params: new URLSearchParams(search)
+    };
+  };
+
+  const routeHash = (view, param = '', params = null) => {
+    const query = params && String(params) ? `?${params}` : '';
+    return `#/${view === 'home' ? '' : view}${param ? `/${encodeURIComponent(param)}` : ''}${query}`;
+  };
+
+  // Opens a route as a new history entry; `replace` rewrites the current entry instead.
+  const navigate = (hash, { replace = false } = {}) => {
+    if (replace) {
+      window.history.replaceState(null, '', hash);
+      applyRoute();
+    } else if (window.location.hash === hash) {
+      applyRoute();
+    } else {
+      window.location.hash = hash;
+    }
+  };
+
+  const applyRoute = () => {
+    const { view, param, params } = parseRoute();
+    showView(view);
+    if (view !== 'admin') stopAdminStream();
+    if (view !== 'track') stopTrackWatch();
+    if (view === 'medicines') showProductDetail(param);
+    if (view === 'track' && param) trackOrder(param);
+    if (view === 'admin') {
+      readAdminUrl(params);
+      void refreshAdmin();
+    }
+    if (view === 'account') void refreshAccountView();
+  };
+
+  const trackingLink = (id) => `${window.location.origin}${window.location.pathname}${routeHash('track', id)}`;
+
+  // Uses the system share sheet where there is one, otherwise copies the link.
+  const shareTrackingLink = async (id, btn) => {
+    const url = trackingLink(id);
+    try {
+      if (typeof navigator.share === 'function') {
+        await navigator.share({ title: 'MediBlood order', text: `Track MediBlood order ${id}`, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      btn.textContent = 'Link copied';
+      window.setTimeout(() => (btn.textContent = 'Share tracking link'), 1200);
+    } catch {
+      // ignore (share sheet dismissed or clipboard blocked)
+    }
+  };
+
+  const renderShareLink = (id) => `
+    <div class="muted small" style="margin-top: 8px;">
+      Tracking link: <a href="${escapeHtml(routeHash('track', id))}">${escapeHtml(trackingLink(id))}</a>
+    </div>
+  `;
+
+  const renderUpdatesNotice = (phone) => `
+    <div class="muted small" style="margin-top: 6px;">
+      We will message updates on this order to ${escapeHtml(phone)}.
+    </div>
+  `;
+
+  // Elements with `data-nav` are also rendered into results later, so clicks are handled on the document.
+  // `data-order-id` on a Track button opens that order.
   const initNav = () => {
-    qsa('[data-nav]').forEach((el) => {
-      el.addEventListener('click', (ev) => {
-        ev.preventDefault();
-        const target = el.dataset.nav;
-        if (!target) return;
-        showView(target);
-        if (target === 'admin') refreshAdmin();
-      });
+    document.addEventListener('click', (ev) => {
+      const el = ev.target instanceof Element ? ev.target.closest('[data-nav]') : null;
+      if (!(el instanceof HTMLElement) || !el.dataset.nav) return;
+      ev.preventDefault();
+      const target = el.dataset.nav;
+      navigate(target === 'admin' ? adminHash() : routeHash(target, el.dataset.orderId || ''));
     });
+    window.addEventListener('hashchange', applyRoute);
   };
 
   const getFormValue = (form, name) => {
@@ -377,14 +1062,194 @@
     }
   };
 
+  // Disables the form's submit button while a request is in flight; returns the function that restores it.
+  const lockSubmit = (form, busyLabel) => {
+    const btn = qs('button[type="submit"]', form);
+    if (!(btn instanceof HTMLButtonElement)) return () => {};
+    const label = btn.textContent;
+    btn.disabled = true;
+    btn.setAttribute('aria-busy', 'true');
+    btn.textContent = busyLabel;
+    return () => {
+      btn.disabled = false;
+      btn.removeAttribute('aria-busy');
+      btn.textContent = label;
+    };
+  };
+
+  const readFileAsDataUrl = (file) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(reader.error || new Error('Could not read the prescription file.'));
+      reader.readAsDataURL(file);
+    });
+
+  const readFileAsText = (file) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(reader.error || new Error('Could not read the file.'));
+      reader.readAsText(file);
+    });
+
+  // Returns null when the cart has no prescription items; throws when the chosen file is too large.
+  const collectPrescription = async (form) => {
+    if (!cartNeedsRx()) return null;
+    const fileInput = form.elements.namedItem('rxFile');
+    const file = fileInput instanceof HTMLInputElement && fileInput.files ? fileInput.files[0] : null;
+    if (file && file.size > RX_MAX_BYTES) {
+      const err = new Error('Please fix the highlighted fields.');
+      err.status = 400;
+      err.data = { errors: { 'prescription.rxFile': 'Prescription file must be 5 MB or smaller.' } };
+      throw err;
+    }
+    return {
+      rxFile: file ? { name: file.name, type: file.type, data: await readFileAsDataUrl(file) } : null,
+      prescriberName: getFormValue(form, 'prescriberName'),
+      prescriberRegNo: getFormValue(form, 'prescriberRegNo')
+    };
+  };
+
+  const formatSlotDate = (date) => {
+    const d = new Date(`${date}T00:00:00`);
+    if (Number.isNaN(d.getTime())) return String(date ?? '');
+    return d.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+  };
+
+  const formatSlot = (slot) => `${formatSlotDate(slot.date)} • ${slot.start}–${slot.end}`;
+
+  const renderSlotOptions = (form) => {
+    const select = form.elements.namedItem('slot');
+    if (!(select instanceof HTMLSelectElement)) return;
+    const current = select.value;
+    const slots = (deliveryQuote && deliveryQuote.slots) || [];
+    if (!deliveryQuote) {
+      // Offline orders get the earliest open slot when they reach the server.
+      select.innerHTML = '<option value="">Earliest available (assigned when back online)</option>';
+      select.required = false;
+      return;
+    }
+
+    const byDate = new Map();
+    for (const slot of slots) byDate.set(slot.date, [...(byDate.get(slot.date) || []), slot]);
+    select.required = true;
+    select.innerHTML = `
+      <option value="">Choose a slot…</option>
+      ${Array.from(byDate.entries())
+        .map(
+          ([date, list]) => `
+            <optgroup label="${escapeHtml(formatSlotDate(date))}">
+              ${list
+                .map((slot) => {
+                  let left = '';
+                  if (!slot.available) left = slot.remaining ? ' (closed)' : ' (full)';
+                  else if (slot.remaining <= 3) left = ` (${slot.remaining} left)`;
+                  return `<option value="${escapeHtml(slot.id)}"${slot.available ? '' : ' disabled'}>${escapeHtml(
+                    `${slot.start}–${slot.end}${left}`
+                  )}</option>`;
+                })
+                .join('')}
+            </optgroup>
+          `
+        )
+        .join('')}
+    `;
+    if (slots.some((slot) => slot.id === current && slot.available)) select.value = current;
+  };
+
+  const loadDeliveryQuote = async (form) => {
+    if (backendAvailable) {
+      const params = new URLSearchParams({ city: getFormValue(form, 'city'), pincode: getFormValue(form, 'pincode') });
+      try {
+        deliveryQuote = await fetchJson(`${API_DELIVERY}?${params}`, { method: 'GET' });
+      } catch {
+        deliveryQuote = null;
+      }
+    } else {
+      deliveryQuote = null;
+    }
+    renderSlotOptions(form);
+    updateCartHud();
+  };
+
+  // Checks the typed code against the server and the current cart. Offline, the code is sent with the order and
+  // checked when it syncs.
+  const applyCouponCode = async (form) => {
+    const input = form.elements.namedItem('coupon');
+    const status = qs('[data-coupon-status]');
+    const code = getFormValue(form, 'coupon').trim().toUpperCase();
+    if (input instanceof HTMLInputElement) clearFieldErrors(input.closest('label') || form);
+    appliedCoupon = null;
+    if (status) status.hidden = true;
+    if (code && !backendAvailable && status) {
+      status.hidden = false;
+      status.textContent = 'Coupons are checked when the order reaches the server.';
+    }
+    if (code && backendAvailable) {
+      try {
+        const data = await fetchJson(`${API_COUPONS}/check`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            code,
+            items: Array.from(cart.values()).map((it) => ({ sku: it.sku, qty: it.qty }))
+          })
+        });
+        appliedCoupon = data.coupon;
+      } catch (err) {
+        const message = (err && err.data && err.data.errors && err.data.errors.coupon) || err.message;
+        if (input instanceof HTMLInputElement) showFieldError(input, message || 'Could not check this coupon.');
+      }
+    }
+    updateCartHud();
+  };
+
   const setupCheckout = () => {
     const form = qs('[data-checkout-form]');
     if (!form) return;
     const resultHost = qs('[data-checkout-result]');
 
+    let submitting = false;
+    let submissionKey = '';
+    let quoteTimer = 0;
+
+    // The zone (and so the fee) follows the city and pincode fields.
+    const onAddressChange = (ev) => {
+      const name = ev.target instanceof HTMLInputElement ? ev.target.name : '';
+      if (ev.target !== form && name !== 'city' && name !== 'pincode') return;
+      window.clearTimeout(quoteTimer);
+      quoteTimer = window.setTimeout(() => void loadDeliveryQuote(form), 300);
+    };
+    form.addEventListener('input', onAddressChange);
+    form.addEventListener('change', onAddressChange);
+    void loadDeliveryQuote(form);
+
+    const couponInput = form.elements.namedItem('coupon');
+    if (couponInput instanceof HTMLInputElement) {
+      // Editing the code drops the applied discount until it is checked again.
+      couponInput.addEventListener('input', () => {
+        if (!appliedCoupon) return;
+        appliedCoupon = null;
+        const status = qs('[data-coupon-status]');
+        if (status) status.hidden = true;
+        updateCartHud();
+      });
+      couponInput.addEventListener('keydown', (ev) => {
+        if (ev.key !== 'Enter') return;
+        ev.preventDefault();
+        void applyCouponCode(form);
+      });
+    }
+    const applyBtn = qs('[data-action="apply-coupon"]', form);
+    if (applyBtn) applyBtn.addEventListener('click', () => void applyCouponCode(form));
+
     form.addEventListener('submit', async (ev) => {
       ev.preventDefault();
+      if (submitting) return;
       hideResult(resultHost);
+      clearFieldErrors(form);
+      clearFieldErrors(qs('[data-cart]'));
 
       if (cart.size === 0) {
         showResult(resultHost, { ok: false, html: 'Add at least one item to your cart.' });
@@ -397,52 +1262,109 @@
           name: getFormValue(form, 'name'),
           phone: getFormValue(form, 'phone'),
           address: getFormValue(form, 'address'),
-          city: getFormValue(form, 'city')
+          city: getFormValue(form, 'city'),
+          pincode: getFormValue(form, 'pincode').trim()
         },
         items: Array.from(cart.values()).map((it) => ({ sku: it.sku, name: it.name, price: it.price, qty: it.qty })),
-        note: getFormValue(form, 'note')
+        delivery: { slot: getFormValue(form, 'slot') },
+        coupon: getFormValue(form, 'coupon').trim().toUpperCase(),
+        note: getFormValue(form, 'note'),
+        language: getFormValue(form, 'language')
       };
+      const { discount, ...pricing } = priceCart();
+      // Local copies keep the coupon in the server's shape; an unchecked code shows no discount until it syncs.
+      const localCoupon = order.coupon
+        ? {
+            coupon: {
+              code: order.coupon,
+              description: appliedCoupon ? appliedCoupon.description : '',
+              discount: appliedCoupon ? discount : 0
+            },
+            discount: appliedCoupon ? discount : 0
+          }
+        : {};
 
-      try {
-        let id = '';
-        if (backendAvailable) {
+      if (cartNeedsRx() && !backendAvailable) {
+        showResult(resultHost, {
+          ok: false,
+          html: 'Prescription items can be ordered only while the server is connected, so a pharmacist can verify them.'
+        });
+        return;
+      }
+
+      // One key per submission attempt, reused for retries and for the offline copy, so the server never ends up
+      // with the same order twice.
+      if (!submissionKey) submissionKey = makeIdempotencyKey();
+      const idempotencyKey = submissionKey;
+      submitting = true;
+      const unlock = lockSubmit(form, 'Placing order…');
+
+      try {
+        let id = '';
+        let status = 'Placed';
+        if (backendAvailable) {
+          const prescription = await collectPrescription(form);
+          if (prescription) order.prescription = prescription;
           const data = await fetchJson(API_ORDERS, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
             body: JSON.stringify({ order })
           });
           id = data.orderId || (data.order && data.order.id) || '';
+          status = (data.order && data.order.status) || status;
+          void loadDeliveryQuote(form);
         } else {
           const createdAt = new Date().toISOString();
           const stored = {
             id: makeLocalOrderId(),
+            idempotencyKey,
             createdAt,
             type: 'medicine',
             status: 'Placed',
             customer: order.customer,
             items: order.items,
+            delivery: order.delivery,
             note: order.note,
-            total: order.items.reduce((sum, it) => sum + Number(it.price || 0) * Number(it.qty || 0), 0)
+            language: order.language,
+            ...pricing,
+            ...localCoupon,
+            history: [{ status: 'Placed', at: createdAt, note: '' }]
           };
           addLocalOrder(stored);
           id = stored.id;
         }
 
+        submissionKey = '';
         if (id) saveLastOrderId(id);
 
         cart.clear();
+        saveCart();
+        hideResult(qs('[data-cart-notice]'));
+        appliedCoupon = null;
+        setFormValue(form, 'coupon', '');
+        hideResult(qs('[data-coupon-status]'));
         renderCart();
+        setFormValue(form, 'rxFile', '');
+        if (backendAvailable) void loadCatalog().then(renderProducts);
 
         showResult(resultHost, {
           ok: true,
           html: `
             <div><strong>Order placed!</strong></div>
+            ${
+              status === RX_PENDING
+                ? '<div class="small" style="margin-top: 6px;">A pharmacist will verify your prescription before the order is processed.</div>'
+                : ''
+            }
             <div class="muted small" style="margin-top: 6px;">Your Order ID:</div>
             <div style="margin-top: 8px; display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
               <code style="font-size: 14px;">${escapeHtml(id)}</code>
               <button class="ghost" type="button" data-copy-order-id="${escapeHtml(id)}">Copy</button>
-              <button class="secondary" type="button" data-nav="track">Track</button>
+              <button class="ghost" type="button" data-share-order-id="${escapeHtml(id)}">Share tracking link</button>
+              <button class="secondary" type="button" data-nav="track" data-order-id="${escapeHtml(id)}">Track</button>
             </div>
+            ${renderShareLink(id)}
+            ${findLocalOrder(id) ? '' : renderUpdatesNotice(order.customer.phone)}
           `
         });
 
@@ -459,12 +1381,18 @@
           });
         }
 
+        const shareBtn = qs('[data-share-order-id]', resultHost);
+        if (shareBtn) shareBtn.addEventListener('click', () => void shareTrackingLink(id, shareBtn));
+
         const trackForm = qs('[data-track-form]');
         if (trackForm) setFormValue(trackForm, 'orderId', id);
+        if (customerAccount) void refreshCustomerAccount();
       } catch (err) {
-        // If backend is down, fall back to local storage.
-        if (!backendAvailable) {
-          showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to place order.') });
+        // If backend is down, fall back to local storage. Rejections (validation etc.) are shown as-is, and
+        // prescription orders never go local because nobody could verify them.
+        if (!backendAvailable || isClientError(err) || order.prescription) {
+          showSubmitError(form, resultHost, err, { items: order.items, fallback: 'Failed to place order.' });
+          if (err && err.status === 409) void loadCatalog().then(renderProducts);
           return;
         }
 
@@ -473,17 +1401,28 @@
           const createdAt = new Date().toISOString();
           const stored = {
             id: makeLocalOrderId(),
+            idempotencyKey,
             createdAt,
             type: 'medicine',
             status: 'Placed',
             customer: order.customer,
             items: order.items,
+            delivery: order.delivery,
             note: order.note,
-            total: order.items.reduce((sum, it) => sum + Number(it.price || 0) * Number(it.qty || 0), 0)
+            language: order.language,
+            ...pricing,
+            ...localCoupon,
+            history: [{ status: 'Placed', at: createdAt, note: '' }]
           };
           addLocalOrder(stored);
+          submissionKey = '';
           saveLastOrderId(stored.id);
           cart.clear();
+          saveCart();
+          hideResult(qs('[data-cart-notice]'));
+          appliedCoupon = null;
+          setFormValue(form, 'coupon', '');
+          hideResult(qs('[data-coupon-status]'));
           renderCart();
           showResult(resultHost, {
             ok: true,
@@ -492,7 +1431,9 @@
               <div class="muted small" style="margin-top: 6px;">Your Order ID:</div>
               <div style="margin-top: 8px; display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
                 <code style="font-size: 14px;">${escapeHtml(stored.id)}</code>
-                <button class="secondary" type="button" data-nav="track">Track</button>
+                <button class="secondary" type="button" data-nav="track" data-order-id="${escapeHtml(stored.id)}">
+                  Track
+                </button>
               </div>
             `
           });
@@ -501,6 +1442,9 @@
         } catch (fallbackErr) {
           showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to place order.') });
         }
+      } finally {
+        submitting = false;
+        unlock();
       }
     });
   };
@@ -510,9 +1454,14 @@
     if (!form) return;
     const resultHost = qs('[data-blood-result]');
 
+    let submitting = false;
+    let submissionKey = '';
+
     form.addEventListener('submit', async (ev) => {
       ev.preventDefault();
+      if (submitting) return;
       hideResult(resultHost);
+      clearFieldErrors(form);
 
       const order = {
         type: 'blood',
@@ -529,34 +1478,48 @@
           hospital: getFormValue(form, 'hospital'),
           patientName: getFormValue(form, 'patientName')
         },
-        note: getFormValue(form, 'note')
+        note: getFormValue(form, 'note'),
+        language: getFormValue(form, 'language')
       };
 
+      if (!submissionKey) submissionKey = makeIdempotencyKey();
+      const idempotencyKey = submissionKey;
+      submitting = true;
+      const unlock = lockSubmit(form, 'Submitting…');
+
       try {
         let id = '';
+        let allocation = null;
         if (backendAvailable) {
           const data = await fetchJson(API_ORDERS, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
             body: JSON.stringify({ order })
           });
           id = data.orderId || (data.order && data.order.id) || '';
+          allocation = data.order && data.order.allocation;
         } else {
           const createdAt = new Date().toISOString();
           const stored = {
             id: makeLocalOrderId(),
+            idempotencyKey,
             createdAt,
             type: 'blood',
             status: 'Requested',
             customer: order.customer,
             request: order.request,
-            note: order.note
+            note: order.note,
+            language: order.language,
+            history: [{ status: 'Requested', at: createdAt, note: '' }]
           };
           addLocalOrder(stored);
           id = stored.id;
         }
 
+        submissionKey = '';
         if (id) saveLastOrderId(id);
+        // A request kept only in this browser cannot be opened from a link.
+        const shareable = !findLocalOrder(id);
 
         showResult(resultHost, {
           ok: true,
@@ -566,8 +1529,16 @@
             <div style="margin-top: 8px; display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
               <code style="font-size: 14px;">${escapeHtml(id)}</code>
               <button class="ghost" type="button" data-copy-order-id="${escapeHtml(id)}">Copy</button>
-              <button class="secondary" type="button" data-nav="track">Track</button>
+              ${
+                shareable
+                  ? `<button class="ghost" type="button" data-share-order-id="${escapeHtml(id)}">Share tracking link</button>`
+                  : ''
+              }
+              <button class="secondary" type="button" data-nav="track" data-order-id="${escapeHtml(id)}">Track</button>
             </div>
+            ${shareable ? renderShareLink(id) : ''}
+            ${shareable ? renderUpdatesNotice(order.customer.phone) : ''}
+            ${renderAllocation(allocation)}
           `
         });
 
@@ -584,11 +1555,15 @@
           });
         }
 
+        const shareBtn = qs('[data-share-order-id]', resultHost);
+        if (shareBtn) shareBtn.addEventListener('click', () => void shareTrackingLink(id, shareBtn));
+
         const trackForm = qs('[data-track-form]');
         if (trackForm) setFormValue(trackForm, 'orderId', id);
+        if (customerAccount) void refreshCustomerAccount();
       } catch (err) {
-        if (!backendAvailable) {
-          showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to submit request.') });
+        if (!backendAvailable || isClientError(err)) {
+          showSubmitError(form, resultHost, err, { items: [], fallback: 'Failed to submit request.' });
           return;
         }
 
@@ -597,14 +1572,18 @@
           const createdAt = new Date().toISOString();
           const stored = {
             id: makeLocalOrderId(),
+            idempotencyKey,
             createdAt,
             type: 'blood',
             status: 'Requested',
             customer: order.customer,
             request: order.request,
-            note: order.note
+            note: order.note,
+            language: order.language,
+            history: [{ status: 'Requested', at: createdAt, note: '' }]
           };
           addLocalOrder(stored);
+          submissionKey = '';
           saveLastOrderId(stored.id);
           showResult(resultHost, {
             ok: true,
@@ -613,7 +1592,9 @@
               <div class="muted small" style="margin-top: 6px;">Request ID:</div>
               <div style="margin-top: 8px; display:flex; gap:10px; align-items:center; flex-wrap:wrap;">
                 <code style="font-size: 14px;">${escapeHtml(stored.id)}</code>
-                <button class="secondary" type="button" data-nav="track">Track</button>
+                <button class="secondary" type="button" data-nav="track" data-order-id="${escapeHtml(stored.id)}">
+                  Track
+                </button>
               </div>
             `
           });
@@ -622,10 +1603,336 @@
         } catch (fallbackErr) {
           showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to submit request.') });
         }
+      } finally {
+        submitting = false;
+        unlock();
+      }
+    });
+  };
+
+  const formatDateTime = (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value ?? '');
+    try {
+      return date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+    } catch {
+      return date.toISOString();
+    }
+  };
+
+  const renderTimeline = (order) => {
+    const history =
+      Array.isArray(order.history) && order.history.length
+        ? order.history
+        : [{ status: order.status, at: order.createdAt, note: '' }];
+    const items = history
+      .map(
+        (h, i) => `
+          <li class="timeline-item${i === history.length - 1 ? ' current' : ''}">
+            <div><strong>${escapeHtml(h.status || '')}</strong></div>
+            <div class="muted small">${escapeHtml(formatDateTime(h.at))}</div>
+            ${h.note ? `<div class="small">${escapeHtml(h.note)}</div>` : ''}
+          </li>
+        `
+      )
+      .join('');
+    return `
+      <div style="margin-top: 12px;">
+        <div class="muted small">Status history</div>
+        <ol class="timeline">${items}</ol>
+      </div>
+    `;
+  };
+
+  const NOTIFICATION_EVENTS = {
+    'order-placed': 'Order received',
+    'status-changed': 'Status update',
+    'rx-rejected': 'Prescription not accepted',
+    'out-for-delivery': 'On its way',
+    'blood-matched': 'Blood matched',
+    'emergency-alert': 'Emergency alert to the blood bank'
+  };
+  const CHANNEL_LABELS = { sms: 'SMS', whatsapp: 'WhatsApp', email: 'Email' };
+
+  const describeNotification = (n) => {
+    const what = `${CHANNEL_LABELS[n.channel] || n.channel}: ${NOTIFICATION_EVENTS[n.event] || n.event}`;
+    if (n.status === 'sent') return `${what} • sent ${formatDateTime(n.sentAt)}`;
+    if (n.status === 'failed') return `${what} • not delivered`;
+    return `${what} • ${n.attempts ? `retrying ${formatDateTime(n.nextAttemptAt)}` : 'sending'}`;
+  };
+
+  const renderNotifications = (order) => {
+    const notifications = Array.isArray(order.notifications) ? order.notifications : [];
+    const sent = notifications.filter((n) => n.audience === 'customer');
+    if (!sent.length) return '';
+    const items = sent.map((n) => `<li class="small">${escapeHtml(describeNotification(n))}</li>`).join('');
+    return `
+      <div style="margin-top: 12px;">
+        <div class="muted small">Messages to you</div>
+        <ul class="notification-list">${items}</ul>
+      </div>
+    `;
+  };
+
+  const renderAllocation = (allocation) => {
+    if (!allocation || typeof allocation !== 'object') return '';
+    const lines = Array.isArray(allocation.lines) ? allocation.lines : [];
+    const groups = Array.isArray(allocation.compatibleGroups) ? allocation.compatibleGroups : [];
+    const requested = Number(allocation.allocated || 0) + Number(allocation.shortfall || 0);
+    const lineItems = lines
+      .map(
+        (line) => `
+          <li>
+            ${escapeHtml(String(line.units))} × <strong>${escapeHtml(line.group)}</strong> from
+            ${escapeHtml(line.bankName || line.bankId)} <span class="muted small">(expires ${escapeHtml(line.expiresOn)})</span>
+          </li>
+        `
+      )
+      .join('');
+    let shortfall = '';
+    if (allocation.shortfall > 0) {
+      shortfall = `
+        <div class="notice">
+          <strong>Short by ${escapeHtml(String(allocation.shortfall))} unit(s).</strong>
+          ${allocation.reserveHeld ? 'Some compatible units are held back for emergency requests.' : ''}
+          The blood bank team will look for more donors.
+        </div>
+      `;
+    }
+    return `
+      <div style="margin-top: 12px;">
+        <div class="muted small">Blood allocation</div>
+        <div class="small">Compatible donor groups: ${escapeHtml(groups.join(', ') || '—')}</div>
+        <div class="small">
+          Proposed: <strong>${escapeHtml(String(allocation.allocated || 0))}</strong> of
+          ${escapeHtml(String(requested))} unit(s)${allocation.held === false && lines.length ? ' (released)' : ''}
+        </div>
+        ${lineItems ? `<ul class="alloc-list">${lineItems}</ul>` : ''}
+        ${shortfall}
+      </div>
+    `;
+  };
+
+  const renderPrescription = (order) => {
+    const rx = order.prescription;
+    if (!rx) return '';
+    const review = rx.review;
+    let state = 'Awaiting pharmacist verification';
+    if (review && review.decision === 'approved') state = 'Verified by pharmacist';
+    if (review && review.decision === 'rejected') state = `Rejected: ${review.reason || 'no reason given'}`;
+    return `
+      <div style="margin-top: 12px;">
+        <div class="muted small">Prescription</div>
+        <div>${escapeHtml(rx.prescriberName || '')} • Reg. ${escapeHtml(rx.prescriberRegNo || '')}</div>
+        <div class="muted small">${escapeHtml(rx.fileName || '')} • ${escapeHtml(state)}</div>
+      </div>
+    `;
+  };
+
+  // Codes the customer has already revealed on this page, so live updates do not hide them again.
+  const handoverCodes = new Map();
+
+  const renderDelivery = (order) => {
+    const job = order.assignment;
+    const proof = order.proof;
+    if (proof) {
+      return `
+        <div style="margin-top: 12px;">
+          <div class="muted small">Proof of delivery</div>
+          <div>
+            ${proof.recipientName ? `Received by ${escapeHtml(proof.recipientName)} • ` : 'Delivered '}
+            ${escapeHtml(formatDateTime(proof.deliveredAt))}
+          </div>
+          <div class="muted small">
+            Delivered by ${escapeHtml(proof.riderName || proof.rider || '')}${proof.codeVerified ? ' • handover code verified' : ''}
+          </div>
+          ${
+            proof.signatureFile && !order.masked
+              ? `<img class="signature" src="${API_ORDERS}/${encodeURIComponent(order.id)}/signature"
+                  alt="Signature of ${escapeHtml(proof.recipientName)}" />`
+              : ''
+          }
+        </div>
+      `;
+    }
+    if (!job) return '';
+    const code = handoverCodes.get(order.id);
+    return `
+      <div style="margin-top: 12px;">
+        <div class="muted small">Delivery</div>
+        <div>
+          Rider: ${escapeHtml(job.riderName || job.rider || '')}
+          ${job.pickedUpAt ? ` • on the way since ${escapeHtml(formatDateTime(job.pickedUpAt))}` : ' • assigned'}
+        </div>
+        ${
+          code
+            ? `<div>Handover code: <strong class="handover-code">${escapeHtml(code)}</strong>
+                <span class="muted small">Give it to the rider only when you receive the order.</span></div>`
+            : job.hasCode
+              ? `<button class="secondary small-btn" type="button" data-handover-code="${escapeHtml(order.id)}">
+                  Show handover code
+                </button>`
+              : ''
+        }
+      </div>
+    `;
+  };
+
+  const CHART = { width: 600, height: 170, left: 40, right: 12, top: 12, bottom: 26 };
+
+  // Inline SVG of a cold-chain log: the allowed range as a band, readings as a line, out-of-range readings in red.
+  const renderTemperatureChart = (log) => {
+    const readings = Array.isArray(log.readings) ? log.readings : [];
+    if (!readings.length) return '<div class="muted small">No temperature readings yet.</div>';
+    const { width, height, left, right, top, bottom } = CHART;
+    const times = readings.map((r) => Date.parse(r.at));
+    const temps = readings.map((r) => Number(r.celsius));
+    const t0 = Math.min(...times);
+    const t1 = Math.max(...times);
+    const lo = Math.floor(Math.min(log.min - 2, ...temps));
+    const hi = Math.ceil(Math.max(log.max + 2, ...temps));
+    const x = (t) => (t1 === t0 ? (left + width - right) / 2 : left + ((t - t0) / (t1 - t0)) * (width - left - right));
+    const y = (c) => top + ((hi - c) / (hi - lo)) * (height - top - bottom);
+    const fmt = (n) => n.toFixed(1);
+    const points = readings.map((r, i) => `${fmt(x(times[i]))},${fmt(y(temps[i]))}`).join(' ');
+    const outside = readings
+      .map((r, i) => (temps[i] < log.min || temps[i] > log.max ? [x(times[i]), y(temps[i])] : null))
+      .filter(Boolean)
+      .map(([cx, cy]) => `<circle cx="${fmt(cx)}" cy="${fmt(cy)}" r="3" />`)
+      .join('');
+    const first = formatDateTime(readings[0].at);
+    const last = formatDateTime(readings[readings.length - 1].at);
+    const label =
+      `Temperature from ${first} to ${last}, allowed ${log.min} to ${log.max} °C, ` +
+      `lowest ${Math.min(...temps)} °C, highest ${Math.max(...temps)} °C`;
+    return `
+      <svg class="temp-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">
+        <rect class="temp-band" x="${left}" y="${fmt(y(log.max))}" width="${width - left - right}"
+          height="${fmt(y(log.min) - y(log.max))}" />
+        <text x="${left - 6}" y="${fmt(y(log.max) + 4)}" text-anchor="end">${escapeHtml(String(log.max))}°</text>
+        <text x="${left - 6}" y="${fmt(y(log.min) + 4)}" text-anchor="end">${escapeHtml(String(log.min))}°</text>
+        <polyline class="temp-line" points="${points}" />
+        <g class="temp-out">${outside}</g>
+        <text x="${left}" y="${height - 8}">${escapeHtml(first)}</text>
+        <text x="${width - right}" y="${height - 8}" text-anchor="end">${escapeHtml(last)}</text>
+      </svg>
+    `;
+  };
+
+  const describeExcursion = (e) => {
+    const range = e.low === e.high ? `${e.low} °C` : `${e.low} to ${e.high} °C`;
+    const span = e.start === e.end ? formatDateTime(e.start) : `${formatDateTime(e.start)} – ${formatDateTime(e.end)}`;
+    return `${range} • ${span}`;
+  };
+
+  const renderColdChain = (order) => {
+    const log = order.coldChain;
+    if (!log) return '';
+    const excursions = (Array.isArray(log.excursions) ? log.excursions : [])
+      .map(
+        (e) => `
+          <li>
+            <span class="badge ${e.resolution ? 'warn' : 'danger'}">${e.resolution ? 'Resolved' : 'Excursion'}</span>
+            ${escapeHtml(describeExcursion(e))}
+            ${
+              e.resolution
+                ? `<div class="muted small">
+                    ${escapeHtml(e.resolution.byName || e.resolution.by)}: ${escapeHtml(e.resolution.note)}
+                  </div>`
+                : ''
+            }
+          </li>
+        `
+      )
+      .join('');
+    return `
+      <div style="margin-top: 12px;">
+        <div class="muted small">
+          Cold chain • ${escapeHtml(log.label || '')} • ${escapeHtml(`${log.min}–${log.max} °C`)}
+        </div>
+        ${renderTemperatureChart(log)}
+        ${excursions ? `<ul class="excursions">${excursions}</ul>` : ''}
+      </div>
+    `;
+  };
+
+  const setupDonorForm = () => {
+    const form = qs('[data-donor-form]');
+    if (!form) return;
+    const resultHost = qs('[data-donor-result]');
+
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      hideResult(resultHost);
+      clearFieldErrors(form);
+
+      if (!backendAvailable) {
+        showResult(resultHost, { ok: false, html: 'Donor registration needs the server. Please try again later.' });
+        return;
+      }
+
+      const donor = {
+        name: getFormValue(form, 'name'),
+        phone: getFormValue(form, 'phone'),
+        bloodGroup: getFormValue(form, 'bloodGroup'),
+        city: getFormValue(form, 'city'),
+        lastDonation: getFormValue(form, 'lastDonation')
+      };
+
+      try {
+        const data = await fetchJson(API_DONORS, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ donor })
+        });
+        const saved = data.donor || {};
+        form.reset();
+        showResult(resultHost, {
+          ok: true,
+          html: `
+            <div><strong>Thank you for registering, ${escapeHtml(saved.name || donor.name)}.</strong></div>
+            <div class="muted small" style="margin-top: 6px;">
+              ${
+                saved.eligible === false
+                  ? `You can donate again from ${escapeHtml(saved.eligibleFrom)}.`
+                  : 'You are eligible to donate now.'
+              }
+            </div>
+          `
+        });
+      } catch (err) {
+        if (!isClientError(err)) goOffline();
+        showSubmitError(form, resultHost, err, { items: [], fallback: 'Failed to register.' });
       }
     });
   };
 
+  // Orders placed before fees existed only have a total.
+  const renderCharges = (order) => {
+    const row = (label, value, strong = false) => `
+      <div class="cart-row">
+        <span class="muted">${escapeHtml(label)}</span>
+        ${strong ? `<strong>${value}</strong>` : `<span>${value}</span>`}
+      </div>
+    `;
+    const lines = [];
+    if (typeof order.subtotal === 'number') {
+      lines.push(row('Subtotal', formatMoney(order.subtotal)));
+      if (order.coupon || order.discount) {
+        const label = order.coupon ? `Discount (${order.coupon.code})` : 'Discount';
+        lines.push(row(label, `−${formatMoney(order.discount || 0)}`));
+      }
+      if (typeof order.deliveryFee === 'number') {
+        lines.push(row('Delivery', order.deliveryFee ? formatMoney(order.deliveryFee) : 'Free'));
+      }
+      for (const t of Array.isArray(order.taxes) ? order.taxes : []) {
+        lines.push(row(`${t.label} ${formatRate(t.rate)}`, formatMoney(t.amount)));
+      }
+    }
+    lines.push(row('Total', formatMoney(order.total), true));
+    return `<div class="cart-summary">${lines.join('')}</div>`;
+  };
+
   const renderOrderDetails = (order) => {
     if (!order || typeof order !== 'object') return '<div class="muted">Invalid order.</div>';
 
@@ -643,7 +1950,11 @@
         <div class="muted small">Contact</div>
         <div>${escapeHtml(customer.name || '')} • ${escapeHtml(customer.phone || '')}</div>
         ${customer.address ? `<div class="muted small" style="margin-top: 4px;">${escapeHtml(customer.address)}</div>` : ''}
-        ${customer.city ? `<div class="muted small">${escapeHtml(customer.city)}</div>` : ''}
+        ${
+          customer.city
+            ? `<div class="muted small">${escapeHtml([customer.city, customer.pincode].filter(Boolean).join(' '))}</div>`
+            : ''
+        }
       </div>
     `;
 
@@ -678,11 +1989,18 @@
             <tbody>${itemsHtml || ''}</tbody>
           </table>
         </div>
-        <div style="margin-top: 12px; display:flex; justify-content:space-between; gap:10px;">
-          <span class="muted">Total</span>
-          <strong>${formatMoney(order.total)}</strong>
-        </div>
+        ${renderCharges(order)}
+        ${
+          order.delivery && order.delivery.slot
+            ? `<div style="margin-top: 10px;"><span class="muted small">Delivery slot</span> ${escapeHtml(formatSlot(order.delivery))}</div>`
+            : ''
+        }
+        ${renderPrescription(order)}
+        ${renderColdChain(order)}
+        ${renderDelivery(order)}
         ${order.note ? `<div class="muted small" style="margin-top: 10px;">Note: ${escapeHtml(order.note)}</div>` : ''}
+        ${renderNotifications(order)}
+        ${renderTimeline(order)}
       `;
     }
 
@@ -700,10 +2018,90 @@
           ${req.hospital ? `<div><strong>Hospital:</strong> ${escapeHtml(req.hospital)}</div>` : ''}
         </div>
       </div>
+      ${renderAllocation(order.allocation)}
+      ${renderColdChain(order)}
+      ${renderDelivery(order)}
       ${order.note ? `<div class="muted small" style="margin-top: 10px;">Note: ${escapeHtml(order.note)}</div>` : ''}
+      ${renderNotifications(order)}
+      ${renderTimeline(order)}
     `;
   };
 
+  let trackWatch = null;
+
+  const stopTrackWatch = () => {
+    if (trackWatch) trackWatch.stop();
+    trackWatch = null;
+  };
+
+  let trackMode = '';
+
+  const renderTrackResult = (order, mode) => {
+    trackMode = mode;
+    const updated = new Date().toLocaleTimeString('en-IN', { timeStyle: 'medium' });
+    const how = mode === 'live' ? 'live' : mode === 'polling' ? `checking every ${TRACK_POLL_MS / 1000} s` : '';
+    showResult(qs('[data-track-result]'), {
+      ok: true,
+      html: `
+        ${renderOrderDetails(order)}
+        <div class="muted small track-updated">Last updated ${escapeHtml(updated)}${how ? ` • ${how}` : ''}</div>
+      `
+    });
+    renderTrackManage(order);
+  };
+
+  // Keeps the Track result current while it is open: a Server-Sent Events stream first, polling when the stream
+  // cannot be opened or keeps failing (some proxies cut long-lived responses).
+  const watchOrder = (id) => {
+    stopTrackWatch();
+    let source = null;
+    let timer = 0;
+    let stopped = false;
+    let failures = 0;
+
+    const poll = async () => {
+      try {
+        const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}`, { method: 'GET' });
+        if (!stopped) renderTrackResult(data.order, 'polling');
+      } catch {
+        // Keep the last result on screen and try again on the next tick.
+      }
+      if (!stopped) timer = window.setTimeout(poll, TRACK_POLL_MS);
+    };
+
+    const startPolling = () => {
+      if (source) source.close();
+      source = null;
+      if (!stopped) timer = window.setTimeout(poll, TRACK_POLL_MS);
+    };
+
+    if (typeof window.EventSource === 'function') {
+      source = new EventSource(`${API_ORDERS}/${encodeURIComponent(id)}/events`);
+      source.addEventListener('order', (ev) => {
+        failures = 0;
+        try {
+          renderTrackResult(JSON.parse(ev.data), 'live');
+        } catch {
+          // ignore malformed events
+        }
+      });
+      source.addEventListener('error', () => {
+        failures += 1;
+        if (source && (source.readyState === EventSource.CLOSED || failures >= 3)) startPolling();
+      });
+    } else {
+      startPolling();
+    }
+
+    trackWatch = {
+      stop: () => {
+        stopped = true;
+        if (source) source.close();
+        window.clearTimeout(timer);
+      }
+    };
+  };
+
   const setupTrackForm = () => {
     const form = qs('[data-track-form]');
     if (!form) return;
@@ -712,21 +2110,26 @@
     form.addEventListener('submit', async (ev) => {
       ev.preventDefault();
       hideResult(resultHost);
+      hideTrackManage();
+      stopTrackWatch();
       const id = getFormValue(form, 'orderId').trim();
       if (!id) return;
+      // Keeps the URL on the order shown so it can be bookmarked; pushState does not re-run the route.
+      if (parseRoute().param !== id) window.history.pushState(null, '', routeHash('track', id));
 
       try {
-        let order = null;
-
-        if (backendAvailable) {
-          const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}`, { method: 'GET' });
-          order = data.order;
-        } else {
-          order = findLocalOrder(id);
+        if (!backendAvailable) {
+          const local = findLocalOrder(id);
+          if (!local) throw new Error('Order not found.');
+          showResult(resultHost, { ok: true, html: renderOrderDetails(local) });
+          return;
         }
 
-        if (!order) throw new Error('Order not found.');
-        showResult(resultHost, { ok: true, html: renderOrderDetails(order) });
+        const serverId = resolveOrderId(id);
+        const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(serverId)}`, { method: 'GET' });
+        if (!data.order) throw new Error('Order not found.');
+        renderTrackResult(data.order, typeof window.EventSource === 'function' ? 'live' : 'polling');
+        watchOrder(data.order.id);
       } catch (err) {
         const local = findLocalOrder(id);
         if (local) {
@@ -744,143 +2147,2361 @@
     if (last) setFormValue(form, 'orderId', last);
   };
 
-  const refreshAdmin = async () => {
-    const resultHost = qs('[data-admin-result]');
-    const tableHost = qs('[data-admin-table]');
-    hideResult(resultHost);
-    if (tableHost) tableHost.innerHTML = '';
+  // Fills in and submits the track form, e.g. for a `#/track/MB-…` link.
+  const trackOrder = (id) => {
+    const form = qs('[data-track-form]');
+    if (!(form instanceof HTMLFormElement)) return;
+    setFormValue(form, 'orderId', id);
+    form.requestSubmit();
+  };
 
-    try {
-      let orders = [];
+  // Mirrors the server's windows for customer cancellations and changes; the server has the final say.
+  const CUSTOMER_CANCEL_STATUSES = {
+    medicine: [RX_PENDING, 'Placed', 'Confirmed'],
+    blood: ['Requested', 'Matched']
+  };
+  const CUSTOMER_EDIT_STATUSES = [RX_PENDING, 'Placed', 'Confirmed'];
 
-      if (backendAvailable) {
-        const data = await fetchJson(API_ORDERS, { method: 'GET' });
-        orders = Array.isArray(data.orders) ? data.orders : [];
-      } else {
-        orders = listLocalOrders();
-      }
+  let managedOrder = null;
+  // What the change form opened with: only fields that differ are sent, so the masked view's blanks change nothing.
+  let editStart = {};
+  const EDIT_FIELDS = ['address', 'city', 'pincode', 'note'];
 
-      if (orders.length === 0) {
-        showResult(resultHost, { ok: true, html: 'No orders yet.' });
-        return;
-      }
+  const canCancel = (order) => (CUSTOMER_CANCEL_STATUSES[order.type] || []).includes(order.status);
+  const canEdit = (order) => order.type === 'medicine' && CUSTOMER_EDIT_STATUSES.includes(order.status);
 
-      const rows = orders
-        .map((o) => {
-          const customer = o.customer || {};
-          const summary =
-            o.type === 'medicine'
-              ? `${formatMoney(o.total)} • ${(Array.isArray(o.items) ? o.items.length : 0)} items`
-              : `${escapeHtml(o.request?.bloodType || '')} • ${escapeHtml(String(o.request?.units ?? ''))} units`;
+  const closeTrackForms = () => {
+    qsa('[data-track-cancel-form], [data-track-edit-form]').forEach((form) => {
+      form.hidden = true;
+    });
+  };
 
-          return `
-            <tr>
-              <td><code>${escapeHtml(o.id || '')}</code></td>
-              <td>${escapeHtml(o.type || '')}</td>
-              <td>${escapeHtml(o.status || '')}</td>
-              <td>${escapeHtml(o.createdAt || '')}</td>
-              <td>${escapeHtml(customer.name || '')}<div class="muted small">${escapeHtml(customer.phone || '')}</div></td>
-              <td>${summary}</td>
-            </tr>
-          `;
-        })
-        .join('');
+  const hideTrackManage = () => {
+    managedOrder = null;
+    closeTrackForms();
+    hideResult(qs('[data-track-manage-result]'));
+    const host = qs('[data-track-manage]');
+    if (host) host.hidden = true;
+  };
 
-      if (tableHost) {
-        tableHost.innerHTML = `
-          <table>
-            <thead>
-              <tr>
-                <th>Order ID</th>
-                <th>Type</th>
-                <th>Status</th>
-                <th>Created</th>
-                <th>Contact</th>
-                <th>Summary</th>
-              </tr>
-            </thead>
-            <tbody>${rows}</tbody>
-          </table>
+  // Shows the cancel/change buttons for the tracked order while it is still early enough. Called on every update, so an
+  // open form is closed once staff move the order past the window.
+  const renderTrackManage = (order) => {
+    const host = qs('[data-track-manage]');
+    if (!host) return;
+    managedOrder = order;
+    const cancel = canCancel(order);
+    const edit = canEdit(order);
+    host.hidden = !cancel && !edit;
+    const cancelBtn = qs('[data-action="track-cancel"]', host);
+    const editBtn = qs('[data-action="track-edit"]', host);
+    if (cancelBtn) cancelBtn.hidden = !cancel;
+    if (editBtn) editBtn.hidden = !edit;
+    const cancelForm = qs('[data-track-cancel-form]', host);
+    const editForm = qs('[data-track-edit-form]', host);
+    if (cancelForm && !cancel) cancelForm.hidden = true;
+    if (editForm && !edit) editForm.hidden = true;
+  };
+
+  const renderEditItems = (order) =>
+    (order.items || [])
+      .map((it) => {
+        const product = products.find((p) => p.sku === it.sku);
+        const rx = product && product.tag === 'Prescription';
+        return `
+          <label class="track-edit-item">
+            <span>${escapeHtml(it.name)}${rx ? ' <span class="muted small">(prescription: can only be lowered)</span>' : ''}</span>
+            <input class="qty" type="number" min="0" max="${rx ? it.qty : 99}" value="${it.qty}"
+              data-edit-qty="${escapeHtml(it.sku)}" aria-label="Quantity for ${escapeHtml(it.name)}" />
+          </label>
         `;
+      })
+      .join('');
+
+  const openTrackForm = (kind) => {
+    const order = managedOrder;
+    if (!order) return;
+    closeTrackForms();
+    hideResult(qs('[data-track-manage-result]'));
+    const form = qs(kind === 'cancel' ? '[data-track-cancel-form]' : '[data-track-edit-form]');
+    if (!(form instanceof HTMLFormElement)) return;
+    form.reset();
+    clearFieldErrors(form);
+    if (customerAccount) setFormValue(form, 'phone', customerAccount.phone);
+    if (kind === 'edit') {
+      const customer = order.customer || {};
+      editStart = {
+        address: customer.address || '',
+        city: customer.city || '',
+        pincode: customer.pincode || '',
+        note: order.note || ''
+      };
+      EDIT_FIELDS.forEach((name) => setFormValue(form, name, editStart[name]));
+      // The public view leaves out the address and note; blank fields keep what the order has.
+      ['address', 'note'].forEach((name) => {
+        const el = form.elements.namedItem(name);
+        if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) return;
+        if (name === 'address') el.required = !order.masked;
+        el.placeholder = order.masked ? 'Unchanged. Type here to replace it.' : '';
+      });
+      const items = qs('[data-track-edit-items]', form);
+      if (items) {
+        items.innerHTML = `<div class="muted small">Quantities (0 removes an item)</div>${renderEditItems(order)}`;
       }
+    }
+    form.hidden = false;
+  };
+
+  const submitTrackChange = async (form, kind) => {
+    const order = managedOrder;
+    const resultHost = qs('[data-track-manage-result]');
+    if (!order) return;
+    clearFieldErrors(form);
+    hideResult(resultHost);
+    const edited = Object.fromEntries(
+      EDIT_FIELDS.map((name) => [name, getFormValue(form, name)]).filter(([name, value]) => value !== editStart[name])
+    );
+    const { note, ...customer } = edited;
+    const body =
+      kind === 'cancel'
+        ? { phone: getFormValue(form, 'phone'), reason: getFormValue(form, 'reason') }
+        : {
+            phone: getFormValue(form, 'phone'),
+            customer,
+            ...(note === undefined ? {} : { note }),
+            items: qsa('[data-edit-qty]', form).map((input) => ({ sku: input.dataset.editQty, qty: input.value }))
+          };
+    const unlock = lockSubmit(form, kind === 'cancel' ? 'Cancelling…' : 'Saving…');
+    try {
+      const path = kind === 'cancel' ? 'cancel' : 'changes';
+      const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(order.id)}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      form.hidden = true;
+      renderTrackResult(data.order, trackMode);
+      showResult(resultHost, {
+        ok: true,
+        html: kind === 'cancel' ? 'Your order has been cancelled.' : 'Your changes have been saved.'
+      });
+      if (customerAccount) void refreshCustomerAccount();
     } catch (err) {
-      const fallback = listLocalOrders();
-      if (fallback.length) {
-        if (backendAvailable && err && typeof err.status !== 'number') goOffline();
-        showResult(resultHost, { ok: true, html: 'Showing offline/local orders (admin API unavailable).' });
-        if (tableHost) {
-          const rows = fallback
-            .map((o) => {
-              const customer = o.customer || {};
-              const summary =
-                o.type === 'medicine'
-                  ? `${formatMoney(o.total)} • ${(Array.isArray(o.items) ? o.items.length : 0)} items`
-                  : `${escapeHtml(o.request?.bloodType || '')} • ${escapeHtml(String(o.request?.units ?? ''))} units`;
-              return `
-                <tr>
-                  <td><code>${escapeHtml(o.id || '')}</code></td>
-                  <td>${escapeHtml(o.type || '')}</td>
-                  <td>${escapeHtml(o.status || '')}</td>
-                  <td>${escapeHtml(o.createdAt || '')}</td>
-                  <td>${escapeHtml(customer.name || '')}<div class="muted small">${escapeHtml(customer.phone || '')}</div></td>
-                  <td>${summary}</td>
-                </tr>
-              `;
-            })
-            .join('');
-          tableHost.innerHTML = `
-            <table>
-              <thead>
-                <tr>
-                  <th>Order ID</th>
-                  <th>Type</th>
-                  <th>Status</th>
-                  <th>Created</th>
-                  <th>Contact</th>
-                  <th>Summary</th>
-                </tr>
-              </thead>
-              <tbody>${rows}</tbody>
-            </table>
-          `;
-        }
-        return;
+      showSubmitError(form, resultHost, err, { items: [], fallback: 'Could not update the order.' });
+    } finally {
+      unlock();
+    }
+  };
+
+  // The code is only given to whoever knows the order's phone number (or is signed in with it).
+  const revealHandoverCode = async (btn) => {
+    const id = btn.dataset.handoverCode || '';
+    const phone = customerAccount ? customerAccount.phone : window.prompt('Phone number used for this order?', '');
+    if (!id || phone === null) return;
+    btn.disabled = true;
+    clearFieldErrors(btn.parentElement);
+    try {
+      const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/handover-code`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phone })
+      });
+      handoverCodes.set(id, data.code);
+      btn.outerHTML = `Handover code: <strong class="handover-code">${escapeHtml(data.code)}</strong>`;
+    } catch (err) {
+      btn.disabled = false;
+      showFieldError(btn, err.message || 'Could not load the handover code.');
+    }
+  };
+
+  const setupTrackManage = () => {
+    document.addEventListener('click', (ev) => {
+      const btn = ev.target instanceof Element ? ev.target.closest('[data-handover-code]') : null;
+      if (btn instanceof HTMLButtonElement) void revealHandoverCode(btn);
+    });
+    const host = qs('[data-track-manage]');
+    if (!host) return;
+    host.addEventListener('click', (ev) => {
+      const btn = ev.target instanceof Element ? ev.target.closest('[data-action]') : null;
+      if (!btn) return;
+      if (btn.dataset.action === 'track-cancel') openTrackForm('cancel');
+      else if (btn.dataset.action === 'track-edit') openTrackForm('edit');
+      else if (btn.dataset.action === 'track-close') closeTrackForms();
+    });
+    const cancelForm = qs('[data-track-cancel-form]', host);
+    const editForm = qs('[data-track-edit-form]', host);
+    cancelForm?.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      void submitTrackChange(cancelForm, 'cancel');
+    });
+    editForm?.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      void submitTrackChange(editForm, 'edit');
+    });
+  };
+
+  let customerAccount = null;
+
+  // Saved contacts are stored per order type: medicine ones carry a delivery address, blood ones a hospital.
+  const SAVED_CONTACT_FORMS = [
+    { selector: '[data-checkout-form]', type: 'medicine', place: 'address' },
+    { selector: '[data-blood-form]', type: 'blood', place: 'hospital' }
+  ];
+
+  const contactsFor = (type) => (customerAccount ? customerAccount.contacts.filter((c) => c.type === type) : []);
+
+  const applyContact = (form, place, contact) => {
+    setFormValue(form, 'name', contact.name);
+    setFormValue(form, 'phone', contact.phone);
+    setFormValue(form, place, contact[place]);
+    setFormValue(form, 'city', contact.city);
+    if (place === 'address') setFormValue(form, 'pincode', contact.pincode || '');
+    form.dispatchEvent(new Event('change'));
+  };
+
+  // Fills the contact fields from the most recent saved details, but never over something the customer typed.
+  const renderSavedContacts = () => {
+    for (const { selector, type, place } of SAVED_CONTACT_FORMS) {
+      const form = qs(selector);
+      if (!(form instanceof HTMLFormElement)) continue;
+      const picker = qs('[data-saved-contacts]', form);
+      const select = form.elements.namedItem('savedContact');
+      const contacts = contactsFor(type);
+      if (picker) picker.hidden = contacts.length === 0;
+      if (select instanceof HTMLSelectElement) {
+        select.innerHTML = contacts
+          .map(
+            (c) =>
+              `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} • ${escapeHtml(
+                [c[place], c.city].filter(Boolean).join(', ')
+              )}</option>`
+          )
+          .join('');
       }
 
-      const message =
-        err && err.status === 403
-          ? 'Admin list is available only from the same computer (localhost).'
-          : escapeHtml(err.message || 'Failed to load admin list.');
-      showResult(resultHost, { ok: false, html: message });
+      if (!customerAccount || getFormValue(form, 'name') || getFormValue(form, 'phone')) continue;
+      if (contacts.length) applyContact(form, place, contacts[0]);
+      else {
+        setFormValue(form, 'name', customerAccount.name);
+        setFormValue(form, 'phone', customerAccount.phone);
+      }
     }
   };
 
-  const initActions = () => {
-    qsa('[data-action="clear-cart"]').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        cart.clear();
-        renderCart();
+  const initSavedContacts = () => {
+    for (const { selector, type, place } of SAVED_CONTACT_FORMS) {
+      const form = qs(selector);
+      const select = form ? form.elements.namedItem('savedContact') : null;
+      if (!(select instanceof HTMLSelectElement)) continue;
+      select.addEventListener('change', () => {
+        const contact = contactsFor(type).find((c) => c.id === select.value);
+        if (contact) applyContact(form, place, contact);
       });
-    });
+    }
+  };
 
-    qsa('[data-action="refresh-admin"]').forEach((btn) => {
-      btn.addEventListener('click', refreshAdmin);
-    });
+  const renderAccountOrders = (orders) => {
+    if (!orders.length) return '<p class="muted small">No orders placed with this phone number yet.</p>';
+    const rows = orders
+      .map((o) => {
+        const summary =
+          o.type === 'medicine'
+            ? `${formatMoney(o.total)} • ${(Array.isArray(o.items) ? o.items.length : 0)} items`
+            : `${escapeHtml(o.request?.bloodType || '')} • ${escapeHtml(String(o.request?.units ?? ''))} units`;
+        return `
+          <tr>
+            <td><code>${escapeHtml(o.id || '')}</code></td>
+            <td>${escapeHtml(o.type || '')}</td>
+            <td>${escapeHtml(o.status || '')}</td>
+            <td>${escapeHtml(formatDateTime(o.createdAt))}</td>
+            <td>${summary}</td>
+            <td><button class="secondary small-btn" type="button" data-track-order="${escapeHtml(o.id || '')}">Track</button></td>
+          </tr>
+        `;
+      })
+      .join('');
+    return `
+      <div class="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th>Order ID</th>
+              <th>Type</th>
+              <th>Status</th>
+              <th>Placed</th>
+              <th>Summary</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
   };
 
-  const main = async () => {
-    backendAvailable = await checkBackend();
-    setSystemBanner(backendAvailable ? 'online' : 'offline');
+  const renderAccountContacts = (contacts) =>
+    contacts.length
+      ? `<ul class="alloc-list">${contacts
+          .map(
+            (c) => `
+              <li>
+                ${escapeHtml(c.name)} • ${escapeHtml(c.phone)}
+                <span class="muted small">${escapeHtml([c.address || c.hospital, c.city].filter(Boolean).join(', '))}</span>
+                <button class="ghost danger small-btn" type="button" data-contact-remove="${escapeHtml(c.id)}">Remove</button>
+              </li>
+            `
+          )
+          .join('')}</ul>`
+      : '<p class="muted small">Nothing saved yet. Details are saved when you place an order while signed in.</p>';
 
-    initNav();
-    initActions();
-    renderProducts();
-    renderCart();
-    setupCheckout();
-    setupBloodForm();
-    setupTrackForm();
-    showView('home');
+  const renderAccount = (orders) => {
+    const signedIn = Boolean(customerAccount);
+    const signin = qs('[data-account-signin]');
+    const session = qs('[data-account-session]');
+    const ordersCard = qs('[data-account-orders-card]');
+    const contactsCard = qs('[data-account-contacts-card]');
+    if (signin) signin.hidden = signedIn;
+    if (session) session.hidden = !signedIn;
+    if (ordersCard) ordersCard.hidden = !signedIn;
+    if (contactsCard) contactsCard.hidden = !signedIn;
+    const privacyCard = qs('[data-account-privacy-card]');
+    if (privacyCard) privacyCard.hidden = !signedIn;
+    const who = qs('[data-account-user]');
+    if (who) who.textContent = signedIn ? `${customerAccount.name} • ${customerAccount.phone}` : '';
+    if (!signedIn) return;
+
+    const ordersHost = qs('[data-account-orders]');
+    if (ordersHost && orders) ordersHost.innerHTML = renderAccountOrders(orders);
+    const contactsHost = qs('[data-account-contacts]');
+    if (contactsHost) contactsHost.innerHTML = renderAccountContacts(customerAccount.contacts);
+  };
+
+  const refreshCustomerAccount = async () => {
+    if (!backendAvailable) return;
+    try {
+      const data = await fetchJson(API_ACCOUNT, { method: 'GET' });
+      customerAccount = data.customer;
+    } catch {
+      customerAccount = null;
+    }
+    renderSavedContacts();
+  };
+
+  const refreshAccountView = async () => {
+    const resultHost = qs('[data-account-result]');
+    hideResult(resultHost);
+    if (!backendAvailable) {
+      customerAccount = null;
+      renderAccount(null);
+      showResult(resultHost, { ok: false, html: 'Signing in needs the server, which is unreachable right now.' });
+      return;
+    }
+    await refreshCustomerAccount();
+    if (!customerAccount) {
+      renderAccount(null);
+      return;
+    }
+    try {
+      const data = await fetchJson(`${API_ACCOUNT}/orders`, { method: 'GET' });
+      renderAccount(Array.isArray(data.orders) ? data.orders : []);
+    } catch (err) {
+      renderAccount([]);
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to load your orders.') });
+    }
+  };
+
+  const exportAccountData = async () => {
+    const resultHost = qs('[data-privacy-result]');
+    hideResult(resultHost);
+    try {
+      const res = await fetch(`${API_ACCOUNT}/export`, { method: 'GET' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw new Error((data && data.message) || `Download failed (${res.status})`);
+      }
+      const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+      downloadBlob(await res.blob(), match ? match[1] : 'mediblood-my-data.json');
+    } catch (err) {
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Download failed.') });
+    }
+  };
+
+  const eraseAccount = async (btn) => {
+    const privacyResult = qs('[data-privacy-result]');
+    hideResult(privacyResult);
+    const question =
+      'Erase your account, your blood donor registration and the personal details on your orders? Open orders are ' +
+      'anonymized once they are completed or cancelled. This cannot be undone.';
+    if (!window.confirm(question)) return;
+    btn.disabled = true;
+    try {
+      const data = await fetchJson(`${API_ACCOUNT}/erasure`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ confirm: true })
+      });
+      btn.disabled = false;
+      customerAccount = null;
+      renderAccount(null);
+      renderSavedContacts();
+      const done = Array.isArray(data.anonymized) ? data.anonymized.length : 0;
+      const pending = Array.isArray(data.pending) ? data.pending.length : 0;
+      const now = `${done} order${done === 1 ? ' was' : 's were'} anonymized`;
+      const later = pending ? ` ${pending} open order${pending === 1 ? '' : 's'} will follow when they close.` : '';
+      const donor = Array.isArray(data.donors) && data.donors.length ? ' Your donor registration was removed.' : '';
+      showResult(qs('[data-account-result]'), {
+        ok: true,
+        html: escapeHtml(`Your account was deleted and ${now}.${later}${donor}`)
+      });
+    } catch (err) {
+      btn.disabled = false;
+      showResult(privacyResult, { ok: false, html: escapeHtml(err.message || 'Erasure failed.') });
+    }
+  };
+
+  const setupAccount = () => {
+    const form = qs('[data-otp-form]');
+    const resultHost = qs('[data-account-result]');
+    if (!(form instanceof HTMLFormElement)) return;
+    const restartBtn = qs('[data-action="otp-restart"]', form);
+    const submitBtn = qs('button[type="submit"]', form);
+
+    // Two steps on one form: first ask for a code, then verify it. A new phone number also needs a name.
+    let codeSent = false;
+    let isNew = false;
+
+    const setStep = (sent) => {
+      codeSent = sent;
+      const nameLabel = qs('[data-otp-name]', form);
+      const codeLabel = qs('[data-otp-code]', form);
+      const nameInput = form.elements.namedItem('name');
+      const codeInput = form.elements.namedItem('code');
+      if (nameLabel) nameLabel.hidden = !(sent && isNew);
+      if (codeLabel) codeLabel.hidden = !sent;
+      if (nameInput instanceof HTMLInputElement) {
+        nameInput.disabled = !(sent && isNew);
+        nameInput.required = sent && isNew;
+      }
+      if (codeInput instanceof HTMLInputElement) {
+        codeInput.disabled = !sent;
+        codeInput.required = sent;
+        codeInput.value = '';
+      }
+      const phoneInput = form.elements.namedItem('phone');
+      if (phoneInput instanceof HTMLInputElement) phoneInput.readOnly = sent;
+      if (restartBtn) restartBtn.hidden = !sent;
+      if (submitBtn) submitBtn.textContent = sent ? 'Sign in' : 'Send code';
+    };
+
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      hideResult(resultHost);
+      clearFieldErrors(form);
+      const phone = getFormValue(form, 'phone').trim();
+      const unlock = lockSubmit(form, codeSent ? 'Signing in…' : 'Sending…');
+      try {
+        if (!codeSent) {
+          const data = await fetchJson(`${API_ACCOUNT}/otp`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phone })
+          });
+          isNew = Boolean(data.isNew);
+          unlock();
+          setStep(true);
+          showResult(resultHost, {
+            ok: true,
+            html: `We sent a 6-digit code to <strong>${escapeHtml(phone)}</strong>.`
+          });
+          return;
+        }
+
+        const data = await fetchJson(`${API_ACCOUNT}/verify`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ phone, code: getFormValue(form, 'code').trim(), name: getFormValue(form, 'name') })
+        });
+        customerAccount = data.customer;
+        unlock();
+        form.reset();
+        setStep(false);
+        renderSavedContacts();
+        await refreshAccountView();
+      } catch (err) {
+        unlock();
+        if (submitBtn) submitBtn.textContent = codeSent ? 'Sign in' : 'Send code';
+        showSubmitError(form, resultHost, err, { fallback: 'Sign in failed.' });
+      }
+    });
+
+    if (restartBtn) {
+      restartBtn.addEventListener('click', () => {
+        hideResult(resultHost);
+        clearFieldErrors(form);
+        setStep(false);
+      });
+    }
+
+    qsa('[data-action="account-sign-out"]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        try {
+          await fetchJson(`${API_ACCOUNT}/logout`, { method: 'POST' });
+        } catch {
+          // The cookie expires on its own; the view is reset either way.
+        }
+        customerAccount = null;
+        renderAccount(null);
+        renderSavedContacts();
+      });
+    });
+
+    qsa('[data-action="account-export"]').forEach((btn) => {
+      btn.addEventListener('click', () => void exportAccountData());
+    });
+
+    qsa('[data-action="account-erase"]').forEach((btn) => {
+      btn.addEventListener('click', () => void eraseAccount(btn));
+    });
+
+    const ordersHost = qs('[data-account-orders]');
+    if (ordersHost) {
+      ordersHost.addEventListener('click', (ev) => {
+        const target = ev.target instanceof Element ? ev.target.closest('[data-track-order]') : null;
+        if (!(target instanceof HTMLButtonElement)) return;
+        navigate(routeHash('track', target.dataset.trackOrder || ''));
+      });
+    }
+
+    const contactsHost = qs('[data-account-contacts]');
+    if (contactsHost) {
+      contactsHost.addEventListener('click', async (ev) => {
+        const target = ev.target instanceof Element ? ev.target.closest('[data-contact-remove]') : null;
+        if (!(target instanceof HTMLButtonElement)) return;
+        target.disabled = true;
+        try {
+          const id = encodeURIComponent(target.dataset.contactRemove || '');
+          const data = await fetchJson(`${API_ACCOUNT}/contacts/${id}`, { method: 'DELETE' });
+          customerAccount = data.customer;
+          renderAccount(null);
+          renderSavedContacts();
+        } catch (err) {
+          target.disabled = false;
+          showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to remove saved details.') });
+        }
+      });
+    }
+  };
+
+  const STATUS_ACTION_CLASS = {
+    Cancelled: 'ghost danger',
+    Rejected: 'ghost danger'
+  };
+
+  const SORTABLE_COLUMNS = [
+    ['id', 'Order ID'],
+    ['type', 'Type'],
+    ['status', 'Status'],
+    ['createdAt', 'Created'],
+    ['name', 'Contact']
+  ];
+
+  const renderSortHeader = ([key, label], sort) => {
+    const active = sort && sort.key === key;
+    const aria = active ? ` aria-sort="${sort.dir === 'asc' ? 'ascending' : 'descending'}"` : '';
+    const arrow = active ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th${aria}><button class="sort" type="button" data-sort="${key}">${escapeHtml(label)}${arrow}</button></th>`;
+  };
+
+  // Mirrors the server's masking, for the offline list of this browser's orders.
+  const maskPhone = (phone) => String(phone || '').replace(/\d(?=(?:\D*\d){4})/g, '•');
+  const maskName = (name) => (name ? `${String(name).trim().charAt(0)}•••` : '');
+
+  // Phone numbers and patient names revealed in the admin list, by order ID. The server logs each reveal.
+  const revealedContacts = new Map();
+
+  const revealContact = async (btn) => {
+    const id = btn.dataset.revealOrder || '';
+    if (!backendAvailable) {
+      const local = findLocalOrder(id);
+      if (!local) return;
+      revealedContacts.set(id, {
+        phone: (local.customer && local.customer.phone) || '',
+        patientName: (local.request && local.request.patientName) || ''
+      });
+      renderAdminPage();
+      return;
+    }
+    btn.disabled = true;
+    try {
+      const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/reveal`, { method: 'POST' });
+      revealedContacts.set(id, { phone: data.phone || '', patientName: data.patientName || '' });
+      renderAdminPage();
+    } catch (err) {
+      btn.disabled = false;
+      const message = err.message || 'Failed to show the details.';
+      showResult(qs('[data-admin-result]'), { ok: false, html: escapeHtml(message) });
+    }
+  };
+
+  const renderAdminTable = (orders, sort) => {
+    const rows = orders
+      .map((o) => {
+        const customer = o.customer || {};
+        const revealed = revealedContacts.get(o.id);
+        const phone = revealed ? revealed.phone : o.masked ? customer.phone : maskPhone(customer.phone);
+        const reveal =
+          revealed || !customer.phone
+            ? ''
+            : `<button class="ghost small-btn" type="button" data-reveal-order="${escapeHtml(o.id || '')}">Show</button>`;
+        let summary =
+          o.type === 'medicine'
+            ? `${formatMoney(o.total)} • ${(Array.isArray(o.items) ? o.items.length : 0)} items`
+            : `${escapeHtml(o.request?.bloodType || '')} • ${escapeHtml(String(o.request?.units ?? ''))} units`;
+        if (o.type === 'blood' && o.request?.urgency === 'Emergency') {
+          summary += ' <span class="badge danger">Emergency</span>';
+        }
+        const patient = o.request?.patientName || '';
+        if (patient) {
+          const shown = revealed ? revealed.patientName : o.masked ? patient : maskName(patient);
+          summary += `<div class="muted small">Patient: ${escapeHtml(shown)}</div>`;
+        }
+        const undelivered = Array.isArray(o.notifications) ? o.notifications.filter((n) => n.status === 'failed') : [];
+        if (undelivered.length) {
+          const title = undelivered.map((n) => `${describeNotification(n)}: ${n.error}`).join('\n');
+          const label = `${undelivered.length} message${undelivered.length === 1 ? '' : 's'} not delivered`;
+          summary += ` <span class="badge danger" title="${escapeHtml(title)}">${label}</span>`;
+        }
+        const openExcursions = o.coldChain ? (o.coldChain.excursions || []).filter((e) => !e.resolution).length : 0;
+        if (openExcursions) {
+          const label = `${openExcursions} temperature excursion${openExcursions === 1 ? '' : 's'}`;
+          summary += ` <span class="badge danger">${label}</span>`;
+        }
+        if (o.allocation) {
+          const short = Number(o.allocation.shortfall || 0);
+          summary += `
+            <div class="muted small">
+              Allocated ${escapeHtml(String(o.allocation.allocated || 0))}${short > 0 ? ` • short ${escapeHtml(String(short))}` : ''}
+            </div>
+          `;
+        }
+        const rxReview =
+          o.status === RX_PENDING && o.prescription
+            ? `<button class="primary small-btn" type="button" data-rx-review="${escapeHtml(o.id || '')}">Review Rx</button>`
+            : '';
+        const donorCallout = o.needsDonors
+          ? `<button class="primary small-btn" type="button" data-donor-callout="${escapeHtml(o.id || '')}">Donors</button>`
+          : '';
+        const coldChain = o.needsColdChain
+          ? `<button class="secondary small-btn" type="button" data-cold-chain="${escapeHtml(o.id || '')}">Temperature</button>`
+          : '';
+        const actions = (Array.isArray(o.nextStatuses) ? o.nextStatuses : [])
+          .map(
+            (status) => `
+              <button class="${STATUS_ACTION_CLASS[status] || 'secondary'} small-btn" type="button"
+                data-status-order="${escapeHtml(o.id || '')}" data-status-to="${escapeHtml(status)}">${escapeHtml(status)}</button>
+            `
+          )
+          .join('');
+
+        return `
+          <tr${o.isNew ? ' class="is-new"' : ''}>
+            <td>
+              <code>${escapeHtml(o.id || '')}</code>
+              ${o.syncedId ? `<div class="muted small">synced as ${escapeHtml(o.syncedId)}</div>` : ''}
+              ${o.syncError ? `<div class="muted small">sync failed: ${escapeHtml(o.syncError)}</div>` : ''}
+            </td>
+            <td>${escapeHtml(o.type || '')}</td>
+            <td>${escapeHtml(o.status || '')}</td>
+            <td>${escapeHtml(o.createdAt || '')}</td>
+            <td>
+              ${escapeHtml(customer.name || '')}
+              <div class="muted small">${escapeHtml(phone)} ${reveal}</div>
+            </td>
+            <td>${summary}</td>
+            <td><div class="row-actions">${rxReview + donorCallout + coldChain + actions || '<span class="muted small">—</span>'}</div></td>
+          </tr>
+        `;
+      })
+      .join('');
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            ${SORTABLE_COLUMNS.map((col) => renderSortHeader(col, sort)).join('')}
+            <th>Summary</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  };
+
+  let adminOrders = [];
+
+  const renderBloodStock = (banks, reserveUnits) => {
+    const groups = banks.length ? banks[0].groups.map((g) => g.group) : [];
+    const rows = banks
+      .map(
+        (bank) => `
+          <tr>
+            <td>${escapeHtml(bank.name)}<div class="muted small">${escapeHtml(bank.city || '')}</div></td>
+            ${bank.groups
+              .map(
+                (g) => `
+                  <td class="${g.units <= reserveUnits ? 'low' : ''}">
+                    <strong>${escapeHtml(String(g.units))}</strong>
+                    ${g.nextExpiry ? `<div class="muted small">exp ${escapeHtml(g.nextExpiry)}</div>` : ''}
+                  </td>
+                `
+              )
+              .join('')}
+          </tr>
+        `
+      )
+      .join('');
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Blood bank</th>
+            ${groups.map((g) => `<th>${escapeHtml(g)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  };
+
+  const refreshBloodStock = async () => {
+    const host = qs('[data-blood-stock]');
+    if (!host) return;
+    try {
+      const data = await fetchJson(API_BLOOD_STOCK, { method: 'GET' });
+      host.innerHTML = renderBloodStock(Array.isArray(data.banks) ? data.banks : [], Number(data.reserveUnits) || 0);
+    } catch (err) {
+      host.innerHTML = `<p class="muted small">${escapeHtml(err.message || 'Failed to load blood stock.')}</p>`;
+    }
+  };
+
+  let adminCoupons = [];
+
+  const describeCoupon = (coupon) =>
+    coupon.type === 'percent' ? `${coupon.value}% off` : `${formatMoney(coupon.value)} off`;
+
+  const localIsoDate = () => {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+  };
+
+  const renderCoupons = (list) => {
+    if (!list.length) return '<p class="muted small">No coupons yet. Create one below.</p>';
+    const today = localIsoDate();
+    const rows = list
+      .map((c) => {
+        const scope = [...c.skus, ...c.tags].join(', ') || 'All non-prescription items';
+        let state = '<span class="badge">Active</span>';
+        if (!c.active) state = '<span class="badge warn">Inactive</span>';
+        else if (c.expiresAt && c.expiresAt < today) state = '<span class="badge danger">Expired</span>';
+        return `
+          <tr>
+            <td><strong>${escapeHtml(c.code)}</strong><div class="muted small">${escapeHtml(c.description || '')}</div></td>
+            <td>${escapeHtml(describeCoupon(c))}</td>
+            <td>${escapeHtml(scope)}</td>
+            <td>${c.minCart ? formatMoney(c.minCart) : '—'}</td>
+            <td>${escapeHtml(c.expiresAt || 'Never')}</td>
+            <td>${c.perCustomer ? escapeHtml(String(c.perCustomer)) : 'No limit'}</td>
+            <td>${escapeHtml(String(c.uses || 0))}</td>
+            <td>${state}</td>
+            <td>
+              <div class="row-actions">
+                <button class="secondary small-btn" type="button" data-coupon-edit="${escapeHtml(c.code)}">Edit</button>
+                <button class="ghost small-btn" type="button" data-coupon-toggle="${escapeHtml(c.code)}">
+                  ${c.active ? 'Deactivate' : 'Activate'}
+                </button>
+              </div>
+            </td>
+          </tr>
+        `;
+      })
+      .join('');
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Code</th>
+            <th>Discount</th>
+            <th>Applies to</th>
+            <th>Min cart</th>
+            <th>Expires</th>
+            <th>Per customer</th>
+            <th>Uses</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  };
+
+  const refreshCoupons = async () => {
+    const host = qs('[data-coupons]');
+    if (!host) return;
+    try {
+      const data = await fetchJson(API_COUPONS, { method: 'GET' });
+      adminCoupons = Array.isArray(data.coupons) ? data.coupons : [];
+      host.innerHTML = renderCoupons(adminCoupons);
+    } catch (err) {
+      host.innerHTML = `<p class="muted small">${escapeHtml(err.message || 'Failed to load coupons.')}</p>`;
+    }
+  };
+
+  // Empty `coupon` resets the form for a new code; otherwise it edits that coupon (the code itself stays fixed).
+  const fillCouponForm = (form, coupon) => {
+    form.reset();
+    clearFieldErrors(form);
+    form.dataset.editing = coupon ? coupon.code : '';
+    const title = qs('[data-coupon-form-title]', form);
+    if (title) title.textContent = coupon ? `Edit ${coupon.code}` : 'New coupon';
+    const code = form.elements.namedItem('code');
+    if (code instanceof HTMLInputElement) code.readOnly = Boolean(coupon);
+    if (!coupon) return;
+    for (const name of ['code', 'description', 'type', 'value', 'expiresAt']) setFormValue(form, name, coupon[name]);
+    setFormValue(form, 'minCart', coupon.minCart || '');
+    setFormValue(form, 'perCustomer', coupon.perCustomer || '');
+    setFormValue(form, 'skus', coupon.skus.join(', '));
+    setFormValue(form, 'tags', coupon.tags.join(', '));
+    const active = form.elements.namedItem('active');
+    if (active instanceof HTMLInputElement) active.checked = coupon.active;
+  };
+
+  const saveCoupon = (code, coupon) =>
+    fetchJson(code ? `${API_COUPONS}/${encodeURIComponent(code)}` : API_COUPONS, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ coupon })
+    });
+
+  const setupCouponAdmin = () => {
+    const form = qs('[data-coupon-form]');
+    const host = qs('[data-coupons]');
+    if (!(form instanceof HTMLFormElement)) return;
+    const resultHost = qs('[data-coupon-result]');
+
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      hideResult(resultHost);
+      clearFieldErrors(form);
+      const editing = form.dataset.editing || '';
+      const active = form.elements.namedItem('active');
+      const coupon = {
+        code: getFormValue(form, 'code').trim().toUpperCase(),
+        description: getFormValue(form, 'description'),
+        type: getFormValue(form, 'type'),
+        value: getFormValue(form, 'value'),
+        minCart: getFormValue(form, 'minCart'),
+        skus: getFormValue(form, 'skus'),
+        tags: getFormValue(form, 'tags'),
+        expiresAt: getFormValue(form, 'expiresAt'),
+        perCustomer: getFormValue(form, 'perCustomer'),
+        active: !(active instanceof HTMLInputElement) || active.checked
+      };
+      const unlock = lockSubmit(form, 'Saving…');
+      try {
+        const data = await saveCoupon(editing, coupon);
+        fillCouponForm(form, null);
+        showResult(resultHost, { ok: true, html: `Saved coupon ${escapeHtml(data.coupon.code)}.` });
+        await refreshCoupons();
+      } catch (err) {
+        showSubmitError(form, resultHost, err, { items: [], fallback: 'Failed to save the coupon.' });
+      } finally {
+        unlock();
+      }
+    });
+
+    const reset = qs('[data-action="new-coupon"]', form);
+    if (reset) {
+      reset.addEventListener('click', () => {
+        hideResult(resultHost);
+        fillCouponForm(form, null);
+      });
+    }
+
+    if (!host) return;
+    host.addEventListener('click', async (ev) => {
+      const target = ev.target instanceof Element ? ev.target.closest('[data-coupon-edit],[data-coupon-toggle]') : null;
+      if (!(target instanceof HTMLElement)) return;
+      const code = target.dataset.couponEdit || target.dataset.couponToggle || '';
+      const coupon = adminCoupons.find((c) => c.code === code);
+      if (!coupon) return;
+      hideResult(resultHost);
+      if (target.dataset.couponEdit) {
+        fillCouponForm(form, coupon);
+        return;
+      }
+      target.setAttribute('disabled', '');
+      try {
+        await saveCoupon(code, { ...coupon, active: !coupon.active });
+        await refreshCoupons();
+      } catch (err) {
+        showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to update the coupon.') });
+        target.removeAttribute('disabled');
+      }
+    });
+  };
+
+  let dispatchRiders = [];
+
+  const pickupPoint = (o) => {
+    if (o.type !== 'blood') return 'Pharmacy';
+    const banks = [...new Set(((o.allocation && o.allocation.lines) || []).map((line) => line.bankName))];
+    return banks.join(', ') || 'Blood bank';
+  };
+
+  const dropAddress = (o) => {
+    const c = o.customer || {};
+    const place = o.type === 'blood' ? (o.request && o.request.hospital) || '' : c.address || '';
+    return [place, [c.city, c.pincode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  };
+
+  const jobSummary = (o) => {
+    if (o.type !== 'blood') {
+      const slot = o.delivery && o.delivery.slot ? ` • ${formatSlot(o.delivery)}` : '';
+      return `${(Array.isArray(o.items) ? o.items.length : 0)} items${escapeHtml(slot)}`;
+    }
+    const req = o.request || {};
+    const badge = req.urgency === 'Emergency' ? ' <span class="badge danger">Emergency</span>' : '';
+    return `${escapeHtml(String(req.units ?? ''))} units ${escapeHtml(req.bloodType || '')}${badge}`;
+  };
+
+  // A rider can be picked (or changed) until the pickup; after that the cell shows who has it.
+  const renderRiderPicker = (o) => {
+    const job = o.assignment;
+    const id = escapeHtml(o.id || '');
+    if (job && job.pickedUpAt) {
+      return `${escapeHtml(job.riderName || job.rider)}
+        <div class="muted small">picked up ${escapeHtml(formatDateTime(job.pickedUpAt))}</div>`;
+    }
+    if (o.status !== 'Packed' && o.status !== 'Dispatched') return '<span class="muted small">—</span>';
+    const options = dispatchRiders
+      .map(
+        (r) => `
+          <option value="${escapeHtml(r.username)}"${job && job.rider === r.username ? ' selected' : ''}>
+            ${escapeHtml(r.name)} (${escapeHtml(String(r.activeJobs))} active)
+          </option>
+        `
+      )
+      .join('');
+    return `
+      <div class="row-actions">
+        <select data-assign-rider="${id}" aria-label="Rider for ${id}">
+          <option value="">Choose a rider</option>
+          ${options}
+        </select>
+        <button class="primary small-btn" type="button" data-assign-order="${id}">${job ? 'Reassign' : 'Assign'}</button>
+      </div>
+    `;
+  };
+
+  const renderDispatch = (list) => {
+    if (!list.length) return '<p class="muted small">Nothing is waiting for a rider.</p>';
+    const rows = list
+      .map(
+        (o) => `
+          <tr>
+            <td><code>${escapeHtml(o.id || '')}</code></td>
+            <td>${escapeHtml(o.type || '')}<div class="muted small">${escapeHtml(o.status || '')}</div></td>
+            <td>${escapeHtml(pickupPoint(o))}</td>
+            <td>${escapeHtml((o.customer && o.customer.name) || '')}<div class="muted small">${escapeHtml(dropAddress(o))}</div></td>
+            <td>${jobSummary(o)}</td>
+            <td>${renderRiderPicker(o)}</td>
+          </tr>
+        `
+      )
+      .join('');
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Order ID</th>
+            <th>Type</th>
+            <th>Pickup</th>
+            <th>Drop</th>
+            <th>Summary</th>
+            <th>Rider</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  };
+
+  const refreshDispatch = async () => {
+    const host = qs('[data-dispatch]');
+    if (!host) return;
+    try {
+      const data = await fetchJson(API_DISPATCH, { method: 'GET' });
+      dispatchRiders = Array.isArray(data.riders) ? data.riders : [];
+      const note = dispatchRiders.length
+        ? ''
+        : '<p class="muted small">No riders yet. Create one with <code>node server.js add-user &lt;name&gt; rider</code>.</p>';
+      host.innerHTML = note + renderDispatch(Array.isArray(data.orders) ? data.orders : []);
+    } catch (err) {
+      host.innerHTML = `<p class="muted small">${escapeHtml(err.message || 'Failed to load deliveries.')}</p>`;
+    }
+  };
+
+  const setupDispatch = () => {
+    const host = qs('[data-dispatch]');
+    if (!host) return;
+    host.addEventListener('click', async (ev) => {
+      const btn = ev.target instanceof Element ? ev.target.closest('[data-assign-order]') : null;
+      if (!(btn instanceof HTMLButtonElement)) return;
+      const resultHost = qs('[data-admin-result]');
+      const id = btn.dataset.assignOrder || '';
+      const select = qs(`[data-assign-rider="${CSS.escape(id)}"]`, host);
+      const rider = select instanceof HTMLSelectElement ? select.value : '';
+      hideResult(resultHost);
+      if (!rider) {
+        showResult(resultHost, { ok: false, html: 'Choose a rider first.' });
+        return;
+      }
+      btn.disabled = true;
+      try {
+        const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/assign`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ rider })
+        });
+        await refreshDispatch();
+        const name = data.order.assignment.riderName;
+        showResult(resultHost, { ok: true, html: `${escapeHtml(id)} assigned to <strong>${escapeHtml(name)}</strong>.` });
+      } catch (err) {
+        btn.disabled = false;
+        showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to assign the rider.') });
+      }
+    });
+  };
+
+  let riderJobs = [];
+  let signaturePad = null;
+
+  const renderRiderJobs = (jobs) => {
+    if (!jobs.length) return '<p class="muted small">No deliveries are assigned to you right now.</p>';
+    return jobs
+      .map((o) => {
+        const c = o.customer || {};
+        const id = escapeHtml(o.id || '');
+        const action =
+          o.assignment && o.assignment.pickedUpAt
+            ? `<button class="primary" type="button" data-job-deliver="${id}">Hand over</button>`
+            : `<button class="primary" type="button" data-job-pickup="${id}">Picked up</button>`;
+        return `
+          <article class="job-card">
+            <div><code>${id}</code> <span class="muted small">${escapeHtml(o.type || '')} • ${escapeHtml(o.status || '')}</span></div>
+            <div><span class="muted small">Pickup</span> ${escapeHtml(pickupPoint(o))}</div>
+            <div>
+              <span class="muted small">Drop</span> ${escapeHtml(c.name || '')} •
+              <a href="tel:${escapeHtml(c.phone || '')}">${escapeHtml(c.phone || '')}</a>
+              <div>${escapeHtml(dropAddress(o))}</div>
+            </div>
+            <div class="muted small">${jobSummary(o)}</div>
+            ${o.note ? `<div class="muted small">Note: ${escapeHtml(o.note)}</div>` : ''}
+            <div class="row-actions">${action}</div>
+          </article>
+        `;
+      })
+      .join('');
+  };
+
+  const closeProofForm = () => {
+    const form = qs('[data-proof-form]');
+    if (!(form instanceof HTMLFormElement)) return;
+    form.hidden = true;
+    form.dataset.order = '';
+  };
+
+  const refreshRiderJobs = async () => {
+    const host = qs('[data-rider-jobs]');
+    if (!host) return;
+    try {
+      const data = await fetchJson(API_RIDER_JOBS, { method: 'GET' });
+      riderJobs = Array.isArray(data.orders) ? data.orders : [];
+      host.innerHTML = renderRiderJobs(riderJobs);
+      const form = qs('[data-proof-form]');
+      if (form && !riderJobs.some((o) => o.id === form.dataset.order)) closeProofForm();
+    } catch (err) {
+      host.innerHTML = `<p class="muted small">${escapeHtml(err.message || 'Failed to load your deliveries.')}</p>`;
+    }
+  };
+
+  // Draws with a finger, pen or mouse on a white background, so the saved PNG looks the same in any theme.
+  const createSignaturePad = (canvas) => {
+    const ctx = canvas.getContext('2d');
+    let drawing = false;
+    let signed = false;
+
+    const clear = () => {
+      signed = false;
+      if (!ctx) return;
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    };
+
+    const point = (ev) => {
+      const rect = canvas.getBoundingClientRect();
+      const x = ((ev.clientX - rect.left) * canvas.width) / (rect.width || canvas.width);
+      const y = ((ev.clientY - rect.top) * canvas.height) / (rect.height || canvas.height);
+      return [x, y];
+    };
+
+    canvas.addEventListener('pointerdown', (ev) => {
+      if (!ctx) return;
+      drawing = true;
+      if (canvas.setPointerCapture) canvas.setPointerCapture(ev.pointerId);
+      ctx.beginPath();
+      ctx.moveTo(...point(ev));
+    });
+    canvas.addEventListener('pointermove', (ev) => {
+      if (!drawing) return;
+      ctx.lineWidth = 3;
+      ctx.lineCap = 'round';
+      ctx.strokeStyle = '#111';
+      ctx.lineTo(...point(ev));
+      ctx.stroke();
+      signed = true;
+    });
+    const stop = () => {
+      drawing = false;
+    };
+    canvas.addEventListener('pointerup', stop);
+    canvas.addEventListener('pointercancel', stop);
+    clear();
+
+    return { clear, toDataUrl: () => (signed ? canvas.toDataURL('image/png') : '') };
+  };
+
+  const openProofForm = (id) => {
+    const form = qs('[data-proof-form]');
+    if (!(form instanceof HTMLFormElement)) return;
+    form.reset();
+    clearFieldErrors(form);
+    hideResult(qs('[data-proof-result]'));
+    form.dataset.order = id;
+    const title = qs('[data-proof-title]', form);
+    if (title) title.textContent = `Proof of delivery for ${id}`;
+    if (signaturePad) signaturePad.clear();
+    form.hidden = false;
+  };
+
+  const setupRiderJobs = () => {
+    const host = qs('[data-rider-jobs]');
+    const form = qs('[data-proof-form]');
+    if (!host || !(form instanceof HTMLFormElement)) return;
+    const canvas = qs('[data-signature-pad]', form);
+    if (canvas instanceof HTMLCanvasElement) signaturePad = createSignaturePad(canvas);
+    const proofResult = qs('[data-proof-result]');
+
+    host.addEventListener('click', async (ev) => {
+      const target = ev.target instanceof Element ? ev.target : null;
+      const deliver = target ? target.closest('[data-job-deliver]') : null;
+      if (deliver instanceof HTMLButtonElement) {
+        openProofForm(deliver.dataset.jobDeliver || '');
+        return;
+      }
+      const pickup = target ? target.closest('[data-job-pickup]') : null;
+      if (!(pickup instanceof HTMLButtonElement)) return;
+      const resultHost = qs('[data-admin-result]');
+      hideResult(resultHost);
+      pickup.disabled = true;
+      try {
+        const id = pickup.dataset.jobPickup || '';
+        await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/pickup`, { method: 'POST' });
+        await refreshRiderJobs();
+      } catch (err) {
+        pickup.disabled = false;
+        showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to mark the pickup.') });
+      }
+    });
+
+    form.addEventListener('click', (ev) => {
+      const btn = ev.target instanceof Element ? ev.target.closest('[data-action]') : null;
+      if (!btn) return;
+      if (btn.dataset.action === 'clear-signature' && signaturePad) signaturePad.clear();
+      if (btn.dataset.action === 'close-proof') closeProofForm();
+    });
+
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      const id = form.dataset.order || '';
+      if (!id) return;
+      clearFieldErrors(form);
+      hideResult(proofResult);
+      const unlock = lockSubmit(form, 'Saving…');
+      try {
+        await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/deliver`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            recipientName: getFormValue(form, 'recipientName'),
+            code: getFormValue(form, 'code').trim(),
+            signature: signaturePad ? signaturePad.toDataUrl() : ''
+          })
+        });
+        closeProofForm();
+        await refreshRiderJobs();
+        showResult(qs('[data-admin-result]'), { ok: true, html: `${escapeHtml(id)} handed over.` });
+      } catch (err) {
+        showSubmitError(form, proofResult, err, { items: [], fallback: 'Failed to record the handover.' });
+      } finally {
+        unlock();
+      }
+    });
+  };
+
+  const AUDIT_ACTIONS = {
+    'auth.login': 'Signed in',
+    'auth.login-failed': 'Failed sign-in',
+    'auth.logout': 'Signed out',
+    'order.created': 'Order placed',
+    'order.imported': 'Order imported',
+    'order.status': 'Status changed',
+    'order.prescription': 'Prescription reviewed',
+    'order.cancelled': 'Cancelled by customer',
+    'order.changed': 'Changed by customer',
+    'order.assigned': 'Rider assigned',
+    'order.picked-up': 'Picked up',
+    'order.delivered': 'Handed over',
+    'order.temperatures': 'Temperatures logged',
+    'order.excursion-resolved': 'Excursion resolved',
+    'order.donor-response': 'Donor response',
+    'order.revealed': 'Contact revealed',
+    'order.anonymized': 'Anonymized',
+    'orders.exported': 'Orders exported',
+    'account.exported': 'Customer data exported',
+    'account.erasure': 'Erasure requested',
+    'coupon.created': 'Coupon created',
+    'coupon.updated': 'Coupon changed',
+    'donor.donation': 'Donation recorded'
+  };
+
+  let auditOrder = '';
+  let auditCursor = null;
+
+  const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  const renderAuditChanges = (changes) => {
+    const keys = Object.keys(changes || {});
+    if (!keys.length) return '<span class="muted small">—</span>';
+    const items = keys
+      .map((key) => {
+        const { from, to } = changes[key];
+        return `
+          <li>
+            <code>${escapeHtml(key)}</code>:
+            <span class="muted">${escapeHtml(formatAuditValue(from))}</span> → ${escapeHtml(formatAuditValue(to))}
+          </li>
+        `;
+      })
+      .join('');
+    return `
+      <details class="audit-changes">
+        <summary>${keys.length} field${keys.length === 1 ? '' : 's'}</summary>
+        <ul>${items}</ul>
+      </details>
+    `;
+  };
+
+  const renderAuditRows = (entries) =>
+    entries
+      .map((e) => {
+        const actor = e.actor || {};
+        const who = actor.name ? `${actor.name} (${actor.id})` : actor.id || actor.type || '';
+        return `
+          <tr>
+            <td>${escapeHtml(formatDateTime(e.at))}<div class="muted small">#${escapeHtml(String(e.seq))}</div></td>
+            <td>
+              ${escapeHtml(AUDIT_ACTIONS[e.action] || e.action)}
+              ${e.detail ? `<div class="muted small">${escapeHtml(e.detail)}</div>` : ''}
+            </td>
+            <td>${escapeHtml(who)}<div class="muted small">${escapeHtml(actor.type || '')} • ${escapeHtml(e.ip || '')}</div></td>
+            <td>
+              ${
+                e.orderId
+                  ? `<button class="ghost small-btn" type="button" data-audit-order="${escapeHtml(e.orderId)}">
+                      <code>${escapeHtml(e.orderId)}</code>
+                    </button>`
+                  : escapeHtml(e.target || '')
+              }
+            </td>
+            <td>${renderAuditChanges(e.changes)}</td>
+          </tr>
+        `;
+      })
+      .join('');
+
+  const refreshAuditLog = async ({ append = false } = {}) => {
+    const host = qs('[data-audit-log]');
+    const chainHost = qs('[data-audit-chain]');
+    const more = qs('[data-audit-more]');
+    const form = qs('[data-audit-filter]');
+    if (!host) return;
+    if (form instanceof HTMLFormElement) setFormValue(form, 'order', auditOrder);
+    if (!append) auditCursor = null;
+    const params = new URLSearchParams();
+    if (auditOrder) params.set('order', auditOrder);
+    if (auditCursor) params.set('cursor', auditCursor);
+    try {
+      const data = await fetchJson(`${API_AUDIT}?${params}`, { method: 'GET' });
+      const entries = Array.isArray(data.entries) ? data.entries : [];
+      const body = qs('tbody', host);
+      if (append && body) {
+        body.insertAdjacentHTML('beforeend', renderAuditRows(entries));
+      } else if (entries.length) {
+        host.innerHTML = `
+          <table>
+            <thead><tr><th>When</th><th>Action</th><th>By</th><th>Order</th><th>Changes</th></tr></thead>
+            <tbody>${renderAuditRows(entries)}</tbody>
+          </table>
+        `;
+      } else {
+        host.innerHTML = `<p class="muted small">${auditOrder ? 'No entries for this order.' : 'The log is empty.'}</p>`;
+      }
+      auditCursor = data.nextCursor || null;
+      if (more) more.hidden = !auditCursor;
+      const chain = data.chain || {};
+      if (chainHost) {
+        chainHost.className = chain.ok ? 'muted small' : 'field-error';
+        chainHost.textContent = chain.ok
+          ? `Hash chain verified: ${chain.entries} entries.`
+          : `The hash chain is broken at line ${chain.brokenAt}: ${chain.problem}. The log may have been tampered with.`;
+      }
+    } catch (err) {
+      host.innerHTML = `<p class="muted small">${escapeHtml(err.message || 'Failed to load the audit log.')}</p>`;
+    }
+  };
+
+  const setupAuditLog = () => {
+    const form = qs('[data-audit-filter]');
+    const host = qs('[data-audit-log]');
+    const filterBy = (id) => {
+      auditOrder = id.trim();
+      writeAdminUrl();
+      void refreshAuditLog();
+    };
+    if (form instanceof HTMLFormElement) {
+      form.addEventListener('submit', (ev) => {
+        ev.preventDefault();
+        filterBy(getFormValue(form, 'order'));
+      });
+    }
+    if (host) {
+      host.addEventListener('click', (ev) => {
+        const btn = ev.target instanceof Element ? ev.target.closest('[data-audit-order]') : null;
+        if (btn instanceof HTMLButtonElement) filterBy(btn.dataset.auditOrder || '');
+      });
+    }
+    qsa('[data-action="audit-load-more"]').forEach((btn) => {
+      btn.addEventListener('click', () => void refreshAuditLog({ append: true }));
+    });
+  };
+
+  // Sections of the admin console and the role each needs. The server enforces the same roles per route;
+  // hiding sections here only keeps people out of screens they cannot use. `query` is the fixed part of the list
+  // request for the section; the filter form adds to it. Sections without one show their `[data-admin-panel]`
+  // instead of the order list and fill it with `load`.
+  const DELIVERY_STATUSES = ['Packed', 'Out for delivery', 'Dispatched'];
+  const ADMIN_SECTIONS = {
+    medicine: { role: 'pharmacist', query: { type: 'medicine' } },
+    blood: { role: 'bloodbank', query: { type: 'blood' } },
+    stock: { role: 'bloodbank', query: null, load: refreshBloodStock },
+    deliveries: { role: 'dispatcher', query: { status: DELIVERY_STATUSES.join(',') } },
+    dispatch: { role: 'dispatcher', query: null, load: refreshDispatch },
+    jobs: { role: 'rider', query: null, load: refreshRiderJobs },
+    coupons: { role: 'pharmacist', query: null, load: refreshCoupons },
+    audit: { role: ['pharmacist', 'bloodbank'], query: null, load: refreshAuditLog }
+  };
+  const ADMIN_FILTERS = ['q', 'type', 'status', 'urgency', 'bloodGroup', 'city', 'from', 'to'];
+  const ADMIN_PAGE_SIZE = 50;
+
+  let adminUser = null;
+  let adminSection = '';
+  let adminFilters = {};
+  let adminSort = { key: 'createdAt', dir: 'desc' };
+  let adminCursor = null;
+  let adminTotal = 0;
+  let adminStream = null;
+  let adminStreamKey = '';
+
+  const allowedSections = () =>
+    Object.keys(ADMIN_SECTIONS).filter(
+      (key) => adminUser && [].concat(ADMIN_SECTIONS[key].role).some((role) => adminUser.roles.includes(role))
+    );
+
+  const renderAdminSession = () => {
+    const session = qs('[data-admin-session]');
+    const login = qs('[data-admin-login]');
+    const consoleCard = qs('[data-admin-console]');
+    const sectionsNav = qs('[data-admin-sections]');
+    const signedIn = Boolean(adminUser);
+
+    if (session) session.hidden = !signedIn;
+    if (login) login.hidden = signedIn || !backendAvailable;
+    if (consoleCard) consoleCard.hidden = !signedIn && backendAvailable;
+    const who = qs('[data-admin-user]');
+    if (who) who.textContent = signedIn ? `${adminUser.name} (${adminUser.roleNames.join(', ')})` : '';
+
+    const allowed = allowedSections();
+    if (!allowed.includes(adminSection)) adminSection = allowed[0] || '';
+    if (sectionsNav) sectionsNav.hidden = !signedIn;
+    qsa('[data-admin-section]').forEach((btn) => {
+      btn.hidden = !allowed.includes(btn.dataset.adminSection || '');
+      btn.setAttribute('aria-current', btn.dataset.adminSection === adminSection ? 'page' : 'false');
+    });
+    renderAdminFilters();
+  };
+
+  // Shows only the filters that make sense for the section: a section fixed to one type hides the type picker
+  // and the statuses and blood-only fields of the other type.
+  const renderAdminFilters = () => {
+    const form = qs('[data-admin-filters]');
+    if (!(form instanceof HTMLFormElement)) return;
+    const section = ADMIN_SECTIONS[adminSection];
+    const offline = !backendAvailable;
+    form.hidden = !offline && !(section && section.query);
+    const transfer = qs('[data-admin-transfer]');
+    if (transfer) transfer.hidden = form.hidden;
+    qsa('[data-export-format="csv"], [data-import-orders]').forEach((el) => (el.hidden = offline));
+    const fixedType = (section && section.query && section.query.type) || '';
+    const type = fixedType || adminFilters.type || '';
+    qsa('[data-filter="type"]', form).forEach((el) => (el.hidden = Boolean(fixedType)));
+    qsa('[data-filter="blood"]', form).forEach((el) => (el.hidden = type === 'medicine'));
+    qsa('[data-status-group]', form).forEach((el) => {
+      el.hidden = Boolean(type) && el.dataset.statusGroup !== type;
+    });
+    for (const name of ADMIN_FILTERS) setFormValue(form, name, adminFilters[name] || '');
+  };
+
+  // Filter, section and sort live in the query string so a filtered view can be bookmarked or shared.
+  // The admin route's query holds the section, filters and sort, e.g. `#/admin?section=medicine&status=Placed`.
+  const adminHash = () => {
+    const params = new URLSearchParams();
+    if (adminSection) params.set('section', adminSection);
+    for (const name of ADMIN_FILTERS) if (adminFilters[name]) params.set(name, adminFilters[name]);
+    if (adminSection === 'audit' && auditOrder) params.set('order', auditOrder);
+    if (adminSort.key !== 'createdAt' || adminSort.dir !== 'desc') {
+      params.set('sort', adminSort.key);
+      params.set('dir', adminSort.dir);
+    }
+    return routeHash('admin', '', params);
+  };
+
+  const writeAdminUrl = () => {
+    if (parseRoute().view !== 'admin' || window.location.hash === adminHash()) return;
+    window.history.replaceState(null, '', adminHash());
+  };
+
+  const readAdminUrl = (params) => {
+    adminSection = params.get('section') || '';
+    adminFilters = {};
+    for (const name of ADMIN_FILTERS) if (params.get(name)) adminFilters[name] = params.get(name);
+    auditOrder = params.get('order') || '';
+    adminSort = { key: params.get('sort') || 'createdAt', dir: params.get('dir') === 'asc' ? 'asc' : 'desc' };
+  };
+
+  const adminQuery = (section) => {
+    const params = new URLSearchParams({ limit: String(ADMIN_PAGE_SIZE), sort: adminSort.key, dir: adminSort.dir });
+    for (const name of ADMIN_FILTERS) if (adminFilters[name]) params.set(name, adminFilters[name]);
+    for (const [name, value] of Object.entries((section && section.query) || {})) {
+      if (!params.has(name)) params.set(name, value);
+    }
+    if (adminCursor) params.set('cursor', adminCursor);
+    return params;
+  };
+
+  // Offline fallback: the same filters and sort applied to the orders saved in this browser.
+  const queryLocalOrders = (offset) => {
+    const f = adminFilters;
+    const text = (f.q || '').toLowerCase();
+    const digits = text.replace(/\D/g, '');
+    const onCustomer = adminSort.key === 'name' || adminSort.key === 'city';
+    const sortValue = (o) => String((onCustomer ? o.customer?.[adminSort.key] : o[adminSort.key]) || '').toLowerCase();
+    const sign = adminSort.dir === 'asc' ? 1 : -1;
+    const rows = loadLocalOrders()
+      .filter((o) => {
+        const c = o.customer || {};
+        const day = String(o.createdAt || '').slice(0, 10);
+        if (f.type && o.type !== f.type) return false;
+        if (f.status && o.status !== f.status) return false;
+        if (f.urgency && o.request?.urgency !== f.urgency) return false;
+        if (f.bloodGroup && o.request?.bloodType !== f.bloodGroup) return false;
+        if (f.city && String(c.city || '').toLowerCase() !== f.city.toLowerCase()) return false;
+        if ((f.from && day < f.from) || (f.to && day > f.to)) return false;
+        if (!text) return true;
+        const phone = String(c.phone || '').replace(/\D/g, '');
+        return `${o.id} ${c.name || ''}`.toLowerCase().includes(text) || (digits.length >= 3 && phone.includes(digits));
+      })
+      .sort((a, b) => sign * (sortValue(a).localeCompare(sortValue(b)) || String(a.id).localeCompare(String(b.id))));
+    const page = rows.slice(offset, offset + ADMIN_PAGE_SIZE);
+    const next = offset + page.length;
+    return { orders: page, total: rows.length, nextCursor: next < rows.length ? String(next) : null };
+  };
+
+  const renderAdminPage = () => {
+    const tableHost = qs('[data-admin-table]');
+    const more = qs('[data-admin-more]');
+    const count = qs('[data-admin-count]');
+    if (tableHost) tableHost.innerHTML = adminOrders.length ? renderAdminTable(adminOrders, adminSort) : '';
+    if (count) count.textContent = `Showing ${adminOrders.length} of ${adminTotal}`;
+    if (more) more.hidden = adminOrders.length === 0;
+    const loadMore = qs('[data-action="admin-load-more"]');
+    if (loadMore) loadMore.hidden = !adminCursor;
+  };
+
+  const stopAdminStream = () => {
+    if (adminStream) adminStream.close();
+    adminStream = null;
+    adminStreamKey = '';
+  };
+
+  // New orders matching the current filters are added to the top of the list and marked; changes to listed orders
+  // replace them in place.
+  const applyAdminEvent = ({ kind, order }) => {
+    if (!order || !order.id) return;
+    const index = adminOrders.findIndex((o) => o.id === order.id);
+    if (index >= 0) {
+      adminOrders[index] = { ...order, isNew: adminOrders[index].isNew };
+    } else if (kind === 'created') {
+      adminOrders.unshift({ ...order, isNew: true });
+      adminTotal += 1;
+      hideResult(qs('[data-admin-result]'));
+    } else {
+      return;
+    }
+    renderAdminPage();
+  };
+
+  const watchAdminOrders = (section) => {
+    const params = adminQuery(section);
+    ['limit', 'cursor', 'sort', 'dir'].forEach((name) => params.delete(name));
+    const key = params.toString();
+    if (adminStream && adminStreamKey === key) return;
+    stopAdminStream();
+    if (typeof window.EventSource !== 'function') return;
+    adminStreamKey = key;
+    adminStream = new EventSource(`${API_ORDERS}/events?${key}`);
+    adminStream.addEventListener('order', (ev) => {
+      try {
+        applyAdminEvent(JSON.parse(ev.data));
+      } catch {
+        // ignore malformed events
+      }
+    });
+  };
+
+  const loadAdminUser = async () => {
+    try {
+      const data = await fetchJson(`${API_AUTH}/me`, { method: 'GET' });
+      const names = data.roles || {};
+      adminUser = { ...data.user, roleNames: data.user.roles.map((r) => names[r] || r) };
+    } catch (err) {
+      adminUser = null;
+      if (err && typeof err.status !== 'number') throw err;
+    }
+  };
+
+  // `append` fetches the next page after `adminCursor`; otherwise the list restarts from the first page.
+  const refreshAdmin = async ({ append = false } = {}) => {
+    const resultHost = qs('[data-admin-result]');
+    hideResult(resultHost);
+    qsa('[data-admin-panel]').forEach((panel) => (panel.hidden = true));
+    if (!append) {
+      adminOrders = [];
+      adminCursor = null;
+      adminTotal = 0;
+      renderAdminPage();
+    }
+
+    try {
+      let page;
+
+      if (backendAvailable) {
+        await loadAdminUser();
+        renderAdminSession();
+        if (!adminUser) {
+          stopAdminStream();
+          return;
+        }
+
+        const section = ADMIN_SECTIONS[adminSection];
+        writeAdminUrl();
+        if (!section || !section.query) stopAdminStream();
+        if (!section) {
+          showResult(resultHost, { ok: false, html: 'Your account has no admin role yet.' });
+          return;
+        }
+        if (!section.query) {
+          const panel = qs(`[data-admin-panel="${adminSection}"]`);
+          if (panel) panel.hidden = false;
+          await section.load();
+          return;
+        }
+        page = await fetchJson(`${API_ORDERS}?${adminQuery(section)}`, { method: 'GET' });
+        watchAdminOrders(section);
+      } else {
+        stopAdminStream();
+        adminUser = null;
+        renderAdminSession();
+        page = queryLocalOrders(append ? Number(adminCursor) : 0);
+      }
+
+      adminOrders = adminOrders.concat(Array.isArray(page.orders) ? page.orders : []);
+      adminCursor = page.nextCursor || null;
+      adminTotal = Number(page.total) || adminOrders.length;
+      renderAdminPage();
+      if (adminOrders.length === 0) {
+        const filtered = ADMIN_FILTERS.some((name) => adminFilters[name]);
+        showResult(resultHost, { ok: true, html: filtered ? 'No orders match these filters.' : 'No orders yet.' });
+      }
+    } catch (err) {
+      if (err && err.status === 401) {
+        stopAdminStream();
+        adminUser = null;
+        renderAdminSession();
+        return;
+      }
+
+      if (backendAvailable && !(err && typeof err.status === 'number') && loadLocalOrders().length) {
+        goOffline();
+        await refreshAdmin();
+        showResult(qs('[data-admin-result]'), {
+          ok: true,
+          html: 'Showing offline/local orders (admin API unavailable).'
+        });
+        return;
+      }
+
+      const errors = err && err.data && err.data.errors;
+      const detail = errors ? ` ${Object.values(errors).map(String).join(' ')}` : '';
+      showResult(resultHost, { ok: false, html: escapeHtml(`${err.message || 'Failed to load admin list.'}${detail}`) });
+    }
+  };
+
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // Exports what the list currently shows (all pages). Offline, this browser's saved orders are exported as JSON
+  // so they can be imported on a computer that reaches the server.
+  const exportOrders = async (format) => {
+    const resultHost = qs('[data-admin-result]');
+    hideResult(resultHost);
+    const day = new Date().toISOString().slice(0, 10);
+    if (!backendAvailable) {
+      const body = {
+        format: 'mediblood-orders',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        orders: loadLocalOrders()
+      };
+      const blob = new Blob([JSON.stringify(body, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `mediblood-local-orders-${day}.json`);
+      return;
+    }
+
+    const params = adminQuery(ADMIN_SECTIONS[adminSection]);
+    params.delete('limit');
+    params.delete('cursor');
+    params.set('format', format);
+    try {
+      const res = await fetch(`${API_ORDERS}/export?${params}`, { method: 'GET' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw new Error((data && data.message) || `Export failed (${res.status})`);
+      }
+      const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+      downloadBlob(await res.blob(), match ? match[1] : `mediblood-orders-${day}.${format}`);
+    } catch (err) {
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Export failed.') });
+    }
+  };
+
+  const importOrders = async (file) => {
+    const resultHost = qs('[data-admin-result]');
+    hideResult(resultHost);
+    let payload;
+    try {
+      payload = JSON.parse(await readFileAsText(file));
+    } catch {
+      showResult(resultHost, { ok: false, html: `${escapeHtml(file.name)} is not a valid JSON file.` });
+      return;
+    }
+
+    try {
+      const data = await fetchJson(`${API_ORDERS}/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const imported = Array.isArray(data.imported) ? data.imported.length : 0;
+      const skipped = Array.isArray(data.skipped) ? data.skipped.length : 0;
+      await refreshAdmin();
+      showResult(resultHost, {
+        ok: true,
+        html: `Imported <strong>${imported}</strong> order${imported === 1 ? '' : 's'}${
+          skipped ? `; skipped ${skipped} duplicate${skipped === 1 ? '' : 's'}` : ''
+        }.`
+      });
+    } catch (err) {
+      const errors = Object.entries((err && err.data && err.data.errors) || {});
+      const list = errors.length
+        ? `<ul class="error-list">${errors
+            .slice(0, 10)
+            .map(([key, message]) => `<li><code>${escapeHtml(key)}</code> ${escapeHtml(message)}</li>`)
+            .join('')}${errors.length > 10 ? `<li>…and ${errors.length - 10} more</li>` : ''}</ul>`
+        : '';
+      showResult(resultHost, { ok: false, html: `${escapeHtml(err.message || 'Import failed.')}${list}` });
+    }
+  };
+
+  const initAdminFilters = () => {
+    const form = qs('[data-admin-filters]');
+    if (!(form instanceof HTMLFormElement)) return;
+    let timer = 0;
+
+    const apply = () => {
+      adminFilters = {};
+      for (const name of ADMIN_FILTERS) {
+        const value = getFormValue(form, name).trim();
+        if (value) adminFilters[name] = value;
+      }
+      void refreshAdmin();
+    };
+
+    form.addEventListener('change', apply);
+    form.addEventListener('input', (ev) => {
+      if (!(ev.target instanceof HTMLInputElement) || ev.target.type === 'date') return;
+      window.clearTimeout(timer);
+      timer = window.setTimeout(apply, 350);
+    });
+    form.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      apply();
+    });
+
+    qsa('[data-action="clear-admin-filters"]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        adminFilters = {};
+        renderAdminFilters();
+        void refreshAdmin();
+      });
+    });
+
+    qsa('[data-export-format]').forEach((btn) => {
+      btn.addEventListener('click', () => void exportOrders(btn.dataset.exportFormat || 'csv'));
+    });
+
+    const importInput = qs('[data-import-file]');
+    if (importInput instanceof HTMLInputElement) {
+      importInput.addEventListener('change', () => {
+        const file = importInput.files && importInput.files[0];
+        importInput.value = '';
+        if (file) void importOrders(file);
+      });
+    }
+
+    qsa('[data-action="admin-load-more"]').forEach((btn) => {
+      btn.addEventListener('click', () => void refreshAdmin({ append: true }));
+    });
+
+    const tableHost = qs('[data-admin-table]');
+    if (tableHost) {
+      tableHost.addEventListener('click', (ev) => {
+        const target = ev.target instanceof Element ? ev.target.closest('[data-sort]') : null;
+        if (!(target instanceof HTMLButtonElement)) return;
+        const key = target.dataset.sort || 'createdAt';
+        if (adminSort.key === key) adminSort = { key, dir: adminSort.dir === 'asc' ? 'desc' : 'asc' };
+        else adminSort = { key, dir: key === 'createdAt' ? 'desc' : 'asc' };
+        void refreshAdmin();
+      });
+    }
+  };
+
+  const setupLoginForm = () => {
+    const form = qs('[data-login-form]');
+    const resultHost = qs('[data-login-result]');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      hideResult(resultHost);
+      const unlock = lockSubmit(form, 'Signing in…');
+      try {
+        await fetchJson(`${API_AUTH}/login`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            username: getFormValue(form, 'username'),
+            password: getFormValue(form, 'password')
+          })
+        });
+        form.reset();
+        await refreshAdmin();
+      } catch (err) {
+        showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Sign in failed.') });
+      } finally {
+        unlock();
+      }
+    });
+  };
+
+  const signOut = async () => {
+    try {
+      await fetchJson(`${API_AUTH}/logout`, { method: 'POST' });
+    } catch {
+      // The session cookie is cleared server-side; nothing useful to show if this fails.
+    }
+    adminUser = null;
+    revealedContacts.clear();
+    stopAdminStream();
+    closeRxPanel();
+    closeDonorPanel();
+    closeColdPanel();
+    await refreshAdmin();
+  };
+
+  const updateOrderStatus = async (btn) => {
+    const resultHost = qs('[data-admin-result]');
+    const id = btn.dataset.statusOrder;
+    const status = btn.dataset.statusTo;
+    if (!id || !status) return;
+
+    let note = '';
+    if (status === 'Cancelled' || status === 'Rejected') {
+      const reason = window.prompt(`Reason for marking ${id} as ${status}?`, '');
+      if (reason === null) return;
+      note = reason.trim();
+    }
+
+    btn.disabled = true;
+    try {
+      await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, note })
+      });
+      await refreshAdmin();
+      showResult(resultHost, { ok: true, html: `${escapeHtml(id)} moved to <strong>${escapeHtml(status)}</strong>.` });
+    } catch (err) {
+      btn.disabled = false;
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to update status.') });
+    }
+  };
+
+  const closeRxPanel = () => {
+    const panel = qs('[data-rx-panel]');
+    if (!panel) return;
+    panel.hidden = true;
+    panel.innerHTML = '';
+  };
+
+  const openRxPanel = (id) => {
+    const panel = qs('[data-rx-panel]');
+    const order = adminOrders.find((o) => o.id === id);
+    if (!panel || !order || !order.prescription) return;
+    const rx = order.prescription;
+    const src = `${API_ORDERS}/${encodeURIComponent(order.id)}/prescription`;
+    const preview =
+      rx.mimeType === 'application/pdf'
+        ? `<iframe class="rx-preview" src="${escapeHtml(src)}" title="Prescription for ${escapeHtml(order.id)}"></iframe>`
+        : `<img class="rx-preview" src="${escapeHtml(src)}" alt="Prescription for ${escapeHtml(order.id)}" />`;
+
+    panel.hidden = false;
+    panel.dataset.rxOrder = order.id;
+    panel.innerHTML = `
+      <div class="view-header">
+        <div>
+          <h3>Prescription for <code>${escapeHtml(order.id)}</code></h3>
+          <div class="muted small">
+            ${escapeHtml(rx.prescriberName || '')} • Reg. ${escapeHtml(rx.prescriberRegNo || '')} •
+            <a href="${escapeHtml(src)}" target="_blank" rel="noopener">${escapeHtml(rx.fileName || 'Open file')}</a>
+          </div>
+        </div>
+        <button class="ghost small-btn" type="button" data-rx-close>Close</button>
+      </div>
+      ${preview}
+      <label style="margin-top: 12px;">
+        Rejection reason
+        <textarea name="rxReason" rows="2" maxlength="200" placeholder="Required when rejecting…"></textarea>
+      </label>
+      <div class="row-actions" style="margin-top: 10px;">
+        <button class="secondary" type="button" data-rx-decision="approve">Approve</button>
+        <button class="ghost danger" type="button" data-rx-decision="reject">Reject</button>
+      </div>
+    `;
+  };
+
+  const submitRxDecision = async (panel, decision) => {
+    const resultHost = qs('[data-admin-result]');
+    const id = panel.dataset.rxOrder;
+    const reasonEl = qs('[name="rxReason"]', panel);
+    const reason = reasonEl instanceof HTMLTextAreaElement ? reasonEl.value.trim() : '';
+    clearFieldErrors(panel);
+
+    if (decision === 'reject' && !reason && reasonEl) {
+      showFieldError(reasonEl, 'Give a reason for rejecting the prescription.');
+      return;
+    }
+
+    try {
+      await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/prescription`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decision, reason })
+      });
+      closeRxPanel();
+      await refreshAdmin();
+      const verb = decision === 'approve' ? 'approved' : 'rejected';
+      showResult(resultHost, { ok: true, html: `Prescription for ${escapeHtml(id)} ${verb}.` });
+    } catch (err) {
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to record the decision.') });
+    }
+  };
+
+  const DONOR_RESPONSES = [
+    ['contacted', 'Contacted'],
+    ['accepted', 'Accepted'],
+    ['declined', 'Declined']
+  ];
+
+  const renderDonorPanel = (panel, id, donors) => {
+    const rows = donors
+      .map((d) => {
+        const response = d.response ? `${d.response.status} • ${formatDateTime(d.response.at)}` : 'Not contacted';
+        const buttons = DONOR_RESPONSES.map(
+          ([status, label]) => `
+            <button class="${d.response && d.response.status === status ? 'primary' : 'ghost'} small-btn" type="button"
+              data-donor-id="${escapeHtml(d.id)}" data-donor-response="${escapeHtml(status)}">${escapeHtml(label)}</button>
+          `
+        ).join('');
+        return `
+          <tr>
+            <td>${escapeHtml(String(d.rank))}</td>
+            <td>${escapeHtml(d.name)}<div class="muted small">${escapeHtml(d.phone)}</div></td>
+            <td>${escapeHtml(d.bloodGroup)}</td>
+            <td>${escapeHtml(d.lastDonation || 'Never')}</td>
+            <td>${escapeHtml(response)}</td>
+            <td><div class="row-actions">${buttons}</div></td>
+          </tr>
+        `;
+      })
+      .join('');
+
+    panel.hidden = false;
+    panel.dataset.donorOrder = id;
+    panel.innerHTML = `
+      <div class="view-header">
+        <div>
+          <h3>Donor call-out for <code>${escapeHtml(id)}</code></h3>
+          <div class="muted small">Eligible compatible donors in the request's city, best match first.</div>
+        </div>
+        <button class="ghost small-btn" type="button" data-donor-close>Close</button>
+      </div>
+      ${
+        rows
+          ? `<div class="table-wrap"><table>
+              <thead>
+                <tr><th>#</th><th>Donor</th><th>Group</th><th>Last donation</th><th>Response</th><th>Mark</th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table></div>`
+          : '<div class="muted">No eligible donors found. Check that the request has a city.</div>'
+      }
+    `;
+  };
+
+  const closeDonorPanel = () => {
+    const panel = qs('[data-donor-panel]');
+    if (!panel) return;
+    panel.hidden = true;
+    panel.innerHTML = '';
+  };
+
+  const openDonorPanel = async (id) => {
+    const panel = qs('[data-donor-panel]');
+    const resultHost = qs('[data-admin-result]');
+    if (!panel || !id) return;
+    try {
+      const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/donors`, { method: 'GET' });
+      renderDonorPanel(panel, id, Array.isArray(data.donors) ? data.donors : []);
+    } catch (err) {
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to load donors.') });
+    }
+  };
+
+  const submitDonorResponse = async (panel, donorId, status) => {
+    const resultHost = qs('[data-admin-result]');
+    const id = panel.dataset.donorOrder;
+    if (!id || !donorId) return;
+    try {
+      const data = await fetchJson(`${API_ORDERS}/${encodeURIComponent(id)}/donors/${encodeURIComponent(donorId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+      renderDonorPanel(panel, id, Array.isArray(data.donors) ? data.donors : []);
+    } catch (err) {
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to record the response.') });
+    }
+  };
+
+  const renderColdPanel = (panel, order) => {
+    const log = order.coldChain;
+    const excursions = log && Array.isArray(log.excursions) ? log.excursions : [];
+    const rows = excursions
+      .map(
+        (e) => `
+          <tr>
+            <td>${escapeHtml(describeExcursion(e))}<div class="muted small">${e.readings} reading${e.readings === 1 ? '' : 's'}</div></td>
+            <td>
+              ${
+                e.resolution
+                  ? `${escapeHtml(e.resolution.note)}
+                    <div class="muted small">
+                      ${escapeHtml(e.resolution.byName || e.resolution.by)} • ${escapeHtml(formatDateTime(e.resolution.at))}
+                    </div>`
+                  : `<div class="row-actions">
+                      <input type="text" maxlength="300" placeholder="What was checked…"
+                        data-excursion-note="${escapeHtml(e.id)}" aria-label="Resolution note" />
+                      <button class="primary small-btn" type="button" data-excursion-resolve="${escapeHtml(e.id)}">
+                        Resolve
+                      </button>
+                    </div>`
+              }
+            </td>
+          </tr>
+        `
+      )
+      .join('');
+
+    const range = log ? `${log.label} • ${log.min}–${log.max} °C • ${log.readings.length} readings` : 'No readings yet.';
+    panel.hidden = false;
+    panel.dataset.coldOrder = order.id;
+    panel.innerHTML = `
+      <div class="view-header">
+        <div>
+          <h3>Cold chain for <code>${escapeHtml(order.id)}</code></h3>
+          <div class="muted small">
+            ${escapeHtml(range)}
+          </div>
+        </div>
+        <button class="ghost small-btn" type="button" data-cold-close>Close</button>
+      </div>
+      ${log ? renderTemperatureChart(log) : ''}
+      ${
+        rows
+          ? `<div class="table-wrap"><table>
+              <thead><tr><th>Excursion</th><th>Resolution</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table></div>`
+          : ''
+      }
+      <label style="margin-top: 12px;">
+        Upload a data-logger file (CSV with <code>time,celsius</code> columns, or JSON readings)
+        <input type="file" accept=".csv,text/csv,.json,application/json" data-temperature-file />
+      </label>
+    `;
+  };
+
+  const closeColdPanel = () => {
+    const panel = qs('[data-cold-panel]');
+    if (!panel) return;
+    panel.hidden = true;
+    panel.innerHTML = '';
+  };
+
+  const openColdPanel = (id) => {
+    const panel = qs('[data-cold-panel]');
+    const order = adminOrders.find((o) => o.id === id);
+    if (panel && order) renderColdPanel(panel, order);
+  };
+
+  const updateColdOrder = (panel, order) => {
+    applyAdminEvent({ kind: 'updated', order });
+    renderColdPanel(panel, order);
+  };
+
+  const uploadTemperatures = async (panel, file) => {
+    const resultHost = qs('[data-admin-result]');
+    const id = panel.dataset.coldOrder;
+    if (!id) return;
+    try {
+      const text = await readFileAsText(file);
+      let request;
+      if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch {
+          throw new Error(`${file.name} is not valid JSON.`);
+        }
+        const readings = Array.isArray(parsed) ? parsed : parsed && parsed.readings;
+        request = { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ readings }) };
+      } else {
+        request = { headers: { 'Content-Type': 'text/csv' }, body: text };
+      }
+      const url = `${API_ORDERS}/${encodeURIComponent(id)}/temperatures`;
+      const data = await fetchJson(url, { method: 'POST', ...request });
+      updateColdOrder(panel, data.order);
+      const flagged = Number(data.flagged || 0);
+      showResult(resultHost, {
+        ok: !flagged,
+        html: flagged
+          ? `${escapeHtml(id)}: ${flagged} new temperature excursion${flagged === 1 ? '' : 's'}. Resolve before delivery.`
+          : `Temperature readings saved for ${escapeHtml(id)}.`
+      });
+    } catch (err) {
+      const detail = err.data && err.data.errors ? ` ${Object.values(err.data.errors).join(' ')}` : '';
+      const message = `${err.message || 'Failed to upload the readings.'}${detail}`;
+      showResult(resultHost, { ok: false, html: escapeHtml(message) });
+    }
+  };
+
+  const resolveExcursion = async (panel, btn) => {
+    const resultHost = qs('[data-admin-result]');
+    const id = panel.dataset.coldOrder;
+    const excursionId = btn.dataset.excursionResolve || '';
+    const noteEl = qsa('[data-excursion-note]', panel).find((el) => el.dataset.excursionNote === excursionId);
+    const note = noteEl instanceof HTMLInputElement ? noteEl.value.trim() : '';
+    clearFieldErrors(panel);
+    if (!note && noteEl) {
+      showFieldError(noteEl, 'Say what was checked before releasing the shipment.');
+      return;
+    }
+    btn.disabled = true;
+    try {
+      const url = `${API_ORDERS}/${encodeURIComponent(id)}/excursions/${encodeURIComponent(excursionId)}/resolve`;
+      const data = await fetchJson(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ note })
+      });
+      updateColdOrder(panel, data.order);
+      showResult(resultHost, { ok: true, html: `Temperature excursion on ${escapeHtml(id)} resolved.` });
+    } catch (err) {
+      btn.disabled = false;
+      showResult(resultHost, { ok: false, html: escapeHtml(err.message || 'Failed to resolve the excursion.') });
+    }
+  };
+
+  const initActions = () => {
+    qsa('[data-action="clear-cart"]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        cart.clear();
+        saveCart();
+        hideResult(qs('[data-cart-notice]'));
+        renderCart();
+      });
+    });
+
+    qsa('[data-action="refresh-admin"]').forEach((btn) => {
+      btn.addEventListener('click', refreshAdmin);
+    });
+
+    qsa('[data-action="sign-out"]').forEach((btn) => {
+      btn.addEventListener('click', () => void signOut());
+    });
+
+    qsa('[data-admin-section]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        adminSection = btn.dataset.adminSection || '';
+        adminFilters = {};
+        auditOrder = '';
+        closeRxPanel();
+        closeDonorPanel();
+        closeColdPanel();
+        void refreshAdmin();
+      });
+    });
+
+    const adminTable = qs('[data-admin-table]');
+    if (adminTable) {
+      adminTable.addEventListener('click', (ev) => {
+        const target = ev.target instanceof Element ? ev.target : null;
+        const btn = target ? target.closest('[data-status-to]') : null;
+        if (btn instanceof HTMLButtonElement) void updateOrderStatus(btn);
+        const rxBtn = target ? target.closest('[data-rx-review]') : null;
+        if (rxBtn instanceof HTMLButtonElement) openRxPanel(rxBtn.dataset.rxReview || '');
+        const donorBtn = target ? target.closest('[data-donor-callout]') : null;
+        if (donorBtn instanceof HTMLButtonElement) void openDonorPanel(donorBtn.dataset.donorCallout || '');
+        const revealBtn = target ? target.closest('[data-reveal-order]') : null;
+        if (revealBtn instanceof HTMLButtonElement) void revealContact(revealBtn);
+        const coldBtn = target ? target.closest('[data-cold-chain]') : null;
+        if (coldBtn instanceof HTMLButtonElement) openColdPanel(coldBtn.dataset.coldChain || '');
+      });
+    }
+
+    const coldPanel = qs('[data-cold-panel]');
+    if (coldPanel) {
+      coldPanel.addEventListener('click', (ev) => {
+        const target = ev.target instanceof Element ? ev.target : null;
+        if (target && target.closest('[data-cold-close]')) closeColdPanel();
+        const btn = target ? target.closest('[data-excursion-resolve]') : null;
+        if (btn instanceof HTMLButtonElement) void resolveExcursion(coldPanel, btn);
+      });
+      coldPanel.addEventListener('change', (ev) => {
+        const input = ev.target;
+        if (!(input instanceof HTMLInputElement) || !input.matches('[data-temperature-file]')) return;
+        const file = input.files ? input.files[0] : null;
+        input.value = '';
+        if (file) void uploadTemperatures(coldPanel, file);
+      });
+    }
+
+    const donorPanel = qs('[data-donor-panel]');
+    if (donorPanel) {
+      donorPanel.addEventListener('click', (ev) => {
+        const target = ev.target instanceof Element ? ev.target : null;
+        if (target && target.closest('[data-donor-close]')) closeDonorPanel();
+        const btn = target ? target.closest('[data-donor-response]') : null;
+        if (btn instanceof HTMLButtonElement) {
+          void submitDonorResponse(donorPanel, btn.dataset.donorId || '', btn.dataset.donorResponse || '');
+        }
+      });
+    }
+
+    const rxPanel = qs('[data-rx-panel]');
+    if (rxPanel) {
+      rxPanel.addEventListener('click', (ev) => {
+        const target = ev.target instanceof Element ? ev.target : null;
+        if (target && target.closest('[data-rx-close]')) closeRxPanel();
+        const btn = target ? target.closest('[data-rx-decision]') : null;
+        if (btn instanceof HTMLButtonElement) void submitRxDecision(rxPanel, btn.dataset.rxDecision || '');
+      });
+    }
+  };
+
+  let replaying = false;
+
+  // Replays offline orders oldest first. The idempotency key makes a retry after a lost response harmless;
+  // a rejection (4xx) marks that order failed, anything else stops the run until the next health check.
+  const replayOutbox = async () => {
+    if (!backendAvailable || replaying) return;
+    replaying = true;
+    try {
+      const pending = outboxOrders().sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+      for (const local of pending) {
+        try {
+          const data = await fetchJson(API_ORDERS, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': local.idempotencyKey || local.id },
+            body: JSON.stringify({ order: toReplayPayload(local) })
+          });
+          const serverId = data.orderId || (data.order && data.order.id) || '';
+          if (!serverId) continue;
+          updateLocalOrder(local.id, {
+            syncedId: serverId,
+            syncedAt: new Date().toISOString(),
+            ...withoutPersonalData(local)
+          });
+          rememberSyncedId(local.id, serverId);
+          if (loadLastOrderId() === local.id) saveLastOrderId(serverId);
+        } catch (err) {
+          if (isClientError(err)) {
+            updateLocalOrder(local.id, { syncError: err.message || 'Rejected by the server.' });
+            continue;
+          }
+          goOffline();
+          break;
+        }
+      }
+    } finally {
+      replaying = false;
+      refreshSystemBanner();
+    }
+  };
+
+  let recheckInFlight = false;
+
+  const recheckBackend = async () => {
+    if (recheckInFlight) return;
+    recheckInFlight = true;
+    try {
+      const ok = await checkBackend();
+      if (ok && !backendAvailable) {
+        backendAvailable = true;
+        await loadCatalog();
+        renderProducts();
+      } else if (!ok && backendAvailable) {
+        goOffline();
+      }
+      if (backendAvailable) await replayOutbox();
+      refreshSystemBanner();
+    } finally {
+      recheckInFlight = false;
+    }
+  };
+
+  const initBackendWatch = () => {
+    window.setInterval(() => void recheckBackend(), HEALTH_RECHECK_MS);
+    window.addEventListener('online', () => void recheckBackend());
+    window.addEventListener('focus', () => void recheckBackend());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') void recheckBackend();
+    });
+  };
+
+  const main = async () => {
+    backendAvailable = await checkBackend();
+    setSystemBanner(backendAvailable ? 'online' : 'offline');
+
+    initNav();
+    initActions();
+    await loadCatalog();
+    initCatalog();
+    renderProducts();
+    restoreCart();
+    renderCart();
+    initCartSync();
+    setupCheckout();
+    setupBloodForm();
+    setupDonorForm();
+    setupTrackForm();
+    setupTrackManage();
+    setupLoginForm();
+    setupAccount();
+    initSavedContacts();
+    pruneSyncedOrders();
+    initAdminFilters();
+    setupCouponAdmin();
+    setupDispatch();
+    setupRiderJobs();
+    setupAuditLog();
+    // Admin links from before hash routing used the query string (`?view=admin&section=…`).
+    const legacy = new URLSearchParams(window.location.search);
+    if (legacy.get('view') === 'admin') {
+      legacy.delete('view');
+      window.history.replaceState(null, '', `${window.location.pathname}${routeHash('admin', '', legacy)}`);
+    }
+    applyRoute();
     updateCartHud();
+    initBackendWatch();
+    if (backendAvailable) {
+      void replayOutbox();
+      void refreshCustomerAccount();
+    }
   };
 
   if (document.readyState === 'loading') {
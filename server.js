@@ -0,0 +1,3585 @@
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const readline = require('readline');
+
+const PORT = Number.parseInt(process.env.PORT, 10) || 5173;
+const ROOT_DIR = __dirname;
+const DATA_DIR = process.env.MEDIBLOOD_DATA_DIR
+  ? path.resolve(process.env.MEDIBLOOD_DATA_DIR)
+  : path.join(ROOT_DIR, 'data');
+const ORDERS_FILE = path.join(DATA_DIR, 'orders.json');
+const INVENTORY_FILE = path.join(DATA_DIR, 'inventory.json');
+const BLOOD_STOCK_FILE = path.join(DATA_DIR, 'blood-stock.json');
+const DONORS_FILE = path.join(DATA_DIR, 'donors.json');
+const DELIVERY_FILE = path.join(DATA_DIR, 'delivery.json');
+const COUPONS_FILE = path.join(DATA_DIR, 'coupons.json');
+const COLD_CHAIN_FILE = path.join(DATA_DIR, 'cold-chain.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const CUSTOMERS_FILE = path.join(DATA_DIR, 'customers.json');
+const OTP_LOG_FILE = path.join(DATA_DIR, 'otp-codes.log');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const DATA_KEY_FILE = path.join(DATA_DIR, 'data.key');
+const PRIVACY_FILE = path.join(DATA_DIR, 'privacy.json');
+const NOTIFICATIONS_FILE = path.join(DATA_DIR, 'notifications.json');
+const OUTBOX_FILE = path.join(DATA_DIR, 'outbox.log');
+const PRESCRIPTIONS_DIR = path.join(DATA_DIR, 'prescriptions');
+const SIGNATURES_DIR = path.join(DATA_DIR, 'signatures');
+const BASE_PATH = '/mediblood';
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_ORDER_BODY_BYTES = 8 * 1024 * 1024;
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+const MAX_RX_BYTES = 5 * 1024 * 1024;
+const MAX_LIST = 200;
+const ADMIN_PAGE_SIZE = 50;
+const MAX_IMPORT_ORDERS = 5000;
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+const STATIC_FILES = new Map([
+  ['index.html', 'text/html; charset=utf-8'],
+  ['app.js', 'text/javascript; charset=utf-8'],
+  ['styles.css', 'text/css; charset=utf-8']
+]);
+
+const SESSION_COOKIE = 'mb_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const CUSTOMER_COOKIE = 'mb_customer';
+const CUSTOMER_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_RESEND_MS = 30 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const MAX_SAVED_CONTACTS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 5;
+// Wrong phone numbers on an order's cancel, change and handover-code requests, counted per order and per address.
+const MAX_OWNER_FAILURES = 5;
+const MAX_OWNER_FAILURES_PER_ADDRESS = 20;
+
+const httpError = (status, message, data) => {
+  const err = new Error(message);
+  err.status = status;
+  if (data) err.data = data;
+  return err;
+};
+
+const readJsonFile = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+};
+
+// Write to a temp file and rename so a crash never leaves a half-written store behind.
+const writeJsonFile = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+};
+
+// Orders written before status history existed get a single entry so every order has a timeline.
+const withHistory = (order) => {
+  if (Array.isArray(order.history)) return order;
+  return { ...order, history: [{ status: order.status, at: order.createdAt, note: '' }] };
+};
+
+// Personal fields are stored encrypted (AES-256-GCM) in ORDERS_FILE and kept in plain text in memory only. The key is
+// MEDIBLOOD_DATA_KEY (64 hex characters) or, without it, DATA_KEY_FILE, created when the server first starts. Without
+// the key those fields cannot be read back.
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const PERSONAL_FIELDS = {
+  customer: ['name', 'phone', 'address'],
+  request: ['patientName'],
+  proof: ['recipientName'],
+  prescription: ['prescriberName']
+};
+
+// Null when there is no key yet; only starting the server creates one (createDataKey).
+const loadDataKey = () => {
+  let hex = process.env.MEDIBLOOD_DATA_KEY || '';
+  if (!hex) {
+    try {
+      hex = fs.readFileSync(DATA_KEY_FILE, 'utf8').trim();
+    } catch {
+      return null;
+    }
+  }
+  if (!/^[0-9a-f]{64}$/i.test(hex)) throw new Error('The data key must be 64 hex characters (32 bytes).');
+  return Buffer.from(hex, 'hex');
+};
+
+const createDataKey = () => {
+  const hex = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(DATA_KEY_FILE, `${hex}\n`, { mode: 0o600, flag: 'wx' });
+  return Buffer.from(hex, 'hex');
+};
+
+const MISSING_KEY_MESSAGE = `No data key: set MEDIBLOOD_DATA_KEY or check that ${DATA_KEY_FILE} is there.`;
+
+let dataKey = loadDataKey();
+
+const encryptField = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), data].map((b) => b.toString('base64')).join(':')}`;
+};
+
+// Values written before encryption was added are still plain text; they are encrypted on the next save.
+const decryptField = (value) => {
+  if (!value.startsWith(ENCRYPTED_PREFIX)) return value;
+  if (!dataKey) throw new Error('No data key.');
+  const [iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// A copy of `order` with `fn` applied to each non-empty personal field. Free text is included: the order note, the
+// prescription review's reason and the history notes, which quote names and cancellation reasons.
+const mapPersonalFields = (order, fn) => {
+  const map = (value) => (value ? fn(String(value)) : value);
+  const copy = { ...order, note: map(order.note) };
+  for (const [group, fields] of Object.entries(PERSONAL_FIELDS)) {
+    if (!copy[group] || typeof copy[group] !== 'object') continue;
+    copy[group] = { ...copy[group] };
+    for (const field of fields) copy[group][field] = map(copy[group][field]);
+  }
+  if (copy.prescription && copy.prescription.review) {
+    copy.prescription.review = { ...copy.prescription.review, reason: map(copy.prescription.review.reason) };
+  }
+  if (Array.isArray(copy.history)) copy.history = copy.history.map((h) => ({ ...h, note: map(h.note) }));
+  return copy;
+};
+
+const loadOrders = () => {
+  const parsed = readJsonFile(ORDERS_FILE, []);
+  if (!Array.isArray(parsed)) return [];
+  const stored = parsed.filter((o) => o && typeof o === 'object' && o.id);
+  try {
+    return stored.map((o) => withHistory(mapPersonalFields(o, decryptField)));
+  } catch {
+    if (!dataKey) throw new Error(`Cannot read ${ORDERS_FILE}. ${MISSING_KEY_MESSAGE}`);
+    throw new Error(`Cannot decrypt ${ORDERS_FILE}: it was written with a different data key.`);
+  }
+};
+
+// A store that cannot be read stops everything, commands included, before anything is written.
+const orders = (() => {
+  try {
+    return loadOrders();
+  } catch (err) {
+    console.error(err.message);
+    return process.exit(1);
+  }
+})();
+
+const saveOrders = () => writeJsonFile(ORDERS_FILE, orders.map((o) => mapPersonalFields(o, encryptField)));
+
+const findOrder = (id) => orders.find((o) => o.id === id) || null;
+
+// Orders first placed in a browser's offline mode keep their local `MB-…-L…` ID so it can still be tracked.
+const findOrderByAnyId = (id) => findOrder(id) || orders.find((o) => o.localId === id) || null;
+
+const findOrderByIdempotencyKey = (key) => (key ? orders.find((o) => o.idempotencyKey === key) || null : null);
+
+const LOCAL_ORDER_ID = /^MB-[A-Z0-9]+-L[A-Z0-9]+$/;
+
+const makeOrderId = () => {
+  const ts = Date.now().toString(36).toUpperCase();
+  const rnd = crypto.randomBytes(4).toString('hex').slice(0, 6).toUpperCase();
+  return `MB-${ts}-${rnd}`;
+};
+
+const cleanText = (value, maxLength) => String(value ?? '').trim().slice(0, maxLength);
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const normalizeCustomer = (customer) => {
+  const c = customer && typeof customer === 'object' ? customer : {};
+  return {
+    name: cleanText(c.name, 60),
+    phone: cleanText(c.phone, 32),
+    address: cleanText(c.address, 140),
+    city: cleanText(c.city, 60),
+    pincode: cleanText(c.pincode, 6)
+  };
+};
+
+// Demo formulary. `generic` is the salt a product contains; products with the same generic are offered as
+// substitutes for one another. `coldChain` names the storage class (see DEFAULT_COLD_CHAIN) of refrigerated items.
+const CATALOG = [
+  {
+    sku: 'MB-PARA-500',
+    name: 'Paracetamol Tablets 500mg (10)',
+    price: 2.5,
+    tag: 'OTC',
+    category: 'Pain & fever',
+    manufacturer: 'MediBlood Generics',
+    generic: 'Paracetamol',
+    strength: '500 mg',
+    packSize: '10 tablets',
+    dosageForm: 'Tablet',
+    desc: 'Pain & fever relief (demo listing).',
+    stock: 120
+  },
+  {
+    sku: 'MB-FEVEX-500',
+    name: 'Feverex 500 Tablets (15)',
+    price: 3.2,
+    tag: 'OTC',
+    category: 'Pain & fever',
+    manufacturer: 'Sunrise Pharma',
+    generic: 'Paracetamol',
+    strength: '500 mg',
+    packSize: '15 tablets',
+    dosageForm: 'Tablet',
+    desc: 'Branded paracetamol for pain & fever (demo listing).',
+    stock: 90
+  },
+  {
+    sku: 'MB-PARA-SYR',
+    name: 'Paracetamol Syrup 120mg/5ml (60 ml)',
+    price: 4.5,
+    tag: 'OTC',
+    category: 'Pain & fever',
+    manufacturer: 'MediBlood Generics',
+    generic: 'Paracetamol',
+    strength: '120 mg/5 ml',
+    packSize: '60 ml bottle',
+    dosageForm: 'Syrup',
+    desc: 'Paediatric fever relief (demo listing).',
+    stock: 40
+  },
+  {
+    sku: 'MB-IBU-200',
+    name: 'Ibuprofen Tablets 200mg (10)',
+    price: 3.0,
+    tag: 'OTC',
+    category: 'Pain & fever',
+    manufacturer: 'MediBlood Generics',
+    generic: 'Ibuprofen',
+    strength: '200 mg',
+    packSize: '10 tablets',
+    dosageForm: 'Tablet',
+    desc: 'Anti-inflammatory (demo listing).',
+    stock: 80
+  },
+  {
+    sku: 'MB-IBUFLEX-400',
+    name: 'Ibuflex 400 Tablets (10)',
+    price: 4.0,
+    tag: 'OTC',
+    category: 'Pain & fever',
+    manufacturer: 'Northwind Labs',
+    generic: 'Ibuprofen',
+    strength: '400 mg',
+    packSize: '10 tablets',
+    dosageForm: 'Tablet',
+    desc: 'Higher-strength ibuprofen (demo listing).',
+    stock: 60
+  },
+  {
+    sku: 'MB-ORS-200',
+    name: 'ORS Sachet (1)',
+    price: 1.2,
+    tag: 'OTC',
+    category: 'Digestive care',
+    manufacturer: 'MediBlood Generics',
+    generic: 'Oral rehydration salts',
+    strength: '20.5 g',
+    packSize: '1 sachet',
+    dosageForm: 'Powder',
+    desc: 'Oral rehydration salts (demo listing).',
+    stock: 200
+  },
+  {
+    sku: 'MB-INS-TEST',
+    name: 'Insulin Pen (Demo)',
+    price: 18.0,
+    tag: 'Prescription',
+    category: 'Diabetes',
+    manufacturer: 'Demo Biologics',
+    generic: 'Insulin glargine',
+    strength: '100 IU/ml',
+    packSize: '3 ml pen',
+    dosageForm: 'Injection',
+    coldChain: 'insulin',
+    desc: 'Prescription required in many regions.',
+    stock: 6
+  },
+  {
+    sku: 'MB-ABX-TEST',
+    name: 'Antibiotic Capsules (Demo)',
+    price: 12.0,
+    tag: 'Prescription',
+    category: 'Antibiotics',
+    manufacturer: 'Northwind Labs',
+    generic: 'Amoxicillin',
+    strength: '500 mg',
+    packSize: '10 capsules',
+    dosageForm: 'Capsule',
+    desc: 'Prescription required in many regions.',
+    stock: 15
+  },
+  {
+    sku: 'MB-AMOX-250',
+    name: 'Amoxicillin Capsules 250mg (10)',
+    price: 8.0,
+    tag: 'Prescription',
+    category: 'Antibiotics',
+    manufacturer: 'MediBlood Generics',
+    generic: 'Amoxicillin',
+    strength: '250 mg',
+    packSize: '10 capsules',
+    dosageForm: 'Capsule',
+    desc: 'Prescription required in many regions.',
+    stock: 25
+  }
+];
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const URGENCIES = ['Routine', 'Today', 'Emergency'];
+const MAX_ORDER_LINES = 50;
+
+const RX_PENDING = 'Pending Rx verification';
+const RX_REJECTED = 'Rx rejected';
+
+const RX_TYPES = {
+  'image/jpeg': { ext: 'jpg', test: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/png': { ext: 'png', test: (buf) => buf.toString('latin1', 1, 4) === 'PNG' },
+  'image/webp': {
+    ext: 'webp',
+    test: (buf) => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP'
+  },
+  'application/pdf': { ext: 'pdf', test: (buf) => buf.toString('latin1', 0, 5) === '%PDF-' }
+};
+
+// Allowed moves per order type. Terminal states map to an empty list. Leaving RX_PENDING for "Placed" or
+// RX_REJECTED goes through the prescription review endpoint, not the generic status endpoint.
+const STATUS_FLOWS = {
+  medicine: {
+    [RX_PENDING]: ['Cancelled'],
+    [RX_REJECTED]: [],
+    Placed: ['Confirmed', 'Cancelled'],
+    Confirmed: ['Packed', 'Cancelled'],
+    Packed: ['Out for delivery', 'Cancelled'],
+    'Out for delivery': ['Delivered', 'Cancelled'],
+    Delivered: [],
+    Cancelled: []
+  },
+  blood: {
+    Requested: ['Matched', 'Rejected'],
+    Matched: ['Cross-matched', 'Rejected'],
+    'Cross-matched': ['Dispatched', 'Rejected'],
+    Dispatched: ['Fulfilled', 'Rejected'],
+    Fulfilled: [],
+    Rejected: [],
+    Cancelled: []
+  }
+};
+
+const findProduct = (sku) => CATALOG.find((p) => p.sku === sku) || null;
+
+// `stock` in CATALOG is only the seed for a fresh data folder; live counts are kept in INVENTORY_FILE.
+const loadInventory = () => {
+  const saved = readJsonFile(INVENTORY_FILE, {});
+  const stock = {};
+  for (const product of CATALOG) {
+    stock[product.sku] = Number.isInteger(saved && saved[product.sku]) ? saved[product.sku] : product.stock;
+  }
+  return stock;
+};
+
+const inventory = loadInventory();
+
+const saveInventory = () => writeJsonFile(INVENTORY_FILE, inventory);
+
+const listCatalog = () => CATALOG.map((product) => ({ ...product, stock: Math.max(0, inventory[product.sku] || 0) }));
+
+// Checks every line before touching any count, so an order either reserves all of its stock or none of it.
+const reserveStock = (order) => {
+  const errors = {};
+  const short = [];
+  order.items.forEach((it, i) => {
+    const left = Math.max(0, inventory[it.sku] || 0);
+    if (it.qty <= left) return;
+    short.push(it.sku);
+    errors[`items.${i}.qty`] =
+      left > 0 ? `Only ${left} left of ${it.name} (${it.sku}).` : `${it.name} (${it.sku}) is out of stock.`;
+  });
+  if (short.length) throw httpError(409, `Not enough stock for ${short.join(', ')}.`, { errors });
+
+  order.items.forEach((it) => {
+    inventory[it.sku] -= it.qty;
+  });
+  order.stockReserved = true;
+};
+
+const releaseStock = (order) => {
+  if (!order.stockReserved) return;
+  order.items.forEach((it) => {
+    inventory[it.sku] = (inventory[it.sku] || 0) + it.qty;
+  });
+  order.stockReserved = false;
+};
+
+// Delivery zones, fees, tax and slots. These defaults seed DELIVERY_FILE on first run; edit that file to change them.
+// A zone matches by pincode prefix first, then by city name. Slot times are local to `utcOffset`.
+const DEFAULT_DELIVERY = {
+  utcOffset: '+05:30',
+  taxes: [
+    { label: 'CGST', rate: 0.06 },
+    { label: 'SGST', rate: 0.06 }
+  ],
+  zones: [
+    {
+      id: 'PUNE',
+      name: 'Pune',
+      cities: ['Pune', 'Pimpri-Chinchwad'],
+      pincodes: ['411', '412'],
+      fee: 40,
+      freeAbove: 499,
+      minOrder: 50
+    },
+    {
+      id: 'MUMBAI',
+      name: 'Mumbai',
+      cities: ['Mumbai', 'Thane', 'Navi Mumbai'],
+      pincodes: ['400', '401'],
+      fee: 60,
+      freeAbove: 799,
+      minOrder: 100
+    }
+  ],
+  slots: {
+    days: 3,
+    leadMinutes: 60,
+    windows: [
+      { start: '09:00', end: '12:00', capacity: 8 },
+      { start: '12:00', end: '15:00', capacity: 8 },
+      { start: '15:00', end: '18:00', capacity: 8 },
+      { start: '18:00', end: '21:00', capacity: 6 }
+    ]
+  }
+};
+
+const loadDelivery = () => {
+  const saved = readJsonFile(DELIVERY_FILE, null);
+  return saved && typeof saved === 'object' && Array.isArray(saved.zones) ? saved : DEFAULT_DELIVERY;
+};
+
+const delivery = loadDelivery();
+
+const SLOT_ID = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/;
+const PINCODE = /^\d{6}$/;
+
+const findZone = (customer) => {
+  const pincode = String(customer.pincode || '');
+  const city = String(customer.city || '').toLowerCase();
+  return (
+    (pincode && delivery.zones.find((z) => (z.pincodes || []).some((prefix) => pincode.startsWith(prefix)))) ||
+    delivery.zones.find((z) => (z.cities || []).some((c) => c.toLowerCase() === city)) ||
+    null
+  );
+};
+
+const publicZone = (zone) =>
+  zone && { id: zone.id, name: zone.name, fee: zone.fee, freeAbove: zone.freeAbove, minOrder: zone.minOrder };
+
+const itemsValue = (items) => roundMoney(items.reduce((sum, it) => sum + it.price * it.qty, 0));
+
+// Subtotal, coupon discount, delivery fee, tax lines and grand total for a medicine order. Tax is charged on the
+// discounted items only; free delivery is judged on the subtotal before the discount.
+const priceOrder = (items, zone, discount = 0) => {
+  const subtotal = itemsValue(items);
+  const taxable = roundMoney(subtotal - discount);
+  const deliveryFee = zone && subtotal < zone.freeAbove ? roundMoney(zone.fee) : 0;
+  const taxes = (delivery.taxes || []).map((t) => ({
+    label: t.label,
+    rate: t.rate,
+    amount: roundMoney(taxable * t.rate)
+  }));
+  const total = roundMoney(taxable + deliveryFee + taxes.reduce((sum, t) => sum + t.amount, 0));
+  return { subtotal, discount, deliveryFee, taxes, total };
+};
+
+const slotStart = (date, time) => new Date(`${date}T${time}:00${delivery.utcOffset || 'Z'}`);
+
+// Today's date in the delivery time zone: shift "now" by the zone's offset and read it as UTC.
+const localToday = () => {
+  const offsetMs = Date.UTC(2000, 0, 1) - slotStart('2000-01-01', '00:00').getTime();
+  return new Date(Date.now() + offsetMs).toISOString().slice(0, 10);
+};
+
+const slotBookings = (slotId) =>
+  orders.filter(
+    (o) => o.type === 'medicine' && o.delivery && o.delivery.slot === slotId && !STOCK_RELEASE_STATUSES.has(o.status)
+  ).length;
+
+// Upcoming slots with what is left of their capacity. A slot stops being bookable `leadMinutes` before it starts.
+const listSlots = () => {
+  const config = delivery.slots || {};
+  const cutoff = Date.now() + (config.leadMinutes || 0) * 60 * 1000;
+  const today = localToday();
+  const slots = [];
+  for (let day = 0; day < (config.days || 1); day += 1) {
+    const date = addDays(today, day);
+    for (const w of config.windows || []) {
+      const id = `${date}T${w.start}`;
+      const remaining = Math.max(0, w.capacity - slotBookings(id));
+      const open = slotStart(date, w.start).getTime() > cutoff;
+      slots.push({
+        id,
+        date,
+        start: w.start,
+        end: w.end,
+        capacity: w.capacity,
+        remaining,
+        available: open && remaining > 0
+      });
+    }
+  }
+  return slots;
+};
+
+// Returns the slot to book. Orders placed offline could not see live slots, so when theirs is gone they get the
+// earliest open one instead of being rejected.
+const chooseSlot = (slotId, { offline }) => {
+  const slots = listSlots();
+  const slot = slots.find((s) => s.id === slotId);
+  if (slot && slot.available) return slot;
+  if (offline) {
+    const earliest = slots.find((s) => s.available);
+    if (earliest) return earliest;
+  }
+  if (!slotId) throw validationError({ 'delivery.slot': 'Choose a delivery slot.' });
+  const match = SLOT_ID.exec(slotId);
+  if (!match || !(delivery.slots.windows || []).some((w) => w.start === match[2])) {
+    throw validationError({ 'delivery.slot': 'Unknown delivery slot.' });
+  }
+  if (!slot || slotStart(match[1], match[2]).getTime() <= Date.now()) {
+    throw validationError({ 'delivery.slot': 'That delivery slot has already started. Pick a later one.' });
+  }
+  if (slot.remaining <= 0) {
+    throw httpError(409, 'That delivery slot is full.', { errors: { 'delivery.slot': 'This slot is full.' } });
+  }
+  throw validationError({ 'delivery.slot': 'That slot is too soon to deliver. Pick a later one.' });
+};
+
+// Coupons are managed by pharmacists in the admin console. `perCustomer` 0 means no per-customer limit; an empty
+// `expiresAt` never expires. Prescription items are never discounted, whatever the coupon lists.
+const COUPON_CODE = /^[A-Z0-9][A-Z0-9-]{2,19}$/;
+const COUPON_TYPES = ['percent', 'flat'];
+
+const loadCoupons = () => {
+  const parsed = readJsonFile(COUPONS_FILE, []);
+  return Array.isArray(parsed) ? parsed.filter((c) => c && typeof c === 'object' && c.code) : [];
+};
+
+const coupons = loadCoupons();
+
+const saveCoupons = () => writeJsonFile(COUPONS_FILE, coupons);
+
+const findCoupon = (code) => coupons.find((c) => c.code === code) || null;
+
+const textList = (value, maxItems) =>
+  (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((v) => cleanText(v, 40))
+    .filter(Boolean)
+    .slice(0, maxItems);
+
+const optionalNumber = (value) => (value === '' || value === null || value === undefined ? 0 : Number(value));
+
+const buildCoupon = (input, existing, user) => {
+  const c = input && typeof input === 'object' ? input : {};
+  const now = new Date().toISOString();
+  const coupon = {
+    code: existing ? existing.code : cleanText(c.code, 20).toUpperCase(),
+    description: cleanText(c.description, 120),
+    type: cleanText(c.type, 10),
+    value: Number(c.value),
+    minCart: optionalNumber(c.minCart),
+    skus: textList(c.skus, 50).map((sku) => sku.toUpperCase()),
+    tags: textList(c.tags, 10),
+    expiresAt: cleanText(c.expiresAt, 10),
+    perCustomer: optionalNumber(c.perCustomer),
+    active: c.active !== false,
+    createdAt: existing ? existing.createdAt : now,
+    createdBy: existing ? existing.createdBy : user.username,
+    updatedAt: now
+  };
+
+  const errors = {};
+  if (!COUPON_CODE.test(coupon.code)) errors.code = 'Use 3–20 letters, digits or dashes.';
+  else if (!existing && findCoupon(coupon.code)) errors.code = 'A coupon with this code already exists.';
+  if (!COUPON_TYPES.includes(coupon.type)) errors.type = 'Choose a percentage or flat discount.';
+  if (!Number.isFinite(coupon.value) || coupon.value <= 0) errors.value = 'Enter a discount above zero.';
+  else if (coupon.type === 'percent' && coupon.value > 100) errors.value = 'A percentage cannot be above 100.';
+  if (!Number.isFinite(coupon.minCart) || coupon.minCart < 0) errors.minCart = 'Enter 0 or more.';
+  const badSku = coupon.skus.find((sku) => !findProduct(sku) || findProduct(sku).tag === 'Prescription');
+  if (badSku) {
+    errors.skus = findProduct(badSku) ? `${badSku} is a prescription item.` : `Unknown SKU ${badSku}.`;
+  }
+  const tags = new Set(CATALOG.filter((p) => p.tag !== 'Prescription').map((p) => p.tag));
+  const badTag = coupon.tags.find((tag) => !tags.has(tag));
+  if (badTag) {
+    errors.tags = badTag === 'Prescription' ? 'Prescription items cannot be discounted.' : `Unknown tag ${badTag}.`;
+  }
+  if (coupon.expiresAt && !isIsoDate(coupon.expiresAt)) errors.expiresAt = 'Enter a valid date.';
+  if (!Number.isInteger(coupon.perCustomer) || coupon.perCustomer < 0) {
+    errors.perCustomer = 'Enter a whole number (0 for no limit).';
+  }
+  if (Object.keys(errors).length) throw validationError(errors);
+  coupon.value = roundMoney(coupon.value);
+  coupon.minCart = roundMoney(coupon.minCart);
+  return coupon;
+};
+
+// Orders that used the coupon and still stand; cancelled and rejected orders give the use back. `exceptId` leaves out
+// the order being edited.
+const couponUses = (code, phone = '', exceptId = '') =>
+  orders.filter(
+    (o) =>
+      o.id !== exceptId &&
+      o.coupon &&
+      o.coupon.code === code &&
+      !STOCK_RELEASE_STATUSES.has(o.status) &&
+      (!phone || phoneKey(o.customer.phone) === phoneKey(phone))
+  ).length;
+
+const couponCovers = (coupon, product) =>
+  Boolean(product) &&
+  product.tag !== 'Prescription' &&
+  ((!coupon.skus.length && !coupon.tags.length) ||
+    coupon.skus.includes(product.sku) ||
+    coupon.tags.includes(product.tag));
+
+const publicCoupon = (coupon) => ({
+  code: coupon.code,
+  description: coupon.description,
+  type: coupon.type,
+  value: coupon.value,
+  minCart: coupon.minCart,
+  skus: coupon.skus,
+  tags: coupon.tags,
+  expiresAt: coupon.expiresAt
+});
+
+// The discount `code` gives on these priced items, or why it does not apply. The per-customer limit is checked only
+// when a phone number is known; checkout always has one.
+const applyCoupon = (code, items, phone, exceptId = '') => {
+  const coupon = findCoupon(code);
+  if (!coupon || !coupon.active) return { error: 'This coupon code is not valid.' };
+  if (coupon.expiresAt && coupon.expiresAt < localToday()) return { error: 'This coupon has expired.' };
+  if (itemsValue(items) < coupon.minCart) return { error: `This coupon needs a cart of ₹${coupon.minCart} or more.` };
+  const base = itemsValue(items.filter((it) => couponCovers(coupon, findProduct(it.sku))));
+  if (!base) return { error: 'This coupon does not apply to the items in your cart.' };
+  if (coupon.perCustomer && phone && couponUses(coupon.code, phone, exceptId) >= coupon.perCustomer) {
+    return {
+      error:
+        coupon.perCustomer === 1
+          ? 'You have already used this coupon.'
+          : `This coupon can be used ${coupon.perCustomer} times per customer.`
+    };
+  }
+  const discount = roundMoney(coupon.type === 'percent' ? (base * coupon.value) / 100 : Math.min(coupon.value, base));
+  return { coupon: { code: coupon.code, description: coupon.description, discount } };
+};
+
+// Red-cell compatibility: recipient group -> donor groups in order of preference. The exact group comes first and
+// O- (the universal donor) last, so it is kept for patients who cannot take anything else.
+const RED_CELL_DONORS = {
+  'O-': ['O-'],
+  'O+': ['O+', 'O-'],
+  'A-': ['A-', 'O-'],
+  'A+': ['A+', 'A-', 'O+', 'O-'],
+  'B-': ['B-', 'O-'],
+  'B+': ['B+', 'B-', 'O+', 'O-'],
+  'AB-': ['AB-', 'A-', 'B-', 'O-'],
+  'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-']
+};
+
+// Non-emergency requests may not take the last units of a donor group; those stay for Emergency requests.
+const EMERGENCY_RESERVE_UNITS = 2;
+
+const BLOOD_BANKS = [
+  { id: 'BB-CITY', name: 'City Blood Bank', city: 'Pune' },
+  { id: 'BB-REDCROSS', name: 'Red Cross Blood Centre', city: 'Pune' },
+  { id: 'BB-GENERAL', name: 'General Hospital Blood Bank', city: 'Mumbai' }
+];
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Demo stock for a fresh data folder: a few lots per group per bank, with O- and AB- deliberately scarce.
+const seedBloodLots = () => {
+  const today = todayIso();
+  const lots = [];
+  BLOOD_BANKS.forEach((bank, b) => {
+    BLOOD_TYPES.forEach((group, g) => {
+      const scarce = group === 'O-' || group === 'AB-';
+      const units = scarce ? (b + g) % 3 : 2 + ((b * 3 + g) % 5);
+      if (units === 0) return;
+      lots.push({
+        id: `LOT-${bank.id.slice(3)}-${group.replace('+', 'POS').replace('-', 'NEG')}-1`,
+        bankId: bank.id,
+        group,
+        units,
+        expiresOn: addDays(today, 4 + ((b * 7 + g * 5) % 30))
+      });
+    });
+  });
+  return lots;
+};
+
+const loadBloodStock = () => {
+  const saved = readJsonFile(BLOOD_STOCK_FILE, null);
+  const lots = saved && Array.isArray(saved.lots) ? saved.lots : seedBloodLots();
+  return { lots: lots.filter((lot) => lot && lot.id && BLOOD_TYPES.includes(lot.group)) };
+};
+
+const bloodStock = loadBloodStock();
+
+const saveBloodStock = () => writeJsonFile(BLOOD_STOCK_FILE, bloodStock);
+
+const findBank = (id) => BLOOD_BANKS.find((bank) => bank.id === id) || null;
+
+const usableLots = (group, today) =>
+  bloodStock.lots
+    .filter((lot) => lot.group === group && lot.units > 0 && lot.expiresOn >= today)
+    .sort((a, b) => a.expiresOn.localeCompare(b.expiresOn));
+
+// Exact group first, earliest-expiring lots first within a group. Only reads stock; see holdBloodUnits.
+const planBloodAllocation = (request) => {
+  const today = todayIso();
+  const emergency = request.urgency === 'Emergency';
+  const compatibleGroups = RED_CELL_DONORS[request.bloodType] || [];
+  const lines = [];
+  let needed = request.units;
+  let reserveHeld = false;
+
+  for (const group of compatibleGroups) {
+    if (needed <= 0) break;
+    const lots = usableLots(group, today);
+    const onHand = lots.reduce((sum, lot) => sum + lot.units, 0);
+    let spare = emergency ? onHand : Math.max(0, onHand - EMERGENCY_RESERVE_UNITS);
+    if (spare < Math.min(onHand, needed)) reserveHeld = true;
+
+    for (const lot of lots) {
+      if (needed <= 0 || spare <= 0) break;
+      const units = Math.min(lot.units, needed, spare);
+      const bank = findBank(lot.bankId);
+      lines.push({
+        lotId: lot.id,
+        bankId: lot.bankId,
+        bankName: bank ? bank.name : lot.bankId,
+        group,
+        units,
+        expiresOn: lot.expiresOn
+      });
+      needed -= units;
+      spare -= units;
+    }
+  }
+
+  return {
+    compatibleGroups,
+    lines,
+    allocated: request.units - needed,
+    shortfall: needed,
+    reserveHeld: reserveHeld && needed > 0
+  };
+};
+
+const holdBloodUnits = (order) => {
+  const plan = planBloodAllocation(order.request);
+  plan.lines.forEach((line) => {
+    const lot = bloodStock.lots.find((l) => l.id === line.lotId);
+    if (lot) lot.units -= line.units;
+  });
+  order.allocation = { ...plan, proposedAt: new Date().toISOString(), held: plan.allocated > 0 };
+};
+
+const releaseBloodUnits = (order) => {
+  if (!order.allocation || !order.allocation.held) return;
+  order.allocation.lines.forEach((line) => {
+    const lot = bloodStock.lots.find((l) => l.id === line.lotId);
+    if (lot) lot.units += line.units;
+  });
+  order.allocation.held = false;
+};
+
+const summarizeBloodStock = () => {
+  const today = todayIso();
+  return BLOOD_BANKS.map((bank) => ({
+    ...bank,
+    groups: BLOOD_TYPES.map((group) => {
+      const lots = bloodStock.lots.filter((l) => l.bankId === bank.id && l.group === group && l.expiresOn >= today);
+      const units = lots.reduce((sum, lot) => sum + Math.max(0, lot.units), 0);
+      const nextExpiry = lots.filter((l) => l.units > 0).map((l) => l.expiresOn).sort()[0] || '';
+      return { group, units, nextExpiry };
+    })
+  }));
+};
+
+const parseIntStrict = (value) => {
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) ? Number.parseInt(text, 10) : NaN;
+};
+
+const isValidPhone = (phone) => /^\+?[\d\s-]+$/.test(phone) && /^(\D*\d){7,15}\D*$/.test(phone);
+
+const validationError = (errors) => httpError(400, 'Please fix the highlighted fields.', { errors });
+
+// Field keys mirror the order payload (`customer.phone`, `items.0.qty`, ...) so clients can map them to inputs.
+const validateCustomer = (customer, errors, { requireAddress }) => {
+  if (!customer.name) errors['customer.name'] = 'Name is required.';
+  if (!customer.phone) errors['customer.phone'] = 'Phone is required.';
+  else if (!isValidPhone(customer.phone)) errors['customer.phone'] = 'Enter a valid phone number (7–15 digits).';
+  if (requireAddress) {
+    if (!customer.address) errors['customer.address'] = 'Address is required.';
+    if (!customer.city) errors['customer.city'] = 'City is required.';
+  }
+  if (customer.pincode && !PINCODE.test(customer.pincode)) errors['customer.pincode'] = 'Pincode must be 6 digits.';
+};
+
+const priceItems = (input, errors) => {
+  const lines = Array.isArray(input) ? input : [];
+  if (lines.length === 0) {
+    errors.items = 'Add at least one item to your cart.';
+    return [];
+  }
+  if (lines.length > MAX_ORDER_LINES) {
+    errors.items = `An order can contain at most ${MAX_ORDER_LINES} different items.`;
+    return [];
+  }
+
+  const seen = new Set();
+  const items = [];
+  lines.forEach((line, i) => {
+    const sku = cleanText(line && line.sku, 40);
+    const qty = parseIntStrict(line && line.qty);
+    const product = findProduct(sku);
+
+    if (!product) {
+      errors[`items.${i}.sku`] = sku ? `Unknown item ${sku}.` : 'Item is missing a SKU.';
+      return;
+    }
+    if (seen.has(sku)) {
+      errors[`items.${i}.sku`] = `${sku} is listed more than once.`;
+      return;
+    }
+    seen.add(sku);
+    if (!Number.isInteger(qty) || qty < 1 || qty > 99) {
+      errors[`items.${i}.qty`] = `Quantity for ${product.name} must be between 1 and 99.`;
+      return;
+    }
+    items.push({ sku, name: product.name, price: product.price, qty });
+  });
+  return items;
+};
+
+const parsePrescription = (input, errors) => {
+  const rx = input && typeof input === 'object' ? input : {};
+  const file = rx.rxFile && typeof rx.rxFile === 'object' ? rx.rxFile : null;
+  const prescriberName = cleanText(rx.prescriberName, 80);
+  const prescriberRegNo = cleanText(rx.prescriberRegNo, 40);
+
+  if (!prescriberName) errors['prescription.prescriberName'] = 'Prescriber name is required.';
+  if (!prescriberRegNo) errors['prescription.prescriberRegNo'] = 'Prescriber registration number is required.';
+
+  if (!file || !file.data) {
+    errors['prescription.rxFile'] = 'Upload a prescription (image or PDF) for prescription items.';
+    return null;
+  }
+
+  const mimeType = cleanText(file.type, 60);
+  const kind = RX_TYPES[mimeType];
+  const buffer = Buffer.from(String(file.data).replace(/^data:[^,]*;base64,/, ''), 'base64');
+  if (!kind || !kind.test(buffer)) {
+    errors['prescription.rxFile'] = 'Prescription must be a JPEG, PNG, WebP image or a PDF.';
+    return null;
+  }
+  if (buffer.length > MAX_RX_BYTES) {
+    errors['prescription.rxFile'] = 'Prescription file must be 5 MB or smaller.';
+    return null;
+  }
+
+  return {
+    buffer,
+    meta: {
+      fileName: cleanText(file.name, 120) || `prescription.${kind.ext}`,
+      mimeType,
+      size: buffer.length,
+      prescriberName,
+      prescriberRegNo
+    }
+  };
+};
+
+// `offline` marks a replayed outbox order, which may have its delivery slot reassigned (see chooseSlot).
+const buildOrder = (input, { offline = false } = {}) => {
+  if (!input || typeof input !== 'object') throw httpError(400, 'Missing order.');
+
+  const createdAt = new Date().toISOString();
+  const customer = normalizeCustomer(input.customer);
+  const note = cleanText(input.note, 300);
+  const language = notificationLanguage(input.language);
+  const errors = {};
+
+  if (input.type === 'medicine') {
+    validateCustomer(customer, errors, { requireAddress: true });
+    const items = priceItems(input.items, errors);
+    const needsRx = items.some((it) => findProduct(it.sku).tag === 'Prescription');
+    const rx = needsRx ? parsePrescription(input.prescription, errors) : null;
+    const zone = findZone(customer);
+    if (customer.city && !errors['customer.city'] && !zone) {
+      errors['customer.city'] = 'We do not deliver to this city or pincode yet.';
+    }
+    const couponCode = cleanText(input.coupon, 20).toUpperCase();
+    const applied = couponCode && items.length ? applyCoupon(couponCode, items, customer.phone) : {};
+    if (applied.error) errors.coupon = applied.error;
+    const pricing = priceOrder(items, zone, applied.coupon ? applied.coupon.discount : 0);
+    if (zone && items.length && pricing.subtotal < zone.minOrder) {
+      errors.items = `The minimum order for delivery in ${zone.name} is ₹${zone.minOrder}.`;
+    }
+    if (Object.keys(errors).length) throw validationError(errors);
+    const slot = chooseSlot(cleanText(input.delivery && input.delivery.slot, 20), { offline });
+
+    const id = makeOrderId();
+    const status = rx ? RX_PENDING : 'Placed';
+    const order = {
+      id,
+      createdAt,
+      type: 'medicine',
+      status,
+      customer,
+      items,
+      note,
+      language,
+      ...pricing,
+      ...(applied.coupon ? { coupon: applied.coupon } : {}),
+      delivery: {
+        zoneId: zone.id,
+        zoneName: zone.name,
+        slot: slot.id,
+        date: slot.date,
+        start: slot.start,
+        end: slot.end
+      },
+      history: [{ status, at: createdAt, note: '' }]
+    };
+    if (!rx) return { order, rxFile: null };
+
+    order.prescription = {
+      ...rx.meta,
+      file: `${id}.${RX_TYPES[rx.meta.mimeType].ext}`,
+      uploadedAt: createdAt,
+      review: null
+    };
+    return { order, rxFile: rx.buffer };
+  }
+
+  if (input.type === 'blood') {
+    const req = input.request && typeof input.request === 'object' ? input.request : {};
+    const bloodType = cleanText(req.bloodType, 4).toUpperCase();
+    const units = parseIntStrict(req.units);
+    const urgency = cleanText(req.urgency, 20) || 'Routine';
+
+    validateCustomer(customer, errors, { requireAddress: false });
+    if (!BLOOD_TYPES.includes(bloodType)) errors['request.bloodType'] = 'Select a valid blood type.';
+    if (!Number.isInteger(units) || units < 1 || units > 10) {
+      errors['request.units'] = 'Units must be between 1 and 10.';
+    }
+    if (!URGENCIES.includes(urgency)) errors['request.urgency'] = 'Select a valid urgency.';
+    if (Object.keys(errors).length) throw validationError(errors);
+
+    const order = {
+      id: makeOrderId(),
+      createdAt,
+      type: 'blood',
+      status: 'Requested',
+      customer,
+      language,
+      request: {
+        bloodType,
+        units,
+        urgency,
+        hospital: cleanText(req.hospital, 80),
+        patientName: cleanText(req.patientName, 80)
+      },
+      note,
+      history: [{ status: 'Requested', at: createdAt, note: '' }]
+    };
+    return { order, rxFile: null };
+  }
+
+  throw httpError(400, 'Unknown order type.');
+};
+
+const nextStatuses = (order) => {
+  const flow = STATUS_FLOWS[order.type] || {};
+  return flow[order.status] || [];
+};
+
+const STOCK_RELEASE_STATUSES = new Set(['Cancelled', RX_REJECTED, 'Rejected']);
+
+const setStatus = (order, status, note) => {
+  const at = new Date().toISOString();
+  order.status = status;
+  order.updatedAt = at;
+  order.history.push({ status, at, note });
+  if (STOCK_RELEASE_STATUSES.has(status)) {
+    releaseStock(order);
+    releaseBloodUnits(order);
+  }
+  return order;
+};
+
+// Records a change that leaves the status as it is.
+const addHistoryNote = (order, note) => {
+  const at = new Date().toISOString();
+  order.updatedAt = at;
+  order.history.push({ status: order.status, at, note });
+  return order;
+};
+
+const transitionOrder = (order, status, note) => {
+  const allowed = nextStatuses(order);
+  if (!allowed.includes(status)) {
+    throw httpError(409, `Cannot move a ${order.type} order from "${order.status}" to "${status || '(none)'}".`, {
+      allowed
+    });
+  }
+  if (Object.values(DELIVERED_STATUS).includes(status)) requireColdChainClear(order);
+  return setStatus(order, status, note);
+};
+
+const reviewPrescription = (order, decision, reason) => {
+  if (!order.prescription || order.status !== RX_PENDING) {
+    throw httpError(409, 'This order is not waiting for prescription verification.');
+  }
+  const at = new Date().toISOString();
+  if (decision === 'approve') {
+    order.prescription.review = { decision: 'approved', at, reason: '' };
+    return setStatus(order, 'Placed', 'Prescription verified.');
+  }
+  if (decision === 'reject') {
+    if (!reason) throw validationError({ reason: 'Give a reason for rejecting the prescription.' });
+    order.prescription.review = { decision: 'rejected', at, reason };
+    return setStatus(order, RX_REJECTED, reason);
+  }
+  throw httpError(400, 'Decision must be "approve" or "reject".');
+};
+
+// Customers may cancel until the order is being packed (or the blood is being cross-matched), and change a medicine
+// order until it is packed. Later changes go through the pharmacy or blood bank.
+const CUSTOMER_CANCEL_STATUSES = {
+  medicine: [RX_PENDING, 'Placed', 'Confirmed'],
+  blood: ['Requested', 'Matched']
+};
+const CUSTOMER_EDIT_STATUSES = [RX_PENDING, 'Placed', 'Confirmed'];
+
+// Track is open to anyone with the order ID, so changes also need the phone number the order was placed with (or a
+// customer session for that number). Wrong numbers are throttled per order and per address so the number cannot be
+// guessed; a signed-in customer is never locked out.
+const isOrderCustomer = (req, order) => {
+  const customer = currentCustomer(req);
+  return Boolean(customer) && customer.phone === phoneKey(order.customer.phone);
+};
+
+const requireOrderOwner = (req, order, phone) => {
+  if (isOrderCustomer(req, order)) return;
+  const orderKey = `order:${order.id}`;
+  const addressKey = `address:${clientAddress(req)}`;
+  if (
+    isThrottled(ownerFailures, orderKey, MAX_OWNER_FAILURES) ||
+    isThrottled(ownerFailures, addressKey, MAX_OWNER_FAILURES_PER_ADDRESS)
+  ) {
+    throw httpError(429, 'Too many wrong phone numbers. Try again in a few minutes, or sign in on My orders.');
+  }
+  if (phone && phoneKey(phone) === phoneKey(order.customer.phone)) {
+    ownerFailures.delete(orderKey);
+    return;
+  }
+  if (phone) {
+    recordFailure(ownerFailures, orderKey);
+    recordFailure(ownerFailures, addressKey);
+  }
+  throw httpError(403, 'Enter the phone number this order was placed with.', {
+    errors: { phone: phone ? 'This is not the phone number on the order.' : 'Phone is required.' }
+  });
+};
+
+const cancelByCustomer = (order, reason) => {
+  if (!(CUSTOMER_CANCEL_STATUSES[order.type] || []).includes(order.status)) {
+    throw httpError(409, `This order is "${order.status}" and can no longer be cancelled online. Please call us.`);
+  }
+  if (!reason) throw validationError({ reason: 'Tell us why you are cancelling.' });
+  return setStatus(order, 'Cancelled', `Cancelled by the customer: ${reason}`);
+};
+
+// Applies the customer's changes to address, note and item quantities in one go: the new quantities must be in stock,
+// the address must still be in a delivery zone, and the order is re-priced. Prescription quantities can only go down,
+// since the pharmacist checks them against the prescription. A coupon that no longer applies is dropped.
+const editByCustomer = (order, input) => {
+  if (order.type !== 'medicine') throw httpError(409, 'Blood requests cannot be changed online. Please call us.');
+  if (!CUSTOMER_EDIT_STATUSES.includes(order.status)) {
+    throw httpError(409, `This order is "${order.status}" and can no longer be changed online. Please call us.`);
+  }
+  const errors = {};
+  const changes = [];
+  const patch = input.customer && typeof input.customer === 'object' ? input.customer : {};
+  const customer = { ...order.customer };
+  for (const [field, max] of [['address', 140], ['city', 60], ['pincode', 6]]) {
+    if (patch[field] === undefined) continue;
+    const value = cleanText(patch[field], max);
+    if (value !== customer[field]) changes.push(field);
+    customer[field] = value;
+  }
+  validateCustomer(customer, errors, { requireAddress: true });
+
+  const note = input.note === undefined ? order.note : cleanText(input.note, 300);
+  if (note !== order.note) changes.push('note');
+
+  const wanted = new Map((Array.isArray(input.items) ? input.items : []).map((l) => [l && l.sku, l && l.qty]));
+  const items = [];
+  order.items.forEach((it, i) => {
+    if (!wanted.has(it.sku)) {
+      items.push(it);
+      return;
+    }
+    const qty = parseIntStrict(wanted.get(it.sku));
+    if (!Number.isInteger(qty) || qty > 99) {
+      errors[`items.${i}.qty`] = `Quantity for ${it.name} must be between 0 and 99.`;
+    } else if (qty > it.qty && (findProduct(it.sku) || {}).tag === 'Prescription') {
+      errors[`items.${i}.qty`] = `${it.name} needs a prescription; its quantity can only be lowered.`;
+    } else if (qty !== it.qty) {
+      changes.push(qty ? `${it.name} ${it.qty} → ${qty}` : `${it.name} removed`);
+    }
+    if (qty) items.push({ ...it, qty: Number.isInteger(qty) ? qty : it.qty });
+  });
+  if (!items.length) errors.items = 'An order needs at least one item. Cancel the order instead.';
+
+  const zone = findZone(customer);
+  if (customer.city && !errors['customer.city'] && !zone) {
+    errors['customer.city'] = 'We do not deliver to this city or pincode yet.';
+  }
+  let coupon = order.coupon || null;
+  if (coupon && items.length) {
+    const applied = applyCoupon(coupon.code, items, customer.phone, order.id);
+    if (applied.error) changes.push(`coupon ${coupon.code} removed (${applied.error})`);
+    coupon = applied.coupon || null;
+  }
+  const pricing = priceOrder(items, zone, coupon ? coupon.discount : 0);
+  if (zone && items.length && pricing.subtotal < zone.minOrder) {
+    errors.items = `The minimum order for delivery in ${zone.name} is ₹${zone.minOrder}.`;
+  }
+  if (Object.keys(errors).length) throw validationError(errors);
+  if (!changes.length) throw httpError(400, 'Nothing was changed.');
+
+  if (order.stockReserved) {
+    const short = {};
+    order.items.forEach((before, i) => {
+      const after = items.find((it) => it.sku === before.sku);
+      const left = Math.max(0, inventory[before.sku] || 0);
+      if (after && after.qty - before.qty > left) {
+        short[`items.${i}.qty`] = `Only ${before.qty + left} available of ${before.name}.`;
+      }
+    });
+    if (Object.keys(short).length) throw httpError(409, 'Not enough stock for the new quantities.', { errors: short });
+    releaseStock(order);
+    order.items = items;
+    reserveStock(order);
+  } else {
+    order.items = items;
+  }
+
+  order.customer = customer;
+  order.note = note;
+  Object.assign(order, pricing);
+  if (coupon) order.coupon = coupon;
+  else delete order.coupon;
+  order.delivery = { ...order.delivery, zoneId: zone.id, zoneName: zone.name };
+  return addHistoryNote(order, `Changed by the customer: ${changes.join('; ')}.`);
+};
+
+const savePrescriptionFile = (order, buffer) => {
+  fs.mkdirSync(PRESCRIPTIONS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(PRESCRIPTIONS_DIR, order.prescription.file), buffer);
+};
+
+// Delivery jobs. A dispatcher assigns a rider once the order is ready to leave; the rider marks the pickup and hands
+// over against a one-time code that only the customer can see, capturing the recipient's name and signature.
+const ASSIGNABLE_STATUSES = { medicine: ['Packed'], blood: ['Dispatched'] };
+const DELIVERED_STATUS = { medicine: 'Delivered', blood: 'Fulfilled' };
+const ON_THE_ROAD_STATUSES = ['Packed', 'Out for delivery', 'Dispatched'];
+const MAX_SIGNATURE_BYTES = 200 * 1024;
+
+const listRiders = () => refreshUsers().filter((u) => u.roles.includes('rider'));
+
+const makeHandoverCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// The handover code stays on the server: everything sent to staff, riders and the Track view goes through this. It
+// also leaves out where staff alerts were sent.
+const publicOrder = (order) => {
+  const shown = order.notifications
+    ? { ...order, notifications: order.notifications.map(({ to, ...record }) => record) }
+    : order;
+  if (!shown.assignment) return shown;
+  const { handoverCode, ...assignment } = shown.assignment;
+  return { ...shown, assignment: { ...assignment, hasCode: Boolean(handoverCode) } };
+};
+
+const isActiveJob = (order) => Boolean(order.assignment) && ON_THE_ROAD_STATUSES.includes(order.status);
+
+// Until the rider has picked it up, an order can be given to another rider; the handover code stays the same.
+const assignRider = (order, username, user) => {
+  if (!(ASSIGNABLE_STATUSES[order.type] || []).includes(order.status)) {
+    throw httpError(409, `Only ${order.type === 'blood' ? 'Dispatched' : 'Packed'} orders can be given to a rider.`);
+  }
+  if (order.assignment && order.assignment.pickedUpAt) throw httpError(409, 'The rider has already picked this up.');
+  const rider = findUser(username);
+  if (!rider || !rider.roles.includes('rider')) throw validationError({ rider: 'Choose a rider.' });
+  const previous = order.assignment;
+  order.assignment = {
+    rider: rider.username,
+    riderName: rider.name,
+    assignedAt: new Date().toISOString(),
+    assignedBy: user.username,
+    pickedUpAt: '',
+    handoverCode: (previous && previous.handoverCode) || makeHandoverCode()
+  };
+  return addHistoryNote(order, `${previous ? 'Reassigned' : 'Assigned'} to ${rider.name}.`);
+};
+
+const requireAssignedRider = (order, user) => {
+  if (!order.assignment || order.assignment.rider !== user.username) {
+    throw httpError(403, 'This delivery is not assigned to you.');
+  }
+};
+
+const markPickedUp = (order, user) => {
+  requireAssignedRider(order, user);
+  if (order.assignment.pickedUpAt) throw httpError(409, 'This delivery has already been picked up.');
+  if (!(ASSIGNABLE_STATUSES[order.type] || []).includes(order.status)) {
+    throw httpError(409, `This order is "${order.status}" and cannot be picked up.`);
+  }
+  order.assignment.pickedUpAt = new Date().toISOString();
+  const note = `Picked up by ${order.assignment.riderName}.`;
+  return order.type === 'medicine' ? setStatus(order, 'Out for delivery', note) : addHistoryNote(order, note);
+};
+
+const parseSignature = (dataUrl) => {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  const buffer = match ? Buffer.from(match[1], 'base64') : null;
+  if (!buffer || !RX_TYPES['image/png'].test(buffer)) return null;
+  return buffer.length <= MAX_SIGNATURE_BYTES ? buffer : null;
+};
+
+const codeMatches = (expected, given) => {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(given || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const completeDelivery = (order, user, input) => {
+  requireAssignedRider(order, user);
+  if (!order.assignment.pickedUpAt) throw httpError(409, 'Mark the pickup before the handover.');
+  const delivered = DELIVERED_STATUS[order.type];
+  if (!nextStatuses(order).includes(delivered)) {
+    throw httpError(409, `This order is "${order.status}" and cannot be handed over.`);
+  }
+  requireColdChainClear(order);
+  const errors = {};
+  const recipientName = cleanText(input.recipientName, 80);
+  const signature = parseSignature(input.signature);
+  if (!recipientName) errors.recipientName = 'Enter the name of the person receiving the order.';
+  if (!signature) errors.signature = 'Ask the recipient to sign.';
+  if (!codeMatches(order.assignment.handoverCode, cleanText(input.code, 10))) {
+    errors.code = 'The handover code does not match. Ask the customer to check the Track page.';
+  }
+  if (Object.keys(errors).length) throw validationError(errors);
+
+  const file = `${order.id}.png`;
+  fs.mkdirSync(SIGNATURES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(SIGNATURES_DIR, file), signature);
+  order.proof = {
+    recipientName,
+    signatureFile: file,
+    codeVerified: true,
+    rider: user.username,
+    riderName: order.assignment.riderName,
+    deliveredAt: new Date().toISOString()
+  };
+  delete order.assignment.handoverCode;
+  return setStatus(order, delivered, `Handed over to ${recipientName}; handover code verified.`);
+};
+
+// Cold chain. Blood requests and orders with refrigerated items carry a temperature log, uploaded per shipment from a
+// data logger. Readings outside the allowed range form excursions, which hold the order back from Delivered or
+// Fulfilled until the pharmacist or blood bank resolves them. These defaults seed COLD_CHAIN_FILE on first run.
+const DEFAULT_COLD_CHAIN = {
+  classes: {
+    'whole-blood': { label: 'Whole blood', min: 2, max: 6 },
+    insulin: { label: 'Insulin', min: 2, max: 8 }
+  }
+};
+const COLD_CHAIN_ROLES = { medicine: 'pharmacist', blood: 'bloodbank' };
+const READING_TIME_KEYS = ['at', 'time', 'timestamp'];
+const READING_TEMP_KEYS = ['celsius', 'temperature', 'temp'];
+const MAX_READINGS = 5000;
+
+const loadColdChain = () => {
+  const saved = readJsonFile(COLD_CHAIN_FILE, null);
+  return saved && typeof saved === 'object' && saved.classes && typeof saved.classes === 'object'
+    ? saved
+    : DEFAULT_COLD_CHAIN;
+};
+
+const coldChain = loadColdChain();
+
+// The narrowest range that suits every cold-chain class in the order, or null when nothing needs cooling.
+const coldChainRange = (order) => {
+  const ids =
+    order.type === 'blood'
+      ? ['whole-blood']
+      : [...new Set((order.items || []).map((it) => (findProduct(it.sku) || {}).coldChain).filter(Boolean))];
+  const classes = ids.filter((id) => coldChain.classes[id]).map((id) => coldChain.classes[id]);
+  if (!classes.length) return null;
+  return {
+    label: classes.map((c) => c.label).join(', '),
+    min: Math.max(...classes.map((c) => c.min)),
+    max: Math.min(...classes.map((c) => c.max))
+  };
+};
+
+const unresolvedExcursions = (order) =>
+  ((order.coldChain && order.coldChain.excursions) || []).filter((e) => !e.resolution);
+
+const requireColdChainClear = (order) => {
+  const open = unresolvedExcursions(order);
+  if (!open.length) return;
+  const what = open.length === 1 ? 'the temperature excursion' : `${open.length} temperature excursions`;
+  throw httpError(409, `Resolve ${what} on this order first.`, { excursions: open.map((e) => e.id) });
+};
+
+// Data loggers export "time,celsius" (or timestamp/temperature) with a header row.
+const csvRows = (text) => {
+  const split = (line) => line.split(',').map((cell) => cell.trim().replace(/^"|"$/g, ''));
+  const lines = String(text).split(/\r?\n/).filter((line) => line.trim());
+  const header = split(lines.shift() || '').map((h) => h.toLowerCase());
+  return lines.map((line) => {
+    const cells = split(line);
+    return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+  });
+};
+
+const pickField = (row, keys) => row[keys.find((key) => row[key] !== undefined)];
+
+const parseReadings = (rows) => {
+  if (!Array.isArray(rows) || !rows.length) throw validationError({ readings: 'Send at least one reading.' });
+  if (rows.length > MAX_READINGS) throw validationError({ readings: `Send at most ${MAX_READINGS} readings at once.` });
+  const errors = {};
+  const readings = [];
+  rows.forEach((row, i) => {
+    const r = row && typeof row === 'object' ? row : {};
+    const at = new Date(String(pickField(r, READING_TIME_KEYS) ?? '').trim());
+    const text = String(pickField(r, READING_TEMP_KEYS) ?? '').trim();
+    const celsius = Number(text);
+    if (Number.isNaN(at.getTime()) || !text || !Number.isFinite(celsius) || Math.abs(celsius) > 80) {
+      if (Object.keys(errors).length < 5) {
+        errors[`readings.${i}`] = `Reading ${i + 1} needs a time and a temperature in °C.`;
+      }
+      return;
+    }
+    readings.push({ at: at.toISOString(), celsius: Math.round(celsius * 10) / 10 });
+  });
+  if (Object.keys(errors).length) throw validationError(errors);
+  return readings;
+};
+
+// Runs of consecutive readings outside the range. An excursion is known by the time of its first reading, so its
+// resolution survives later uploads, unless the new readings make the excursion longer.
+const findExcursions = (readings, range, previous) => {
+  const runs = [];
+  let run = null;
+  for (const r of readings) {
+    if (r.celsius >= range.min && r.celsius <= range.max) {
+      run = null;
+      continue;
+    }
+    if (!run) {
+      run = { start: r.at, end: r.at, low: r.celsius, high: r.celsius, readings: 0 };
+      runs.push(run);
+    }
+    run.end = r.at;
+    run.low = Math.min(run.low, r.celsius);
+    run.high = Math.max(run.high, r.celsius);
+    run.readings += 1;
+  }
+  const now = new Date().toISOString();
+  return runs.map((r) => {
+    const id = `EX-${Date.parse(r.start).toString(36).toUpperCase()}`;
+    const old = previous.find((e) => e.id === id);
+    const resolution = old && old.end === r.end ? old.resolution : null;
+    return { id, ...r, flaggedAt: old ? old.flaggedAt : now, resolution };
+  });
+};
+
+const logTemperatures = (order, readings, user) => {
+  const range = coldChainRange(order);
+  if (!range) throw httpError(409, 'This order has nothing that needs cold-chain logging.');
+  const log = order.coldChain || { readings: [], excursions: [] };
+  const byTime = new Map(log.readings.map((r) => [r.at, r]));
+  readings.forEach((r) => byTime.set(r.at, r));
+  if (byTime.size > MAX_READINGS) throw httpError(409, `An order can hold at most ${MAX_READINGS} readings.`);
+  const all = [...byTime.values()].sort((a, b) => a.at.localeCompare(b.at));
+  const excursions = findExcursions(all, range, log.excursions);
+  const wasOpen = (e) => log.excursions.some((old) => old.id === e.id && !old.resolution);
+  const fresh = excursions.filter((e) => !e.resolution && !wasOpen(e));
+  order.coldChain = { ...range, readings: all, excursions };
+  const flagged = fresh.length
+    ? `; ${fresh.length} excursion${fresh.length === 1 ? '' : 's'} outside ${range.min}–${range.max} °C flagged`
+    : '';
+  addHistoryNote(order, `${readings.length} temperature readings logged by ${user.name}${flagged}.`);
+  return fresh;
+};
+
+const resolveExcursion = (order, excursionId, note, user) => {
+  const excursion = ((order.coldChain && order.coldChain.excursions) || []).find((e) => e.id === excursionId);
+  if (!excursion) throw httpError(404, 'Excursion not found.');
+  if (excursion.resolution) throw httpError(409, 'This excursion is already resolved.');
+  if (!note) throw validationError({ note: 'Say what was checked and why the shipment can go ahead.' });
+  excursion.resolution = { by: user.username, byName: user.name, at: new Date().toISOString(), note };
+  const peak = excursion.high > order.coldChain.max ? excursion.high : excursion.low;
+  return addHistoryNote(order, `Temperature excursion (${peak} °C) resolved by ${user.name}: ${note}`);
+};
+
+// Minimum gap between whole-blood donations.
+const DONATION_INTERVAL_DAYS = 90;
+const DONOR_RESPONSES = ['contacted', 'accepted', 'declined'];
+
+const loadDonors = () => {
+  const parsed = readJsonFile(DONORS_FILE, []);
+  return Array.isArray(parsed) ? parsed.filter((d) => d && typeof d === 'object' && d.id) : [];
+};
+
+const donors = loadDonors();
+
+const saveDonors = () => writeJsonFile(DONORS_FILE, donors);
+
+const findDonor = (id) => donors.find((d) => d.id === id) || null;
+
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const makeDonorId = () => `DN-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const daysBetween = (fromIso, toIso) =>
+  Math.round((Date.parse(`${toIso}T00:00:00Z`) - Date.parse(`${fromIso}T00:00:00Z`)) / 86400000);
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+const donorEligibleFrom = (donor) => (donor.lastDonation ? addDays(donor.lastDonation, DONATION_INTERVAL_DAYS) : '');
+
+const withEligibility = (donor, today = todayIso()) => {
+  const eligibleFrom = donorEligibleFrom(donor);
+  return { ...donor, eligibleFrom, eligible: !eligibleFrom || eligibleFrom <= today };
+};
+
+const buildDonor = (input) => {
+  const d = input && typeof input === 'object' ? input : {};
+  const today = todayIso();
+  const donor = {
+    id: makeDonorId(),
+    registeredAt: new Date().toISOString(),
+    name: cleanText(d.name, 60),
+    phone: cleanText(d.phone, 32),
+    bloodGroup: cleanText(d.bloodGroup, 4).toUpperCase(),
+    city: cleanText(d.city, 60),
+    lastDonation: cleanText(d.lastDonation, 10)
+  };
+
+  const errors = {};
+  if (!donor.name) errors.name = 'Name is required.';
+  if (!donor.phone) errors.phone = 'Phone is required.';
+  else if (!isValidPhone(donor.phone)) errors.phone = 'Enter a valid phone number (7–15 digits).';
+  if (!BLOOD_TYPES.includes(donor.bloodGroup)) errors.bloodGroup = 'Select your blood group.';
+  if (!donor.city) errors.city = 'City is required.';
+  if (donor.lastDonation && !isIsoDate(donor.lastDonation)) errors.lastDonation = 'Enter a valid date.';
+  else if (donor.lastDonation > today) errors.lastDonation = 'Last donation cannot be in the future.';
+  if (Object.keys(errors).length) throw validationError(errors);
+
+  if (donors.some((other) => phoneKey(other.phone) === phoneKey(donor.phone))) {
+    throw httpError(409, 'This phone number is already registered as a donor.', {
+      errors: { phone: 'Already registered.' }
+    });
+  }
+  return donor;
+};
+
+// The interval is enforced here as well as in matching: a donation inside the window is refused outright.
+const recordDonation = (donor, date) => {
+  if (!isIsoDate(date) || date > todayIso()) throw validationError({ date: 'Enter a valid donation date.' });
+  if (donor.lastDonation && daysBetween(donor.lastDonation, date) < DONATION_INTERVAL_DAYS) {
+    const from = donorEligibleFrom(donor);
+    throw httpError(409, `Donations must be ${DONATION_INTERVAL_DAYS} days apart; ${donor.name} is eligible from ${from}.`);
+  }
+  donor.lastDonation = date;
+  return donor;
+};
+
+const needsDonors = (order) =>
+  order.type === 'blood' &&
+  Boolean(nextStatuses(order).length) &&
+  (order.request.urgency === 'Emergency' || Boolean(order.allocation && order.allocation.shortfall > 0));
+
+// Eligible compatible donors in the request's city: closest group match first, then whoever has waited longest
+// since their last donation (never-donated donors count as longest).
+const rankDonors = (order) => {
+  const groups = RED_CELL_DONORS[order.request.bloodType] || [];
+  const city = cleanText(order.customer.city, 60).toLowerCase();
+  const today = todayIso();
+  const responses = order.donorCallout || {};
+  if (!city) return [];
+
+  return donors
+    .map((donor) => withEligibility(donor, today))
+    .filter((donor) => donor.eligible && groups.includes(donor.bloodGroup) && donor.city.toLowerCase() === city)
+    .map((donor) => ({
+      donor,
+      groupRank: groups.indexOf(donor.bloodGroup),
+      idleDays: donor.lastDonation ? daysBetween(donor.lastDonation, today) : Number.MAX_SAFE_INTEGER
+    }))
+    .sort(
+      (a, b) =>
+        a.groupRank - b.groupRank ||
+        b.idleDays - a.idleDays ||
+        a.donor.registeredAt.localeCompare(b.donor.registeredAt)
+    )
+    .map(({ donor }, i) => ({ ...donor, rank: i + 1, response: responses[donor.id] || null }));
+};
+
+const recordDonorResponse = (order, donor, status) => {
+  if (!DONOR_RESPONSES.includes(status)) {
+    throw httpError(400, `Response must be one of: ${DONOR_RESPONSES.join(', ')}.`);
+  }
+  if (!rankDonors(order).some((d) => d.id === donor.id)) {
+    throw httpError(409, 'This donor is not an eligible match for the request.');
+  }
+  order.donorCallout = { ...(order.donorCallout || {}), [donor.id]: { status, at: new Date().toISOString() } };
+  return order;
+};
+
+// Staff roles. Each admin route names the roles it accepts; a user may hold several.
+const ROLES = {
+  pharmacist: 'Pharmacist',
+  bloodbank: 'Blood-bank officer',
+  dispatcher: 'Dispatcher',
+  rider: 'Rider'
+};
+
+// Which role may move an order into each status. Delivery steps belong to dispatchers.
+const STATUS_ROLES = {
+  medicine: {
+    Confirmed: 'pharmacist',
+    Packed: 'pharmacist',
+    Cancelled: 'pharmacist',
+    'Out for delivery': 'dispatcher',
+    Delivered: 'dispatcher'
+  },
+  blood: {
+    Matched: 'bloodbank',
+    'Cross-matched': 'bloodbank',
+    Dispatched: 'bloodbank',
+    Rejected: 'bloodbank',
+    Fulfilled: 'dispatcher'
+  }
+};
+
+const ORDER_TYPE_ROLES = {
+  medicine: ['pharmacist', 'dispatcher'],
+  blood: ['bloodbank', 'dispatcher']
+};
+
+const loadUsers = () => {
+  const parsed = readJsonFile(USERS_FILE, []);
+  return Array.isArray(parsed) ? parsed.filter((u) => u && typeof u === 'object' && u.username) : [];
+};
+
+// users.json is read again whenever it changes on disk, so `add-user` takes effect on a running server: new accounts
+// can sign in at once, and removed roles and replaced passwords apply to open sessions too.
+const users = [];
+let usersVersion = '';
+
+const refreshUsers = () => {
+  let version = '';
+  try {
+    const stat = fs.statSync(USERS_FILE);
+    version = `${stat.mtimeMs}:${stat.size}`;
+  } catch {
+    // no accounts yet
+  }
+  if (version !== usersVersion) {
+    usersVersion = version;
+    users.splice(0, users.length, ...loadUsers());
+  }
+  return users;
+};
+
+const saveUsers = () => writeJsonFile(USERS_FILE, users);
+
+const findUser = (username) =>
+  refreshUsers().find((u) => u.username === String(username || '').toLowerCase()) || null;
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) =>
+  `scrypt$${salt}$${crypto.scryptSync(String(password), salt, 64).toString('hex')}`;
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const publicUser = (user) => ({ username: user.username, name: user.name, roles: user.roles });
+
+const hasRole = (user, roles) => Boolean(user) && user.roles.some((role) => roles.includes(role));
+
+// Sessions live in memory: restarting the server signs everybody out.
+const sessions = new Map();
+const loginFailures = new Map();
+const ownerFailures = new Map();
+
+const parseCookies = (req) => {
+  const cookies = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // malformed value (e.g. a stray %); ignore that cookie
+    }
+  }
+  return cookies;
+};
+
+const isSecureRequest = (req) => Boolean(req.socket.encrypted) || req.headers['x-forwarded-proto'] === 'https';
+
+const sessionCookie = (req, name, token, maxAgeSeconds) =>
+  [
+    `${name}=${token}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+    ...(isSecureRequest(req) ? ['Secure'] : [])
+  ].join('; ');
+
+const createSession = (store, data, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  store.set(token, { ...data, ttlMs, expiresAt: Date.now() + ttlMs });
+  return token;
+};
+
+// Returns the live session for the cookie `name`, sliding its expiry forward unless `slide` is false.
+const readSession = (req, store, name, { slide = true } = {}) => {
+  const token = parseCookies(req)[name];
+  const session = token ? store.get(token) : null;
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    store.delete(token);
+    return null;
+  }
+  if (slide) session.expiresAt = Date.now() + session.ttlMs;
+  return session;
+};
+
+const endSession = (req, store, name) => {
+  const token = parseCookies(req)[name];
+  if (token) store.delete(token);
+};
+
+// A session opened with a password that has since been replaced no longer counts.
+const currentUser = (req, options) => {
+  const session = readSession(req, sessions, SESSION_COOKIE, options);
+  const user = session ? findUser(session.username) : null;
+  return user && user.passwordHash === session.passwordHash ? user : null;
+};
+
+const requireRole = (req, roles) => {
+  const user = currentUser(req);
+  if (!user) throw httpError(401, 'Please sign in to the admin console.');
+  if (!hasRole(user, roles)) throw httpError(403, 'Your role does not allow this action.');
+  return user;
+};
+
+const clientAddress = (req) => req.socket.remoteAddress || '';
+
+const isThrottled = (failures, key, max) => {
+  const entry = failures.get(key);
+  return Boolean(entry) && entry.count >= max && entry.since + LOGIN_WINDOW_MS > Date.now();
+};
+
+const recordFailure = (failures, key) => {
+  const entry = failures.get(key);
+  if (!entry || entry.since + LOGIN_WINDOW_MS < Date.now()) failures.set(key, { count: 1, since: Date.now() });
+  else entry.count += 1;
+};
+
+const checkLoginThrottle = (req) => {
+  if (isThrottled(loginFailures, clientAddress(req), MAX_LOGIN_FAILURES)) {
+    throw httpError(429, 'Too many failed sign-in attempts. Try again in a few minutes.');
+  }
+};
+
+const recordLoginFailure = (req) => recordFailure(loginFailures, clientAddress(req));
+
+const canSeeOrder = (user, order) => hasRole(user, ORDER_TYPE_ROLES[order.type] || []);
+
+const allowedNextStatuses = (order, user) =>
+  nextStatuses(order).filter((status) => hasRole(user, [(STATUS_ROLES[order.type] || {})[status]]));
+
+const toAdminOrder = (order, user) => ({
+  ...maskPersonal(publicOrder(order)),
+  nextStatuses: allowedNextStatuses(order, user),
+  needsDonors: hasRole(user, ['bloodbank']) && needsDonors(order),
+  needsColdChain: Boolean(coldChainRange(order))
+});
+
+const ORDER_STATUSES = [...new Set(Object.values(STATUS_FLOWS).flatMap((flow) => Object.keys(flow)))];
+
+// Sort keys for the admin list. Values are compared as strings; ties are broken by order ID so the cursor is stable.
+const ORDER_SORTS = {
+  createdAt: (o) => String(o.createdAt || ''),
+  id: (o) => String(o.id || ''),
+  type: (o) => String(o.type || ''),
+  status: (o) => String(o.status || ''),
+  name: (o) => String((o.customer && o.customer.name) || '').toLowerCase(),
+  city: (o) => String((o.customer && o.customer.city) || '').toLowerCase()
+};
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(parsed) && parsed.length === 2 && parsed.every((v) => typeof v === 'string')) return parsed;
+  } catch {
+    // fall through
+  }
+  return null;
+};
+
+// Reads the admin list filters from the query string. Errors are keyed by parameter name.
+const parseOrderQuery = (searchParams) => {
+  const get = (name, max = 80) => cleanText(searchParams.get(name), max);
+  const errors = {};
+  const sort = get('sort', 20) || 'createdAt';
+  const query = {
+    type: get('type', 20),
+    statuses: get('status', 400)
+      .split(',')
+      .map((v) => v.trim())
+      .filter(Boolean),
+    urgency: get('urgency', 20),
+    bloodGroup: get('bloodGroup', 4),
+    city: get('city', 60).toLowerCase(),
+    from: get('from', 10),
+    to: get('to', 10),
+    q: get('q', 80).toLowerCase(),
+    sort,
+    dir: get('dir', 4) || (sort === 'createdAt' ? 'desc' : 'asc'),
+    limit: get('limit', 4) ? parseIntStrict(get('limit', 4)) : ADMIN_PAGE_SIZE,
+    cursor: null
+  };
+
+  if (query.type && !STATUS_FLOWS[query.type]) errors.type = 'Type must be medicine or blood.';
+  const unknown = query.statuses.filter((st) => !ORDER_STATUSES.includes(st));
+  if (unknown.length) errors.status = `Unknown status: ${unknown.join(', ')}.`;
+  if (query.urgency && !URGENCIES.includes(query.urgency)) errors.urgency = 'Select a valid urgency.';
+  if (query.bloodGroup && !BLOOD_TYPES.includes(query.bloodGroup)) errors.bloodGroup = 'Select a valid blood group.';
+  if (query.from && !isIsoDate(query.from)) errors.from = 'Use a YYYY-MM-DD date.';
+  if (query.to && !isIsoDate(query.to)) errors.to = 'Use a YYYY-MM-DD date.';
+  if (!ORDER_SORTS[query.sort]) errors.sort = `Sort by one of: ${Object.keys(ORDER_SORTS).join(', ')}.`;
+  if (query.dir !== 'asc' && query.dir !== 'desc') errors.dir = 'Direction must be asc or desc.';
+  if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIST) {
+    errors.limit = `Limit must be between 1 and ${MAX_LIST}.`;
+  }
+  const cursor = get('cursor', 400);
+  if (cursor) {
+    query.cursor = decodeCursor(cursor);
+    if (!query.cursor) errors.cursor = 'Invalid cursor.';
+  }
+  if (Object.keys(errors).length) throw validationError(errors);
+  return query;
+};
+
+const matchesOrderQuery = (order, query) => {
+  const customer = order.customer || {};
+  const request = order.request || {};
+  const day = String(order.createdAt || '').slice(0, 10);
+  if (query.type && order.type !== query.type) return false;
+  if (query.statuses.length && !query.statuses.includes(order.status)) return false;
+  if (query.urgency && request.urgency !== query.urgency) return false;
+  if (query.bloodGroup && request.bloodType !== query.bloodGroup) return false;
+  if (query.city && String(customer.city || '').toLowerCase() !== query.city) return false;
+  if (query.from && day < query.from) return false;
+  if (query.to && day > query.to) return false;
+  if (query.q) {
+    const digits = query.q.replace(/\D/g, '');
+    const text = [order.id, order.localId, customer.name].join(' ').toLowerCase();
+    const phoneMatch = digits.length >= 3 && String(customer.phone || '').replace(/\D/g, '').includes(digits);
+    if (!text.includes(query.q) && !phoneMatch) return false;
+  }
+  return true;
+};
+
+// Filters, sorts and pages `list`. The cursor holds the sort value and ID of the last row already returned.
+const pageOrders = (list, query) => {
+  const key = ORDER_SORTS[query.sort];
+  const sign = query.dir === 'asc' ? 1 : -1;
+  const compare = (a, b) => sign * (a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  const rows = list
+    .filter((o) => matchesOrderQuery(o, query))
+    .map((o) => ({ order: o, pos: [key(o), String(o.id || '')] }))
+    .sort((a, b) => compare(a.pos, b.pos));
+  const start = query.cursor ? rows.filter((r) => compare(r.pos, query.cursor) <= 0).length : 0;
+  const page = rows.slice(start, start + query.limit);
+  const last = page[page.length - 1];
+  return {
+    orders: page.map((r) => r.order),
+    total: rows.length,
+    nextCursor: last && start + page.length < rows.length ? encodeCursor(...last.pos) : null
+  };
+};
+
+// CSV export: one row per medicine line item, one row per blood request. Order-level columns repeat on each line.
+const EXPORT_COLUMNS = [
+  ['orderId', (o) => o.id],
+  ['localId', (o) => o.localId],
+  ['type', (o) => o.type],
+  ['status', (o) => o.status],
+  ['createdAt', (o) => o.createdAt],
+  ['customerName', (o) => o.customer && o.customer.name],
+  ['customerPhone', (o) => o.customer && o.customer.phone],
+  ['address', (o) => o.customer && o.customer.address],
+  ['city', (o) => o.customer && o.customer.city],
+  ['pincode', (o) => o.customer && o.customer.pincode],
+  ['sku', (o, it) => it && it.sku],
+  ['itemName', (o, it) => it && it.name],
+  ['qty', (o, it) => it && it.qty],
+  ['unitPrice', (o, it) => it && it.price],
+  ['lineTotal', (o, it) => it && roundMoney(it.price * it.qty)],
+  ['subtotal', (o) => o.subtotal],
+  ['coupon', (o) => o.coupon && o.coupon.code],
+  ['discount', (o) => o.discount],
+  ['deliveryFee', (o) => o.deliveryFee],
+  ['tax', (o) => Array.isArray(o.taxes) && roundMoney(o.taxes.reduce((sum, t) => sum + Number(t.amount || 0), 0))],
+  ['orderTotal', (o) => o.total],
+  ['deliverySlot', (o) => o.delivery && o.delivery.slot],
+  ['bloodType', (o) => o.request && o.request.bloodType],
+  ['units', (o) => o.request && o.request.units],
+  ['urgency', (o) => o.request && o.request.urgency],
+  ['hospital', (o) => o.request && o.request.hospital],
+  ['patientName', (o) => o.request && o.request.patientName],
+  ['note', (o) => o.note]
+];
+
+// Quotes every field that needs it and defuses values a spreadsheet would run as a formula.
+const csvCell = (value) => {
+  let text = value === undefined || value === null || value === false ? '' : String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-][^\d\s]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const ordersToCsv = (list) => {
+  const lines = [EXPORT_COLUMNS.map(([name]) => name).join(',')];
+  for (const order of list) {
+    const items = order.type === 'medicine' && Array.isArray(order.items) && order.items.length ? order.items : [null];
+    for (const item of items) lines.push(EXPORT_COLUMNS.map(([, get]) => csvCell(get(order, item))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const EXPORT_FORMAT = 'mediblood-orders';
+const IMPORTABLE_ID = /^MB-[A-Z0-9]+-[A-Z0-9]+$/;
+
+// Checks one order from an import file. Accepts server exports and a browser's medibloodOrdersV1 array alike;
+// errors go into `errors` keyed by `orders.<index>.<field>`.
+// Only the prescription's details come across. The file itself stays with the system the order came from, so an
+// import can never point at a file already stored here.
+const importedPrescription = (input) => {
+  const review = input.review && typeof input.review === 'object' ? input.review : null;
+  const decision = review && ['approved', 'rejected'].includes(review.decision) ? review.decision : '';
+  return {
+    fileName: cleanText(input.fileName, 120),
+    mimeType: RX_TYPES[input.mimeType] ? input.mimeType : '',
+    size: 0,
+    prescriberName: cleanText(input.prescriberName, 80),
+    prescriberRegNo: cleanText(input.prescriberRegNo, 40),
+    file: '',
+    uploadedAt: cleanText(input.uploadedAt, 40),
+    review: decision ? { decision, at: cleanText(review.at, 40), reason: cleanText(review.reason, 200) } : null
+  };
+};
+
+const validateImportedOrder = (input, index, errors) => {
+  const prefix = `orders.${index}`;
+  const fail = (field, message) => {
+    errors[field ? `${prefix}.${field}` : prefix] = message;
+    return null;
+  };
+  if (!input || typeof input !== 'object') return fail('', 'Not an order object.');
+
+  const id = cleanText(input.id, 60);
+  if (!IMPORTABLE_ID.test(id)) return fail('id', 'Missing or malformed order ID.');
+  const flow = STATUS_FLOWS[input.type];
+  if (!flow) return fail('type', 'Type must be medicine or blood.');
+  const status = cleanText(input.status, 40);
+  if (!Object.prototype.hasOwnProperty.call(flow, status)) return fail('status', `Unknown ${input.type} status.`);
+  const createdAt = cleanText(input.createdAt, 40);
+  if (Number.isNaN(Date.parse(createdAt))) return fail('createdAt', 'Missing or invalid creation time.');
+
+  const customer = normalizeCustomer(input.customer);
+  const customerErrors = {};
+  validateCustomer(customer, customerErrors, { requireAddress: input.type === 'medicine' });
+  const [firstKey] = Object.keys(customerErrors);
+  if (firstKey) return fail(firstKey, customerErrors[firstKey]);
+
+  const order = {
+    id,
+    createdAt: new Date(createdAt).toISOString(),
+    type: input.type,
+    status,
+    customer,
+    note: cleanText(input.note, 300),
+    history: Array.isArray(input.history)
+      ? input.history
+          .filter((h) => h && typeof h === 'object')
+          .map((h) => ({ status: cleanText(h.status, 40), at: cleanText(h.at, 40), note: cleanText(h.note, 200) }))
+      : []
+  };
+  if (!order.history.length) order.history.push({ status, at: order.createdAt, note: '' });
+
+  if (input.type === 'medicine') {
+    const lines = Array.isArray(input.items) ? input.items : [];
+    if (!lines.length || lines.length > MAX_ORDER_LINES) return fail('items', 'Order has no valid items.');
+    const items = [];
+    // Items are priced from this catalog, whatever price the file gives.
+    for (const [i, line] of lines.entries()) {
+      const sku = cleanText(line && line.sku, 40);
+      const qty = parseIntStrict(line && line.qty);
+      if (!sku) return fail(`items.${i}.sku`, 'Item is missing a SKU.');
+      const product = findProduct(sku);
+      if (!product) return fail(`items.${i}.sku`, `Unknown item ${sku}.`);
+      if (!Number.isInteger(qty) || qty < 1 || qty > 99) return fail(`items.${i}.qty`, 'Quantity must be 1–99.');
+      items.push({ sku, name: product.name, price: product.price, qty });
+    }
+    order.items = items;
+    order.subtotal = roundMoney(items.reduce((sum, it) => sum + it.price * it.qty, 0));
+    order.total = order.subtotal;
+    // Discount, fee, tax and slot are kept as exported; they were computed by the system the order came from.
+    const discount = Number(input.discount);
+    if (Number.isFinite(discount) && discount >= 0 && discount <= order.subtotal) order.discount = roundMoney(discount);
+    if (input.coupon && typeof input.coupon === 'object' && cleanText(input.coupon.code, 20)) {
+      order.coupon = {
+        code: cleanText(input.coupon.code, 20).toUpperCase(),
+        description: cleanText(input.coupon.description, 120),
+        discount: order.discount || 0
+      };
+    }
+    const fee = Number(input.deliveryFee);
+    if (Number.isFinite(fee) && fee >= 0) order.deliveryFee = roundMoney(fee);
+    if (Array.isArray(input.taxes)) {
+      order.taxes = input.taxes
+        .filter((t) => t && Number.isFinite(Number(t.amount)))
+        .map((t) => ({
+          label: cleanText(t.label, 20),
+          rate: Number(t.rate) || 0,
+          amount: roundMoney(Number(t.amount))
+        }));
+    }
+    const total = Number(input.total);
+    if (Number.isFinite(total) && total >= order.subtotal - (order.discount || 0)) order.total = roundMoney(total);
+    if (input.delivery && typeof input.delivery === 'object' && SLOT_ID.test(String(input.delivery.slot || ''))) {
+      const d = input.delivery;
+      order.delivery = {
+        zoneId: cleanText(d.zoneId, 20),
+        zoneName: cleanText(d.zoneName, 60),
+        slot: String(d.slot),
+        date: cleanText(d.date, 10),
+        start: cleanText(d.start, 5),
+        end: cleanText(d.end, 5)
+      };
+    }
+    if (input.prescription && typeof input.prescription === 'object') {
+      order.prescription = importedPrescription(input.prescription);
+    }
+  } else {
+    const req = input.request && typeof input.request === 'object' ? input.request : {};
+    const bloodType = cleanText(req.bloodType, 4).toUpperCase();
+    const units = parseIntStrict(req.units);
+    const urgency = cleanText(req.urgency, 20) || 'Routine';
+    if (!BLOOD_TYPES.includes(bloodType)) return fail('request.bloodType', 'Invalid blood type.');
+    if (!Number.isInteger(units) || units < 1 || units > 10) return fail('request.units', 'Units must be 1–10.');
+    if (!URGENCIES.includes(urgency)) return fail('request.urgency', 'Invalid urgency.');
+    order.request = {
+      bloodType,
+      units,
+      urgency,
+      hospital: cleanText(req.hospital, 80),
+      patientName: cleanText(req.patientName, 80)
+    };
+  }
+
+  order.idempotencyKey = cleanText(input.idempotencyKey, 100) || undefined;
+  order.syncedId = cleanText(input.syncedId, 60) || undefined;
+  return order;
+};
+
+// Merges imported orders into the store. Orders already present (by ID, local ID, synced ID or idempotency key)
+// are skipped. Browser-local orders get a server ID and keep their local one, as an outbox replay would.
+// Imported orders never reserve stock: they describe what happened elsewhere.
+const importOrders = (input, user) => {
+  const list = Array.isArray(input) ? input : input && typeof input === 'object' ? input.orders : null;
+  if (!Array.isArray(list) || !list.length) throw httpError(400, 'The file does not contain any orders.');
+  if (list.length > MAX_IMPORT_ORDERS) throw httpError(400, `Import at most ${MAX_IMPORT_ORDERS} orders at a time.`);
+
+  const errors = {};
+  const candidates = list.map((raw, i) => validateImportedOrder(raw, i, errors));
+  candidates.forEach((order, i) => {
+    if (order && !canSeeOrder(user, order)) {
+      errors[`orders.${i}.type`] = `Your role cannot import ${order.type} orders.`;
+    }
+  });
+  if (Object.keys(errors).length) throw httpError(400, 'The import file has invalid orders.', { errors });
+
+  const seen = new Set();
+  const imported = [];
+  const skipped = [];
+  const importedAt = new Date().toISOString();
+  for (const order of candidates) {
+    const duplicate =
+      seen.has(order.id) ||
+      findOrderByAnyId(order.id) ||
+      (order.syncedId && findOrder(order.syncedId)) ||
+      findOrderByIdempotencyKey(order.idempotencyKey);
+    seen.add(order.id);
+    if (duplicate) {
+      skipped.push(order.id);
+      continue;
+    }
+    if (LOCAL_ORDER_ID.test(order.id)) {
+      order.localId = order.id;
+      order.id = makeOrderId();
+    }
+    delete order.syncedId;
+    order.importedAt = importedAt;
+    order.history.push({ status: order.status, at: importedAt, note: `Imported by ${user.username}` });
+    orders.push(order);
+    imported.push({ id: order.id, localId: order.localId });
+  }
+  if (imported.length) saveOrders();
+  imported.forEach(({ id }) => publishOrder(findOrder(id), 'created'));
+  return { imported, skipped };
+};
+
+const loadCustomers = () => {
+  const parsed = readJsonFile(CUSTOMERS_FILE, []);
+  return Array.isArray(parsed) ? parsed.filter((c) => c && typeof c === 'object' && c.phone) : [];
+};
+
+const customers = loadCustomers();
+
+const saveCustomers = () => writeJsonFile(CUSTOMERS_FILE, customers);
+
+const findCustomer = (phone) => customers.find((c) => c.phone === phoneKey(phone)) || null;
+
+const customerSessions = new Map();
+const otpChallenges = new Map();
+
+const hashOtp = (phone, code) => crypto.createHash('sha256').update(`${phoneKey(phone)}:${code}`).digest('hex');
+
+// Local stand-in for an SMS gateway: codes are appended to data/otp-codes.log so they can be read while testing.
+const deliverOtp = (phone, code) => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(OTP_LOG_FILE, `${new Date().toISOString()} ${phone} ${code}\n`);
+};
+
+const requestOtp = (phone) => {
+  if (!isValidPhone(phone)) throw validationError({ phone: 'Enter a valid phone number (7–15 digits).' });
+  const key = phoneKey(phone);
+  const pending = otpChallenges.get(key);
+  if (pending && pending.sentAt + OTP_RESEND_MS > Date.now()) {
+    throw httpError(429, 'A code was just sent. Wait a few seconds before asking for another.');
+  }
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const now = Date.now();
+  otpChallenges.set(key, { hash: hashOtp(phone, code), sentAt: now, expiresAt: now + OTP_TTL_MS, attempts: 0 });
+  deliverOtp(phone, code);
+  return { isNew: !findCustomer(phone) };
+};
+
+const verifyOtp = (phone, code) => {
+  const key = phoneKey(phone);
+  const challenge = otpChallenges.get(key);
+  if (!challenge || challenge.expiresAt < Date.now()) {
+    otpChallenges.delete(key);
+    throw httpError(400, 'The code has expired. Ask for a new one.', { errors: { code: 'Code expired.' } });
+  }
+  challenge.attempts += 1;
+  const expected = Buffer.from(challenge.hash, 'hex');
+  const actual = Buffer.from(hashOtp(phone, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    if (challenge.attempts >= OTP_MAX_ATTEMPTS) otpChallenges.delete(key);
+    throw httpError(400, 'That code is not correct.', { errors: { code: 'Wrong code.' } });
+  }
+  otpChallenges.delete(key);
+};
+
+const currentCustomer = (req) => {
+  const session = readSession(req, customerSessions, CUSTOMER_COOKIE);
+  return session ? findCustomer(session.phone) : null;
+};
+
+const requireCustomer = (req) => {
+  const customer = currentCustomer(req);
+  if (!customer) throw httpError(401, 'Please sign in with your phone number.');
+  return customer;
+};
+
+const makeContactId = () => `CT-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// Remembers the contact details of an order so the next checkout or blood request can be pre-filled.
+// Identical details are moved to the front instead of being stored twice.
+const rememberContact = (customer, order) => {
+  const c = order.customer || {};
+  const contact = {
+    type: order.type,
+    name: c.name,
+    phone: c.phone,
+    address: order.type === 'medicine' ? c.address : '',
+    pincode: order.type === 'medicine' ? c.pincode || '' : '',
+    hospital: order.type === 'blood' ? (order.request && order.request.hospital) || '' : '',
+    city: c.city || ''
+  };
+  const saved = customer.contacts || [];
+  const existing = saved.find((s) => Object.keys(contact).every((k) => s[k] === contact[k]));
+  const rest = saved.filter((s) => s !== existing);
+  customer.contacts = [{ ...contact, id: existing ? existing.id : makeContactId() }, ...rest].slice(
+    0,
+    MAX_SAVED_CONTACTS
+  );
+};
+
+const customerOrders = (customer) =>
+  orders
+    .filter((o) => phoneKey(o.customer && o.customer.phone) === customer.phone)
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+const customerDonors = (customer) => donors.filter((d) => phoneKey(d.phone) === customer.phone);
+
+const publicCustomer = (customer) => ({
+  phone: customer.displayPhone,
+  name: customer.name,
+  contacts: customer.contacts || []
+});
+
+// Personal data. Staff lists show phone numbers and patient names masked; revealing them is logged. Closed orders are
+// anonymized RETENTION_DAYS after they close, or at the next sweep once their customer asked for erasure.
+const DEFAULT_PRIVACY = { retentionDays: 365 };
+const RETENTION_SWEEP_MS = 60 * 60 * 1000;
+const ANONYMIZED_NAME = 'Anonymized';
+
+const loadPrivacy = () => {
+  const saved = readJsonFile(PRIVACY_FILE, null);
+  return saved && typeof saved === 'object' ? saved : DEFAULT_PRIVACY;
+};
+
+const privacy = loadPrivacy();
+
+const maskPhone = (phone) => String(phone || '').replace(/\d(?=(?:\D*\d){4})/g, '•');
+
+const maskName = (name) => (name ? `${String(name).trim().charAt(0)}•••` : '');
+
+const maskPersonal = (order) => ({
+  ...order,
+  customer: { ...order.customer, phone: maskPhone(order.customer && order.customer.phone) },
+  ...(order.request ? { request: { ...order.request, patientName: maskName(order.request.patientName) } } : {}),
+  masked: true
+});
+
+// Replaces the order's names, phone number and address in free text (history notes quote them) with •••.
+const personalScrubber = (order) => {
+  const secrets = [
+    order.customer && order.customer.name,
+    order.customer && order.customer.phone,
+    order.customer && order.customer.address,
+    order.request && order.request.patientName,
+    order.proof && order.proof.recipientName
+  ].filter((value) => value && String(value).length >= 3);
+  return (text) => secrets.reduce((out, secret) => out.split(secret).join('•••'), String(text || ''));
+};
+
+// What GET /orders/:id and its event stream show. Anyone with the order ID can open it, so unless the request comes
+// from the customer's own session, names are shortened, no digit of the phone number is shown (it is what proves
+// ownership for cancelling and changing) and the address and note left out.
+const trackingOrder = (req, order) => {
+  const { idempotencyKey, ...shown } = publicOrder(order);
+  if (isOrderCustomer(req, order)) return shown;
+  const scrub = personalScrubber(order);
+  const masked = maskPersonal(shown);
+  return {
+    ...masked,
+    customer: {
+      ...masked.customer,
+      name: maskName(order.customer.name),
+      phone: String(order.customer.phone).replace(/\d/g, '•'),
+      address: ''
+    },
+    note: '',
+    ...(order.proof ? { proof: { ...order.proof, recipientName: maskName(order.proof.recipientName) } } : {}),
+    history: order.history.map((h) => ({ ...h, note: scrub(h.note) }))
+  };
+};
+
+const isClosed = (order) => !nextStatuses(order).length;
+
+const closedAt = (order) => {
+  const last = (order.history || [])[order.history.length - 1];
+  return (last && last.at) || order.updatedAt || order.createdAt;
+};
+
+const removeDataFile = (dir, file) => {
+  if (!file) return;
+  try {
+    fs.unlinkSync(path.join(dir, path.basename(file)));
+  } catch {
+    // already gone
+  }
+};
+
+// Drops the contact details, patient and recipient names, free-text note, prescription file and signature. The city,
+// items, amounts and status history stay for stock and reporting; names are blanked out of the history notes.
+const anonymizeOrder = (order) => {
+  const scrub = personalScrubber(order);
+  const city = (order.customer && order.customer.city) || '';
+  order.customer = { name: ANONYMIZED_NAME, phone: '', address: '', city };
+  if (order.request) order.request = { ...order.request, patientName: '' };
+  order.note = '';
+  if (order.prescription) {
+    removeDataFile(PRESCRIPTIONS_DIR, order.prescription.file);
+    order.prescription = { ...order.prescription, file: '', fileName: '' };
+  }
+  if (order.proof) {
+    removeDataFile(SIGNATURES_DIR, order.proof.signatureFile);
+    order.proof = { ...order.proof, recipientName: '', signatureFile: '' };
+  }
+  order.history = order.history.map((h) => ({ ...h, note: scrub(h.note) }));
+  delete order.erasureRequested;
+  order.anonymizedAt = new Date().toISOString();
+  return order;
+};
+
+const anonymizeWithAudit = (req, order, reason) => {
+  const before = auditSnapshot(order);
+  anonymizeOrder(order);
+  audit(req, 'order.anonymized', { order, before, detail: reason });
+  publishOrder(order);
+};
+
+// Returns the orders it anonymized. A retentionDays that is not a positive number turns the time limit off.
+const sweepPersonalData = (now = Date.now()) => {
+  const days = Number(privacy.retentionDays);
+  const cutoff = days > 0 ? now - days * 24 * 60 * 60 * 1000 : -Infinity;
+  const due = orders.filter(
+    (o) => !o.anonymizedAt && isClosed(o) && (o.erasureRequested || Date.parse(closedAt(o)) < cutoff)
+  );
+  due.forEach((o) => {
+    const reason = o.erasureRequested ? 'erasure requested by the customer' : `closed over ${days} days ago`;
+    anonymizeWithAudit(null, o, reason);
+  });
+  if (due.length) saveOrders();
+  return due;
+};
+
+// Closed orders are anonymized at once, open ones by the first sweep after they close. The account and any donor
+// registration for the same number are deleted.
+const eraseCustomer = (req, customer) => {
+  const own = customerOrders(customer);
+  const closed = own.filter(isClosed);
+  const pending = own.filter((o) => !isClosed(o));
+  const donorIds = customerDonors(customer).map((d) => d.id);
+  audit(req, 'account.erasure', {
+    target: maskPhone(customer.phone),
+    detail: `${closed.length} closed orders, ${pending.length} still open, ${donorIds.length} donor records`
+  });
+  closed.forEach((o) => anonymizeWithAudit(req, o, 'erasure requested by the customer'));
+  pending.forEach((o) => {
+    o.erasureRequested = true;
+  });
+  saveOrders();
+  customers.splice(customers.indexOf(customer), 1);
+  saveCustomers();
+  if (donorIds.length) {
+    donorIds.forEach((id) => donors.splice(donors.indexOf(findDonor(id)), 1));
+    saveDonors();
+  }
+  return { anonymized: closed.map((o) => o.id), pending: pending.map((o) => o.id), donors: donorIds };
+};
+
+const sendJson = (res, status, data, headers = {}) => {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(body);
+};
+
+// Order changes are published here and fanned out to the open event streams.
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0);
+
+const publishOrder = (order, kind = 'updated') => orderEvents.emit('order', { kind, order });
+
+// Starts a Server-Sent Events response. Returns `send(event, data)`; `onClose` runs when the client goes away.
+const openEventStream = (res, onClose) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const write = (chunk) => {
+    if (!res.writableEnded) res.write(chunk);
+  };
+  write('retry: 5000\n\n');
+  const heartbeat = setInterval(() => write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+  return (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Customer and staff messages. Order events are turned into templated messages, one per channel, and recorded on the
+// order under `notifications`; each is handed to its channel's adapter and retried with backoff until it is accepted.
+const DEFAULT_NOTIFICATIONS = {
+  publicUrl: '',
+  defaultLanguage: 'en',
+  customerChannels: ['sms'],
+  channels: {
+    sms: { adapter: 'outbox' },
+    whatsapp: { adapter: 'outbox' },
+    email: { adapter: 'outbox' }
+  },
+  staffAlerts: [{ channel: 'email', to: 'bloodbank@example.org' }],
+  retry: { attempts: 5, delaySeconds: 30, maxDelaySeconds: 3600 },
+  templates: {
+    en: {
+      'order-placed': 'MediBlood: we have your order {id} ({status}). Track it at {trackUrl}',
+      'status-changed': 'MediBlood: order {id} is now {status}. {trackUrl}',
+      'rx-rejected': 'MediBlood: the prescription for order {id} was not accepted: {reason}. Please order again.',
+      'out-for-delivery': 'MediBlood: order {id} is on its way. Your handover code is shown at {trackUrl}',
+      'blood-matched': 'MediBlood: {units} unit(s) of {bloodType} have been matched for request {id}. {trackUrl}',
+      'emergency-alert': 'EMERGENCY blood request {id}: {units} unit(s) of {bloodType} for {hospital}, {city}.'
+    },
+    hi: {
+      'order-placed': 'MediBlood: आपका ऑर्डर {id} हमें मिल गया है ({status})। ट्रैक करें: {trackUrl}',
+      'status-changed': 'MediBlood: ऑर्डर {id} की स्थिति अब "{status}" है। {trackUrl}',
+      'rx-rejected': 'MediBlood: ऑर्डर {id} का पर्चा स्वीकार नहीं हुआ: {reason}। कृपया फिर से ऑर्डर करें।',
+      'out-for-delivery': 'MediBlood: ऑर्डर {id} रास्ते में है। आपका हैंडओवर कोड {trackUrl} पर दिखता है।',
+      'blood-matched': 'MediBlood: अनुरोध {id} के लिए {bloodType} की {units} यूनिट मिल गई हैं। {trackUrl}',
+      'emergency-alert': 'आपातकालीन रक्त अनुरोध {id}: {bloodType} की {units} यूनिट, {hospital}, {city}।'
+    }
+  },
+  statusNames: {
+    hi: {
+      [RX_PENDING]: 'पर्चे की जाँच बाकी',
+      [RX_REJECTED]: 'पर्चा अस्वीकृत',
+      Placed: 'प्राप्त',
+      Confirmed: 'पुष्ट',
+      Packed: 'पैक हो गया',
+      'Out for delivery': 'डिलीवरी के लिए निकला',
+      Delivered: 'डिलीवर हो गया',
+      Cancelled: 'रद्द',
+      Requested: 'अनुरोध मिला',
+      Matched: 'मिलान हुआ',
+      'Cross-matched': 'क्रॉस-मैच हुआ',
+      Dispatched: 'भेजा गया',
+      Fulfilled: 'पूरा हुआ',
+      Rejected: 'अस्वीकृत'
+    }
+  }
+};
+const NOTIFY_TIMEOUT_MS = 10 * 1000;
+
+const loadNotifications = () => {
+  const saved = readJsonFile(NOTIFICATIONS_FILE, null);
+  return saved && typeof saved === 'object' ? { ...DEFAULT_NOTIFICATIONS, ...saved } : DEFAULT_NOTIFICATIONS;
+};
+
+const notificationSettings = loadNotifications();
+
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// Channel adapters. Each takes its channel's settings from data/notifications.json and returns `send(message)`, a
+// promise that rejects when the message was not accepted. To use a gateway, add an adapter here and name it there.
+const NOTIFY_ADAPTERS = {
+  // Development stand-in: messages are appended to data/outbox.log, one JSON line each.
+  outbox: () => async (message) => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(OUTBOX_FILE, `${JSON.stringify({ at: new Date().toISOString(), ...message })}\n`);
+  },
+  // POSTs the message as JSON to `url` (with any `headers`); any 2xx answer counts as sent.
+  webhook: (settings) => async (message) => {
+    if (!settings.url) throw permanentError('The webhook adapter has no url.');
+    const res = await fetch(settings.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(settings.headers || {}) },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+    }).catch((err) => {
+      const cause = err.cause ? err.cause.code || err.cause.message : err.message;
+      throw new Error(`Could not reach the gateway: ${cause}.`);
+    });
+    if (!res.ok) throw new Error(`The gateway answered ${res.status}.`);
+  }
+};
+
+// The customer's language when there are templates for it, else the default one.
+const notificationLanguage = (value) => {
+  const language = cleanText(value, 8).toLowerCase();
+  return notificationSettings.templates[language] ? language : notificationSettings.defaultLanguage;
+};
+
+const renderNotification = (order, record) => {
+  const { templates, statusNames = {}, defaultLanguage } = notificationSettings;
+  const template = (templates[record.language] || {})[record.event] || (templates[defaultLanguage] || {})[record.event];
+  if (!template) throw permanentError(`No template for ${record.event}.`);
+  const status = record.orderStatus || order.status;
+  const request = order.request || {};
+  const publicUrl = notificationSettings.publicUrl || `http://localhost:${PORT}${BASE_PATH}/`;
+  const values = {
+    id: order.id,
+    name: (order.customer && order.customer.name) || '',
+    status: (statusNames[record.language] || {})[status] || status,
+    total: order.total === undefined ? '' : `₹${order.total}`,
+    bloodType: request.bloodType || '',
+    units: request.units || '',
+    urgency: request.urgency || '',
+    hospital: request.hospital || '',
+    city: (order.customer && order.customer.city) || '',
+    reason: (order.prescription && order.prescription.review && order.prescription.review.reason) || '',
+    trackUrl: `${publicUrl}#/track/${encodeURIComponent(order.id)}`
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+};
+
+const sendNotification = (order, record) => {
+  const settings = notificationSettings.channels[record.channel];
+  const adapter = settings && NOTIFY_ADAPTERS[settings.adapter];
+  if (!adapter) throw permanentError(`No adapter is set up for ${record.channel}.`);
+  const to = record.audience === 'staff' ? record.to : order.customer && order.customer.phone;
+  if (!to) throw permanentError('No one to send it to.');
+  const text = renderNotification(order, record);
+  return adapter(settings)({ channel: record.channel, to, text, event: record.event, orderId: order.id });
+};
+
+const scheduleNotification = (orderId, recordId, delayMs) => {
+  setTimeout(() => void attemptNotification(orderId, recordId), delayMs).unref();
+};
+
+// One delivery attempt. Failures are retried after delaySeconds, doubling each time up to maxDelaySeconds, until
+// `attempts` is used up; the outcome is saved on the record and published like any other order change.
+const attemptNotification = async (orderId, recordId) => {
+  const order = findOrder(orderId);
+  const record = order && (order.notifications || []).find((n) => n.id === recordId);
+  if (!record || record.status !== 'pending') return;
+  record.attempts += 1;
+  try {
+    await sendNotification(order, record);
+    record.status = 'sent';
+    record.sentAt = new Date().toISOString();
+    record.error = '';
+    record.nextAttemptAt = '';
+  } catch (err) {
+    const retry = notificationSettings.retry || {};
+    record.error = cleanText(err && err.message, 200) || 'Sending failed.';
+    if ((err && err.permanent) || record.attempts >= (retry.attempts || 1)) {
+      record.status = 'failed';
+      record.nextAttemptAt = '';
+    } else {
+      const seconds = Math.min((retry.delaySeconds || 30) * 2 ** (record.attempts - 1), retry.maxDelaySeconds || 3600);
+      record.nextAttemptAt = new Date(Date.now() + seconds * 1000).toISOString();
+      scheduleNotification(order.id, record.id, seconds * 1000);
+    }
+  }
+  saveOrders();
+  publishOrder(order);
+};
+
+const queueNotification = (order, fields) => {
+  if (!order.notifications) order.notifications = [];
+  const now = new Date().toISOString();
+  const record = {
+    id: order.notifications.length + 1,
+    ...fields,
+    orderStatus: order.status,
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    sentAt: '',
+    error: ''
+  };
+  order.notifications.push(record);
+  return record;
+};
+
+// Which customer message a move to the order's current status calls for.
+const statusNotificationEvent = (order) => {
+  if (order.status === RX_REJECTED) return 'rx-rejected';
+  if (order.status === (order.type === 'blood' ? 'Dispatched' : 'Out for delivery')) return 'out-for-delivery';
+  if (order.type === 'blood' && order.status === 'Matched') return 'blood-matched';
+  return 'status-changed';
+};
+
+// Last status seen per order, so that only real status changes (not notes or uploads) send a message.
+const notifiedStatuses = new Map(orders.map((o) => [o.id, o.status]));
+
+const notifyOrderEvent = ({ kind, order }) => {
+  const previous = notifiedStatuses.get(order.id);
+  notifiedStatuses.set(order.id, order.status);
+  // Imported orders were placed, and their customers told, elsewhere.
+  if (kind === 'created' && order.importedAt) return;
+  let event = '';
+  if (kind === 'created') event = 'order-placed';
+  else if (previous !== undefined && previous !== order.status) event = statusNotificationEvent(order);
+  if (!event) return;
+
+  const language = order.language || notificationSettings.defaultLanguage;
+  const queued = [];
+  if (order.customer && order.customer.phone) {
+    notificationSettings.customerChannels.forEach((channel) => {
+      queued.push(queueNotification(order, { event, channel, audience: 'customer', language }));
+    });
+  }
+  if (kind === 'created' && order.type === 'blood' && order.request.urgency === 'Emergency') {
+    notificationSettings.staffAlerts.forEach(({ channel, to }) => {
+      queued.push(
+        queueNotification(order, {
+          event: 'emergency-alert',
+          channel,
+          audience: 'staff',
+          to,
+          language: notificationSettings.defaultLanguage
+        })
+      );
+    });
+  }
+  if (!queued.length) return;
+  saveOrders();
+  queued.forEach((record) => scheduleNotification(order.id, record.id, 0));
+};
+
+orderEvents.on('order', notifyOrderEvent);
+
+// Picks up messages that were still waiting for a retry when the server stopped.
+const resumeNotifications = () => {
+  const now = Date.now();
+  orders.forEach((order) => {
+    (order.notifications || [])
+      .filter((n) => n.status === 'pending')
+      .forEach((n) => scheduleNotification(order.id, n.id, Math.max(0, (Date.parse(n.nextAttemptAt) || now) - now)));
+  });
+};
+
+// Audit log: one JSON entry per line in AUDIT_FILE, only ever appended to. Each entry's hash covers its contents and
+// the hash of the entry before it, so editing, removing or reordering lines breaks the chain.
+const AUDIT_GENESIS = '0'.repeat(64);
+const AUDIT_ROLES = ['pharmacist', 'bloodbank'];
+// Left out of order diffs: the history repeats what the log already says, and the handover code is a secret.
+const AUDIT_SKIP_KEYS = ['history', 'updatedAt', 'notifications'];
+const AUDIT_SECRET_KEYS = ['handoverCode'];
+// Longer arrays (temperature readings) are recorded as a count and a digest rather than element by element.
+const AUDIT_MAX_ARRAY = 20;
+// Personal fields are recorded as a keyed digest: the log shows that they changed, but not their values.
+const AUDIT_PERSONAL_PATHS = [
+  'note',
+  'prescription.review.reason',
+  ...Object.entries(PERSONAL_FIELDS).flatMap(([group, fields]) => fields.map((field) => `${group}.${field}`))
+];
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const readAuditLog = () => {
+  let text = '';
+  try {
+    text = fs.readFileSync(AUDIT_FILE, 'utf8');
+  } catch {
+    return [];
+  }
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    });
+};
+
+// Recomputes the chain from the first entry. `brokenAt` is the line of the first bad entry.
+const verifyAuditLog = (entries) => {
+  let prevHash = AUDIT_GENESIS;
+  for (let i = 0; i < entries.length; i += 1) {
+    const entry = entries[i];
+    let problem = '';
+    if (!entry || typeof entry !== 'object') problem = 'the line is not a valid entry';
+    else if (entry.seq !== i + 1) problem = `expected entry ${i + 1}, found ${entry.seq}`;
+    else if (entry.prevHash !== prevHash) problem = 'it does not follow the previous entry';
+    else {
+      const { hash, ...content } = entry;
+      if (sha256(JSON.stringify(content)) !== hash) problem = 'its contents do not match its hash';
+    }
+    if (problem) return { ok: false, entries: entries.length, brokenAt: i + 1, problem };
+    prevHash = entry.hash;
+  }
+  return { ok: true, entries: entries.length, lastHash: prevHash };
+};
+
+let auditHead = (() => {
+  const last = readAuditLog().pop();
+  return last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: AUDIT_GENESIS };
+})();
+
+const flattenForAudit = (value, prefix, out) => {
+  if (Array.isArray(value) && value.length > AUDIT_MAX_ARRAY) {
+    out[prefix] = `${value.length} items (${sha256(JSON.stringify(value)).slice(0, 12)})`;
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (!prefix && AUDIT_SKIP_KEYS.includes(key)) continue;
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (AUDIT_SECRET_KEYS.includes(key)) out[name] = '(hidden)';
+      else flattenForAudit(child, name, out);
+    }
+  } else if (value && AUDIT_PERSONAL_PATHS.includes(prefix)) {
+    out[prefix] = `personal:${crypto.createHmac('sha256', dataKey).update(String(value)).digest('hex').slice(0, 12)}`;
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+// `{ "status": { from: "Placed", to: "Confirmed" }, "items.0.qty": { from: 2, to: 1 } }`
+const auditDiff = (before, after) => {
+  const from = before ? flattenForAudit(before, '', {}) : {};
+  const to = after ? flattenForAudit(after, '', {}) : {};
+  const changes = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    const change = { from: from[key] ?? null, to: to[key] ?? null };
+    if (JSON.stringify(change.from) !== JSON.stringify(change.to)) changes[key] = change;
+  }
+  return changes;
+};
+
+const auditSnapshot = (value) => JSON.parse(JSON.stringify(value));
+
+const auditActor = (req) => {
+  const user = currentUser(req);
+  if (user) return { type: 'staff', id: user.username, name: user.name };
+  const customer = currentCustomer(req);
+  if (customer) return { type: 'customer', id: maskPhone(customer.phone) };
+  return { type: 'public', id: '' };
+};
+
+// `before` is a snapshot taken before the change (omit it for new records); `after` defaults to the order itself.
+// `req` is null for changes the server makes on its own, such as the retention sweep.
+const audit = (req, action, options = {}) => {
+  const { order = null, before = null, after = order, target = '', actor = null, detail = '' } = options;
+  const entry = {
+    seq: auditHead.seq + 1,
+    at: new Date().toISOString(),
+    action,
+    actor: actor || (req ? auditActor(req) : { type: 'system', id: '' }),
+    ip: req ? clientAddress(req) : '',
+    orderId: order ? order.id : null,
+    orderType: order ? order.type : null,
+    target: target || (order ? order.id : ''),
+    detail,
+    changes: auditDiff(before, after),
+    prevHash: auditHead.hash
+  };
+  const hash = sha256(JSON.stringify(entry));
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(AUDIT_FILE, `${JSON.stringify({ ...entry, hash })}\n`);
+  auditHead = { seq: entry.seq, hash };
+};
+
+const redirect = (res, location) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+const readBody = (req, maxBytes = MAX_BODY_BYTES) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(httpError(413, 'Request body is too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+const readJsonBody = async (req, maxBytes = MAX_BODY_BYTES) => {
+  const text = await readBody(req, maxBytes);
+  if (!text) return {};
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    throw httpError(400, 'Request body must be valid JSON.');
+  }
+};
+
+const routes = [];
+
+const route = (method, pattern, handler) => {
+  const keys = [];
+  const source = pattern.replace(/:([a-zA-Z]+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  routes.push({ method, regex: new RegExp(`^${source}$`), keys, handler });
+};
+
+route('GET', '/api/health', ({ res }) => {
+  sendJson(res, 200, { ok: true, time: new Date().toISOString() });
+});
+
+route('POST', '/api/mediblood/auth/login', async ({ req, res }) => {
+  checkLoginThrottle(req);
+  const body = await readJsonBody(req);
+  const user = findUser(cleanText(body.username, 40));
+  const password = String(body.password ?? '');
+  // Hash even for unknown users so response time does not reveal which usernames exist.
+  const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH) && Boolean(user);
+  if (!valid) {
+    recordLoginFailure(req);
+    audit(req, 'auth.login-failed', { actor: { type: 'staff', id: cleanText(body.username, 40) } });
+    throw httpError(401, 'Wrong username or password.');
+  }
+  loginFailures.delete(clientAddress(req));
+  audit(req, 'auth.login', { actor: { type: 'staff', id: user.username, name: user.name } });
+  const token = createSession(sessions, { username: user.username, passwordHash: user.passwordHash }, SESSION_TTL_MS);
+  sendJson(res, 200, { ok: true, user: publicUser(user) }, {
+    'Set-Cookie': sessionCookie(req, SESSION_COOKIE, token, Math.floor(SESSION_TTL_MS / 1000))
+  });
+});
+
+route('POST', '/api/mediblood/auth/logout', ({ req, res }) => {
+  if (currentUser(req)) audit(req, 'auth.logout');
+  endSession(req, sessions, SESSION_COOKIE);
+  sendJson(res, 200, { ok: true }, { 'Set-Cookie': sessionCookie(req, SESSION_COOKIE, '', 0) });
+});
+
+route('GET', '/api/mediblood/auth/me', ({ req, res }) => {
+  const user = currentUser(req);
+  if (!user) throw httpError(401, 'Not signed in.');
+  sendJson(res, 200, { ok: true, user: publicUser(user), roles: ROLES });
+});
+
+route('POST', '/api/mediblood/account/otp', async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const { isNew } = requestOtp(cleanText(body.phone, 32));
+  sendJson(res, 200, { ok: true, isNew });
+});
+
+// Verifying the code signs the customer in, creating the account on first use.
+route('POST', '/api/mediblood/account/verify', async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const phone = cleanText(body.phone, 32);
+  const name = cleanText(body.name, 60);
+  if (!isValidPhone(phone)) throw validationError({ phone: 'Enter a valid phone number (7–15 digits).' });
+  let customer = findCustomer(phone);
+  if (!customer && !name) throw validationError({ name: 'Name is required to create your account.' });
+  verifyOtp(phone, body.code);
+  if (!customer) {
+    customer = { phone: phoneKey(phone), displayPhone: phone, name, contacts: [], createdAt: new Date().toISOString() };
+    customers.push(customer);
+    saveCustomers();
+  }
+  const token = createSession(customerSessions, { phone: customer.phone }, CUSTOMER_SESSION_TTL_MS);
+  sendJson(res, 200, { ok: true, customer: publicCustomer(customer) }, {
+    'Set-Cookie': sessionCookie(req, CUSTOMER_COOKIE, token, Math.floor(CUSTOMER_SESSION_TTL_MS / 1000))
+  });
+});
+
+route('POST', '/api/mediblood/account/logout', ({ req, res }) => {
+  endSession(req, customerSessions, CUSTOMER_COOKIE);
+  sendJson(res, 200, { ok: true }, { 'Set-Cookie': sessionCookie(req, CUSTOMER_COOKIE, '', 0) });
+});
+
+route('GET', '/api/mediblood/account', ({ req, res }) => {
+  const customer = requireCustomer(req);
+  sendJson(res, 200, { ok: true, customer: publicCustomer(customer) });
+});
+
+route('GET', '/api/mediblood/account/orders', ({ req, res }) => {
+  const customer = requireCustomer(req);
+  sendJson(res, 200, { ok: true, orders: customerOrders(customer).slice(0, MAX_LIST).map(publicOrder) });
+});
+
+// Everything held about the signed-in phone number, as a download.
+route('GET', '/api/mediblood/account/export', ({ req, res }) => {
+  const customer = requireCustomer(req);
+  const exportedAt = new Date().toISOString();
+  const data = {
+    format: 'mediblood-personal-data',
+    exportedAt,
+    account: publicCustomer(customer),
+    orders: customerOrders(customer).map(publicOrder),
+    donors: customerDonors(customer)
+  };
+  const body = JSON.stringify(data, null, 2);
+  audit(req, 'account.exported', { target: maskPhone(customer.phone) });
+  res.writeHead(200, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Content-Disposition': `attachment; filename="mediblood-my-data-${exportedAt.slice(0, 10)}.json"`,
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+});
+
+route('POST', '/api/mediblood/account/erasure', async ({ req, res }) => {
+  const customer = requireCustomer(req);
+  const body = await readJsonBody(req);
+  if (body.confirm !== true) throw validationError({ confirm: 'Confirm that your data should be erased.' });
+  const result = eraseCustomer(req, customer);
+  endSession(req, customerSessions, CUSTOMER_COOKIE);
+  sendJson(res, 200, { ok: true, ...result }, { 'Set-Cookie': sessionCookie(req, CUSTOMER_COOKIE, '', 0) });
+});
+
+route('DELETE', '/api/mediblood/account/contacts/:id', ({ req, res, params }) => {
+  const customer = requireCustomer(req);
+  const before = (customer.contacts || []).length;
+  customer.contacts = (customer.contacts || []).filter((c) => c.id !== params.id);
+  if (customer.contacts.length === before) throw httpError(404, 'Saved contact not found.');
+  saveCustomers();
+  sendJson(res, 200, { ok: true, customer: publicCustomer(customer) });
+});
+
+// Delivery quote inputs for checkout: the zone for `city`/`pincode` (null when not served), tax lines and slots.
+route('GET', '/api/mediblood/delivery', ({ res, url }) => {
+  const zone = findZone({
+    city: cleanText(url.searchParams.get('city'), 60),
+    pincode: cleanText(url.searchParams.get('pincode'), 6)
+  });
+  sendJson(res, 200, {
+    ok: true,
+    zone: publicZone(zone),
+    zones: delivery.zones.map(publicZone),
+    taxes: delivery.taxes || [],
+    slots: listSlots()
+  });
+});
+
+// Lets checkout show a coupon's discount before the order is placed. Placing the order checks it again. The
+// per-customer limit is only checked here for a signed-in customer: taking any phone number from the body would tell
+// anyone whether that number has used the coupon.
+route('POST', '/api/mediblood/coupons/check', async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const code = cleanText(body.code, 20).toUpperCase();
+  if (!code) throw validationError({ coupon: 'Enter a coupon code.' });
+  const items = priceItems(body.items, {});
+  const customer = currentCustomer(req);
+  const phone = customer ? customer.phone : '';
+  const applied = applyCoupon(code, items, phone);
+  if (applied.error) throw validationError({ coupon: applied.error });
+  sendJson(res, 200, { ok: true, coupon: publicCoupon(findCoupon(code)), discount: applied.coupon.discount });
+});
+
+route('GET', '/api/mediblood/coupons', ({ req, res }) => {
+  requireRole(req, ['pharmacist']);
+  sendJson(res, 200, { ok: true, coupons: coupons.map((c) => ({ ...c, uses: couponUses(c.code) })) });
+});
+
+route('POST', '/api/mediblood/coupons', async ({ req, res }) => {
+  const user = requireRole(req, ['pharmacist']);
+  const body = await readJsonBody(req);
+  const coupon = buildCoupon(body.coupon, null, user);
+  coupons.push(coupon);
+  saveCoupons();
+  audit(req, 'coupon.created', { after: coupon, target: coupon.code });
+  sendJson(res, 201, { ok: true, coupon: { ...coupon, uses: 0 } });
+});
+
+route('POST', '/api/mediblood/coupons/:code', async ({ req, res, params }) => {
+  const user = requireRole(req, ['pharmacist']);
+  const body = await readJsonBody(req);
+  const index = coupons.findIndex((c) => c.code === params.code);
+  if (index < 0) throw httpError(404, 'Coupon not found.');
+  const before = coupons[index];
+  const coupon = buildCoupon(body.coupon, before, user);
+  coupons[index] = coupon;
+  saveCoupons();
+  audit(req, 'coupon.updated', { before, after: coupon, target: coupon.code });
+  sendJson(res, 200, { ok: true, coupon: { ...coupon, uses: couponUses(coupon.code) } });
+});
+
+route('GET', '/api/mediblood/catalog', ({ res }) => {
+  sendJson(res, 200, { ok: true, products: listCatalog() });
+});
+
+// A repeated Idempotency-Key returns the order created by the first request instead of creating another one.
+route('POST', '/api/mediblood/orders', async ({ req, res }) => {
+  const body = await readJsonBody(req, MAX_ORDER_BODY_BYTES);
+  const idempotencyKey = cleanText(req.headers['idempotency-key'], 100);
+  const existing = findOrderByIdempotencyKey(idempotencyKey);
+  if (existing) {
+    sendJson(res, 200, { ok: true, orderId: existing.id, order: publicOrder(existing), replayed: true });
+    return;
+  }
+
+  const localId = cleanText(body.order && body.order.localId, 60);
+  const offline = LOCAL_ORDER_ID.test(localId) && !findOrderByAnyId(localId);
+  const { order, rxFile } = buildOrder(body.order, { offline });
+  if (idempotencyKey) order.idempotencyKey = idempotencyKey;
+  if (offline) {
+    order.localId = localId;
+    order.placedOfflineAt = cleanText(body.order.placedOfflineAt, 40);
+  }
+  if (order.type === 'medicine') reserveStock(order);
+  if (order.type === 'blood') holdBloodUnits(order);
+  if (rxFile) savePrescriptionFile(order, rxFile);
+  orders.push(order);
+  saveOrders();
+  saveInventory();
+  saveBloodStock();
+  audit(req, 'order.created', { order });
+  const customer = currentCustomer(req);
+  if (customer) {
+    rememberContact(customer, order);
+    saveCustomers();
+  }
+  publishOrder(order, 'created');
+  sendJson(res, 201, { ok: true, orderId: order.id, order: publicOrder(order) });
+});
+
+// Query: type, status (comma-separated), urgency, bloodGroup, city, from/to (YYYY-MM-DD), q, sort, dir, limit, cursor.
+route('GET', '/api/mediblood/orders', ({ req, res, url }) => {
+  const user = requireRole(req, Object.keys(ROLES));
+  const query = parseOrderQuery(url.searchParams);
+  const page = pageOrders(orders.filter((o) => canSeeOrder(user, o)), query);
+  sendJson(res, 200, { ok: true, ...page, orders: page.orders.map((o) => toAdminOrder(o, user)) });
+});
+
+// Live admin feed. Takes the list filters: new orders are sent only when they match them, changes to any order
+// the user may see are always sent. The stream ends when the staff session does.
+route('GET', '/api/mediblood/orders/events', ({ req, res, url }) => {
+  requireRole(req, Object.keys(ROLES));
+  const query = parseOrderQuery(url.searchParams);
+  // An open stream is not activity: it reads the session without extending it, and ends once the session expires.
+  const liveUser = () => currentUser(req, { slide: false });
+  const stop = () => {
+    orderEvents.off('order', listener);
+    clearInterval(expiryCheck);
+  };
+  const listener = ({ kind, order }) => {
+    const user = liveUser();
+    if (!user) {
+      stop();
+      res.end();
+      return;
+    }
+    if (!canSeeOrder(user, order) || (kind === 'created' && !matchesOrderQuery(order, query))) return;
+    send('order', { kind, order: toAdminOrder(order, user) });
+  };
+  const expiryCheck = setInterval(() => {
+    if (liveUser()) return;
+    stop();
+    res.end();
+  }, EVENT_HEARTBEAT_MS);
+  const send = openEventStream(res, stop);
+  orderEvents.on('order', listener);
+});
+
+// Same filters as the list above, without paging. `format` is csv (default) or json.
+route('GET', '/api/mediblood/orders/export', ({ req, res, url }) => {
+  const user = requireRole(req, Object.keys(ROLES));
+  const query = parseOrderQuery(url.searchParams);
+  const format = url.searchParams.get('format') || 'csv';
+  if (format !== 'csv' && format !== 'json') throw validationError({ format: 'Format must be csv or json.' });
+  const { orders: list } = pageOrders(orders.filter((o) => canSeeOrder(user, o)), { ...query, limit: Infinity });
+  const exportedAt = new Date().toISOString();
+  const filename = `mediblood-orders-${exportedAt.slice(0, 10)}.${format}`;
+  const body =
+    format === 'csv'
+      ? ordersToCsv(list)
+      : JSON.stringify({ format: EXPORT_FORMAT, version: 1, exportedAt, orders: list.map(publicOrder) }, null, 2);
+  res.writeHead(200, {
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  const filters = new URLSearchParams(url.searchParams);
+  filters.delete('format');
+  audit(req, 'orders.exported', { detail: `${list.length} orders as ${format}${String(filters) ? ` (${filters})` : ''}` });
+  // An export carries full contact details, so each order in it counts as revealed.
+  list.forEach((o) => audit(req, 'order.revealed', { order: o, after: null, detail: `${format} export` }));
+  res.end(body);
+});
+
+route('POST', '/api/mediblood/orders/import', async ({ req, res }) => {
+  const user = requireRole(req, Object.keys(ROLES));
+  const body = await readJsonBody(req, MAX_IMPORT_BYTES);
+  const result = importOrders(body, user);
+  result.imported.forEach(({ id }) => audit(req, 'order.imported', { order: findOrder(id) }));
+  sendJson(res, 200, { ok: true, ...result });
+});
+
+// Newest first. Query: order (an order ID), cursor (the `seq` of the last entry already shown). Entries about orders
+// are limited to the order types the user handles; the chain is checked on every request.
+route('GET', '/api/mediblood/audit', ({ req, res, url }) => {
+  const user = requireRole(req, AUDIT_ROLES);
+  const orderId = cleanText(url.searchParams.get('order'), 60).toUpperCase();
+  const cursor = parseIntStrict(url.searchParams.get('cursor'));
+  const log = readAuditLog();
+  const matches = log
+    .filter((e) => e && (!e.orderType || hasRole(user, ORDER_TYPE_ROLES[e.orderType] || [])))
+    .filter((e) => !orderId || String(e.orderId || '').toUpperCase() === orderId)
+    .filter((e) => Number.isNaN(cursor) || e.seq < cursor)
+    .reverse();
+  const entries = matches.slice(0, ADMIN_PAGE_SIZE);
+  const nextCursor = matches.length > entries.length ? String(entries[entries.length - 1].seq) : null;
+  sendJson(res, 200, { ok: true, entries, nextCursor, chain: verifyAuditLog(log) });
+});
+
+route('GET', '/api/mediblood/blood-stock', ({ req, res }) => {
+  requireRole(req, ['bloodbank']);
+  sendJson(res, 200, { ok: true, banks: summarizeBloodStock(), reserveUnits: EMERGENCY_RESERVE_UNITS });
+});
+
+route('POST', '/api/mediblood/donors', async ({ req, res }) => {
+  const body = await readJsonBody(req);
+  const donor = buildDonor(body.donor);
+  donors.push(donor);
+  saveDonors();
+  sendJson(res, 201, { ok: true, donor: withEligibility(donor) });
+});
+
+route('GET', '/api/mediblood/donors', ({ req, res }) => {
+  requireRole(req, ['bloodbank']);
+  const today = todayIso();
+  sendJson(res, 200, { ok: true, donors: donors.map((d) => withEligibility(d, today)) });
+});
+
+route('POST', '/api/mediblood/donors/:id/donations', async ({ req, res, params }) => {
+  requireRole(req, ['bloodbank']);
+  const body = await readJsonBody(req);
+  const donor = findDonor(params.id);
+  if (!donor) throw httpError(404, 'Donor not found.');
+  const before = auditSnapshot(donor);
+  recordDonation(donor, cleanText(body.date, 10) || todayIso());
+  saveDonors();
+  audit(req, 'donor.donation', { before, after: donor, target: donor.id });
+  sendJson(res, 200, { ok: true, donor: withEligibility(donor) });
+});
+
+route('GET', '/api/mediblood/orders/:id', ({ req, res, params }) => {
+  const order = findOrderByAnyId(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  sendJson(res, 200, { ok: true, order: trackingOrder(req, order) });
+});
+
+// Pushes the order once on connect and again after every change, for the Track view.
+route('GET', '/api/mediblood/orders/:id/events', ({ req, res, params }) => {
+  const order = findOrderByAnyId(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  const listener = (event) => {
+    if (event.order.id === order.id) send('order', trackingOrder(req, event.order));
+  };
+  const send = openEventStream(res, () => orderEvents.off('order', listener));
+  orderEvents.on('order', listener);
+  send('order', trackingOrder(req, order));
+});
+
+route('POST', '/api/mediblood/orders/:id/status', async ({ req, res, params }) => {
+  const user = requireRole(req, Object.keys(ROLES));
+  const body = await readJsonBody(req);
+  const order = findOrder(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  const status = cleanText(body.status, 40);
+  const role = (STATUS_ROLES[order.type] || {})[status];
+  if (role && !hasRole(user, [role])) throw httpError(403, `Only a ${ROLES[role].toLowerCase()} can set "${status}".`);
+  if (order.assignment && ['Out for delivery', DELIVERED_STATUS[order.type]].includes(status)) {
+    throw httpError(409, `${order.assignment.riderName} has this delivery; the rider records pickup and handover.`);
+  }
+  const before = auditSnapshot(order);
+  transitionOrder(order, status, cleanText(body.note, 200));
+  saveOrders();
+  saveInventory();
+  saveBloodStock();
+  audit(req, 'order.status', { order, before, detail: status });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: toAdminOrder(order, user) });
+});
+
+route('POST', '/api/mediblood/orders/:id/cancel', async ({ req, res, params }) => {
+  const body = await readJsonBody(req);
+  const order = findOrderByAnyId(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  requireOrderOwner(req, order, cleanText(body.phone, 32));
+  const before = auditSnapshot(order);
+  cancelByCustomer(order, cleanText(body.reason, 200));
+  saveOrders();
+  saveInventory();
+  saveBloodStock();
+  audit(req, 'order.cancelled', { order, before });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: publicOrder(order) });
+});
+
+route('POST', '/api/mediblood/orders/:id/changes', async ({ req, res, params }) => {
+  const body = await readJsonBody(req);
+  const order = findOrderByAnyId(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  requireOrderOwner(req, order, cleanText(body.phone, 32));
+  const before = auditSnapshot(order);
+  editByCustomer(order, body);
+  saveOrders();
+  saveInventory();
+  audit(req, 'order.changed', { order, before });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: publicOrder(order) });
+});
+
+// For the customer only, like the changes above: the rider asks for this code at the door.
+route('POST', '/api/mediblood/orders/:id/handover-code', async ({ req, res, params }) => {
+  const body = await readJsonBody(req);
+  const order = findOrderByAnyId(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  requireOrderOwner(req, order, cleanText(body.phone, 32));
+  if (order.proof) throw httpError(409, 'This order has already been handed over.');
+  if (!order.assignment || !order.assignment.handoverCode) throw httpError(409, 'No rider is on the way yet.');
+  sendJson(res, 200, { ok: true, code: order.assignment.handoverCode });
+});
+
+// The recipient's signature is for the customer's own session and for staff who handle the order, not for Track.
+route('GET', '/api/mediblood/orders/:id/signature', ({ req, res, params }) => {
+  const order = findOrderByAnyId(params.id);
+  if (!order || !order.proof) throw httpError(404, 'Proof of delivery not found.');
+  if (!isOrderCustomer(req, order) && !canSeeOrder(currentUser(req), order)) {
+    throw httpError(403, 'Sign in with the phone number on this order to see the signature.');
+  }
+  let body;
+  try {
+    body = fs.readFileSync(path.join(SIGNATURES_DIR, path.basename(order.proof.signatureFile)));
+  } catch {
+    throw httpError(404, 'Signature file is missing.');
+  }
+  res.writeHead(200, {
+    'Content-Type': 'image/png',
+    'Content-Length': body.length,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.end(body);
+});
+
+// Orders waiting for or out with a rider, Emergency blood first, with the riders to choose from.
+route('GET', '/api/mediblood/dispatch', ({ req, res }) => {
+  const user = requireRole(req, ['dispatcher']);
+  const emergency = (o) => Number(Boolean(o.request) && o.request.urgency === 'Emergency');
+  const jobs = orders
+    .filter((o) => ON_THE_ROAD_STATUSES.includes(o.status))
+    .sort((a, b) => emergency(b) - emergency(a) || a.createdAt.localeCompare(b.createdAt));
+  const riders = listRiders().map((r) => ({
+    username: r.username,
+    name: r.name,
+    activeJobs: orders.filter((o) => isActiveJob(o) && o.assignment.rider === r.username).length
+  }));
+  sendJson(res, 200, { ok: true, riders, orders: jobs.map((o) => toAdminOrder(o, user)) });
+});
+
+route('POST', '/api/mediblood/orders/:id/assign', async ({ req, res, params }) => {
+  const user = requireRole(req, ['dispatcher']);
+  const body = await readJsonBody(req);
+  const order = findOrder(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  const before = auditSnapshot(order);
+  assignRider(order, cleanText(body.rider, 40).toLowerCase(), user);
+  saveOrders();
+  audit(req, 'order.assigned', { order, before });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: toAdminOrder(order, user) });
+});
+
+route('GET', '/api/mediblood/rider/jobs', ({ req, res }) => {
+  const user = requireRole(req, ['rider']);
+  const jobs = orders.filter((o) => isActiveJob(o) && o.assignment.rider === user.username);
+  sendJson(res, 200, { ok: true, orders: jobs.map(publicOrder) });
+});
+
+route('POST', '/api/mediblood/orders/:id/pickup', ({ req, res, params }) => {
+  const user = requireRole(req, ['rider']);
+  const order = findOrder(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  const before = auditSnapshot(order);
+  markPickedUp(order, user);
+  saveOrders();
+  audit(req, 'order.picked-up', { order, before });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: publicOrder(order) });
+});
+
+route('POST', '/api/mediblood/orders/:id/deliver', async ({ req, res, params }) => {
+  const user = requireRole(req, ['rider']);
+  const body = await readJsonBody(req);
+  const order = findOrder(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  const before = auditSnapshot(order);
+  completeDelivery(order, user, body);
+  saveOrders();
+  audit(req, 'order.delivered', { order, before });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: publicOrder(order) });
+});
+
+// The admin list masks phone numbers and patient names; this returns them for one order and logs who asked.
+route('POST', '/api/mediblood/orders/:id/reveal', ({ req, res, params }) => {
+  const user = requireRole(req, Object.keys(ROLES));
+  const order = findOrder(params.id);
+  if (!order || !canSeeOrder(user, order)) throw httpError(404, 'Order not found.');
+  const patientName = (order.request && order.request.patientName) || '';
+  audit(req, 'order.revealed', { order, after: null, detail: patientName ? 'phone, patient name' : 'phone' });
+  sendJson(res, 200, { ok: true, phone: order.customer.phone, patientName });
+});
+
+// Data-logger uploads: a CSV body (Content-Type: text/csv), or JSON with `readings` or `csv`.
+route('POST', '/api/mediblood/orders/:id/temperatures', async ({ req, res, params }) => {
+  const user = requireRole(req, Object.keys(ROLES));
+  const order = findOrder(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  if (!canSeeOrder(user, order)) requireAssignedRider(order, user);
+  let rows;
+  if (String(req.headers['content-type'] || '').startsWith('text/csv')) {
+    rows = csvRows(await readBody(req));
+  } else {
+    const body = await readJsonBody(req);
+    rows = typeof body.csv === 'string' ? csvRows(body.csv) : body.readings;
+  }
+  const before = auditSnapshot(order);
+  const flagged = logTemperatures(order, parseReadings(rows), user);
+  saveOrders();
+  audit(req, 'order.temperatures', { order, before });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, flagged: flagged.length, order: toAdminOrder(order, user) });
+});
+
+route('POST', '/api/mediblood/orders/:id/excursions/:excursionId/resolve', async ({ req, res, params }) => {
+  const user = requireRole(req, Object.values(COLD_CHAIN_ROLES));
+  const body = await readJsonBody(req);
+  const order = findOrder(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  if (!hasRole(user, [COLD_CHAIN_ROLES[order.type]])) throw httpError(403, 'Your role does not allow this action.');
+  const before = auditSnapshot(order);
+  resolveExcursion(order, params.excursionId, cleanText(body.note, 300), user);
+  saveOrders();
+  audit(req, 'order.excursion-resolved', { order, before, detail: params.excursionId });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: toAdminOrder(order, user) });
+});
+
+route('GET', '/api/mediblood/orders/:id/prescription', ({ req, res, params }) => {
+  requireRole(req, ['pharmacist']);
+  const order = findOrder(params.id);
+  if (!order || !order.prescription) throw httpError(404, 'Prescription not found.');
+
+  // The type comes from the file name the server gave the upload, never from stored metadata.
+  const file = path.basename(order.prescription.file || '');
+  const mimeType = Object.keys(RX_TYPES).find((type) => file === `${order.id}.${RX_TYPES[type].ext}`);
+  let body;
+  try {
+    if (!mimeType) throw new Error('Unexpected prescription file.');
+    body = fs.readFileSync(path.join(PRESCRIPTIONS_DIR, file));
+  } catch {
+    throw httpError(404, 'Prescription file is missing.');
+  }
+  res.writeHead(200, {
+    'Content-Type': mimeType,
+    'Content-Length': body.length,
+    'Content-Disposition': `inline; filename="${file}"`,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.end(body);
+});
+
+route('POST', '/api/mediblood/orders/:id/prescription', async ({ req, res, params }) => {
+  const user = requireRole(req, ['pharmacist']);
+  const body = await readJsonBody(req);
+  const order = findOrder(params.id);
+  if (!order) throw httpError(404, 'Order not found.');
+  const before = auditSnapshot(order);
+  const decision = cleanText(body.decision, 20);
+  reviewPrescription(order, decision, cleanText(body.reason, 200));
+  saveOrders();
+  saveInventory();
+  audit(req, 'order.prescription', { order, before, detail: decision });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, order: toAdminOrder(order, user) });
+});
+
+route('GET', '/api/mediblood/orders/:id/donors', ({ req, res, params }) => {
+  requireRole(req, ['bloodbank']);
+  const order = findOrder(params.id);
+  if (!order || order.type !== 'blood') throw httpError(404, 'Blood request not found.');
+  sendJson(res, 200, { ok: true, needsDonors: needsDonors(order), donors: rankDonors(order) });
+});
+
+route('POST', '/api/mediblood/orders/:id/donors/:donorId', async ({ req, res, params }) => {
+  requireRole(req, ['bloodbank']);
+  const body = await readJsonBody(req);
+  const order = findOrder(params.id);
+  if (!order || order.type !== 'blood') throw httpError(404, 'Blood request not found.');
+  const donor = findDonor(params.donorId);
+  if (!donor) throw httpError(404, 'Donor not found.');
+  const before = auditSnapshot(order);
+  recordDonorResponse(order, donor, cleanText(body.status, 20));
+  saveOrders();
+  audit(req, 'order.donor-response', { order, before, detail: donor.id });
+  publishOrder(order);
+  sendJson(res, 200, { ok: true, donors: rankDonors(order) });
+});
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw httpError(400, 'Malformed URL.');
+  }
+};
+
+const handleApi = async (req, res, url) => {
+  let pathMatched = false;
+  for (const r of routes) {
+    const match = url.pathname.match(r.regex);
+    if (!match) continue;
+    pathMatched = true;
+    if (r.method !== req.method) continue;
+    const params = {};
+    r.keys.forEach((key, i) => {
+      params[key] = decodeParam(match[i + 1]);
+    });
+    await r.handler({ req, res, url, params });
+    return;
+  }
+  throw pathMatched ? httpError(405, 'Method not allowed.') : httpError(404, 'Not found.');
+};
+
+const serveStatic = (req, res, url) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') throw httpError(405, 'Method not allowed.');
+  if (url.pathname === '/' || url.pathname === BASE_PATH) return redirect(res, `${BASE_PATH}/`);
+  if (!url.pathname.startsWith(`${BASE_PATH}/`)) throw httpError(404, 'Not found.');
+
+  const name = url.pathname.slice(BASE_PATH.length + 1) || 'index.html';
+  const type = STATIC_FILES.get(name);
+  if (!type) throw httpError(404, 'Not found.');
+
+  const body = fs.readFileSync(path.join(ROOT_DIR, name));
+  res.writeHead(200, {
+    'Content-Type': type,
+    'Content-Length': body.length,
+    'Cache-Control': 'no-cache',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.end(req.method === 'HEAD' ? undefined : body);
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    if (url.pathname.startsWith('/api/')) {
+      await handleApi(req, res, url);
+    } else {
+      serveStatic(req, res, url);
+    }
+  } catch (err) {
+    const status = err && typeof err.status === 'number' ? err.status : 500;
+    if (status >= 500) console.error(err);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendJson(res, status, {
+      ok: false,
+      message: status >= 500 ? 'Internal server error.' : err.message,
+      ...(err && err.data ? err.data : {})
+    });
+  }
+});
+
+const prompt = (question) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+
+// `node server.js add-user <username> <role[,role]> [display name]` creates or updates a staff account.
+// The password comes from MEDIBLOOD_PASSWORD or is asked for on the terminal.
+const addUserCommand = async ([username, rolesArg, ...nameParts]) => {
+  const roles = String(rolesArg || '')
+    .split(',')
+    .map((r) => r.trim())
+    .filter(Boolean);
+  if (!/^[a-z0-9._-]{2,32}$/i.test(username || '') || !roles.length || roles.some((r) => !ROLES[r])) {
+    console.error(`Usage: node server.js add-user <username> <role[,role]> [display name]`);
+    console.error(`Roles: ${Object.keys(ROLES).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  const password = process.env.MEDIBLOOD_PASSWORD || (await prompt('Password (min 10 characters): '));
+  if (password.length < 10) {
+    console.error('Password must be at least 10 characters.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const existing = findUser(username);
+  const user = {
+    username: username.toLowerCase(),
+    name: nameParts.join(' ') || (existing && existing.name) || username,
+    roles,
+    passwordHash: hashPassword(password),
+    createdAt: (existing && existing.createdAt) || new Date().toISOString()
+  };
+  if (existing) users.splice(users.indexOf(existing), 1, user);
+  else users.push(user);
+  saveUsers();
+  console.log(`${existing ? 'Updated' : 'Created'} ${user.username} (${roles.map((r) => ROLES[r]).join(', ')}).`);
+};
+
+// `node server.js verify-audit` recomputes the audit log's hash chain. Keep the printed last hash somewhere else too:
+// the chain cannot show that entries were cut off the end.
+const verifyAuditCommand = () => {
+  const result = verifyAuditLog(readAuditLog());
+  if (result.ok) {
+    console.log(`Audit log OK: ${result.entries} entries. Last hash ${result.lastHash}`);
+    return;
+  }
+  console.error(`Audit log broken at line ${result.brokenAt}: ${result.problem}.`);
+  process.exitCode = 1;
+};
+
+// Settings files the server writes on its first start, so they can be edited. A missing or unreadable file means the
+// defaults are used; an existing one is never overwritten.
+const SEEDED_FILES = [
+  [DELIVERY_FILE, DEFAULT_DELIVERY],
+  [COLD_CHAIN_FILE, DEFAULT_COLD_CHAIN],
+  [PRIVACY_FILE, DEFAULT_PRIVACY],
+  [NOTIFICATIONS_FILE, DEFAULT_NOTIFICATIONS]
+];
+
+const seedDataFiles = () => {
+  SEEDED_FILES.forEach(([file, data]) => {
+    if (!fs.existsSync(file)) writeJsonFile(file, data);
+  });
+};
+
+const main = ([command, ...args]) => {
+  // The commands never create the data key: run against the wrong data folder, they would make a new one.
+  if (['add-user', 'verify-audit'].includes(command) && !dataKey) {
+    console.error(`${MISSING_KEY_MESSAGE} Start the server once to create it.`);
+    process.exitCode = 1;
+  } else if (command === 'add-user') {
+    void addUserCommand(args);
+  } else if (command === 'verify-audit') {
+    verifyAuditCommand();
+  } else if (command) {
+    console.error(`Unknown command: ${command}`);
+    process.exitCode = 1;
+  } else {
+    if (!dataKey) dataKey = createDataKey();
+    seedDataFiles();
+    // Saving once encrypts stores written before personal fields were encrypted.
+    saveOrders();
+    sweepPersonalData();
+    setInterval(() => sweepPersonalData(), RETENTION_SWEEP_MS).unref();
+    resumeNotifications();
+    server.listen(PORT, () => {
+      console.log(`MediBlood running at http://localhost:${PORT}${BASE_PATH}/`);
+    });
+  }
+};
+
+if (require.main === module) main(process.argv.slice(2));
+
+// For the tests in test/. Requiring this file loads the data folder but neither listens nor writes anything.
+module.exports = {
+  EMERGENCY_RESERVE_UNITS,
+  NOTIFY_ADAPTERS,
+  applyCoupon,
+  audit,
+  buildCoupon,
+  cancelByCustomer,
+  createSession,
+  customers,
+  decryptField,
+  donors,
+  editByCustomer,
+  encryptField,
+  eraseCustomer,
+  findZone,
+  importOrders,
+  inventory,
+  mapPersonalFields,
+  orders,
+  planBloodAllocation,
+  priceItems,
+  priceOrder,
+  publishOrder,
+  readAuditLog,
+  readSession,
+  requireOrderOwner,
+  reserveStock,
+  server,
+  trackingOrder,
+  transitionOrder,
+  verifyAuditLog
+};
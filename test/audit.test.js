@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+const { dir, server } = loadServer();
+const { audit, readAuditLog, verifyAuditLog } = server;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const order = {
+  id: 'MB-TEST-1',
+  type: 'medicine',
+  status: 'Placed',
+  customer: { name: 'Asha Patil', phone: '9876543210' },
+  handoverCode: '1234'
+};
+audit(null, 'order.created', { order });
+audit(null, 'order.status', { order: { ...order, status: 'Confirmed' }, before: order });
+audit(null, 'order.status', { order: { ...order, status: 'Dispatched' }, before: { ...order, status: 'Confirmed' } });
+audit(null, 'test.note', { target: 'settings', detail: 'changed by hand' });
+
+test('entries chain from the first one and verify', () => {
+  const entries = readAuditLog();
+  assert.deepEqual(entries.map((e) => e.seq), [1, 2, 3, 4]);
+  assert.equal(entries[1].prevHash, entries[0].hash);
+  assert.deepEqual(entries[1].changes, { status: { from: 'Placed', to: 'Confirmed' } });
+  assert.deepEqual(verifyAuditLog(entries), { ok: true, entries: 4, lastHash: entries[3].hash });
+});
+
+test('personal fields and secrets are not written to the log', () => {
+  const text = fs.readFileSync(path.join(dir, 'audit.log'), 'utf8');
+  assert.ok(!text.includes('Asha'));
+  assert.ok(!text.includes('9876543210'));
+  const changes = readAuditLog()[0].changes;
+  assert.match(changes['customer.name'].to, /^personal:[0-9a-f]{12}$/);
+  assert.equal(changes.handoverCode.to, '(hidden)');
+});
+
+test('an edited entry breaks the chain at that entry', () => {
+  const entries = readAuditLog();
+  entries[1].changes.status.to = 'Delivered';
+  assert.deepEqual(verifyAuditLog(entries), {
+    ok: false,
+    entries: 4,
+    brokenAt: 2,
+    problem: 'its contents do not match its hash'
+  });
+});
+
+test('re-hashing an edited entry breaks the link to the next one', () => {
+  const entries = readAuditLog();
+  const { hash, ...content } = entries[1];
+  content.detail = 'rewritten';
+  entries[1] = { ...content, hash: sha256(JSON.stringify(content)) };
+  assert.notEqual(entries[1].hash, hash);
+  const result = verifyAuditLog(entries);
+  assert.equal(result.brokenAt, 3);
+  assert.equal(result.problem, 'it does not follow the previous entry');
+});
+
+test('removed and reordered entries are caught', () => {
+  const entries = readAuditLog();
+  assert.equal(verifyAuditLog([entries[0], ...entries.slice(2)]).brokenAt, 2);
+  assert.equal(verifyAuditLog([entries[1], entries[0], ...entries.slice(2)]).brokenAt, 1);
+});
+
+test('a line that is not JSON is reported', () => {
+  const file = path.join(dir, 'audit.log');
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines[2] = lines[2].slice(0, -1);
+  fs.writeFileSync(file, lines.join('\n'));
+  assert.deepEqual(verifyAuditLog(readAuditLog()), {
+    ok: false,
+    entries: 4,
+    brokenAt: 3,
+    problem: 'the line is not a valid entry'
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { client, listen, loadServer, staffUser } = require('./helpers');
+
+const { dir, server: mediblood } = loadServer({
+  'users.json': [staffUser('asha', ['pharmacist'], 'first-password')]
+});
+const call = client(listen(test, mediblood.server));
+
+const signIn = (password) => call('POST', '/auth/login', { body: { username: 'Asha', password } });
+
+const saveUsers = (list) => fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify(list));
+
+test('admin routes need a staff session', async () => {
+  assert.equal((await call('GET', '/orders')).status, 401);
+  assert.equal((await call('GET', '/auth/me', { cookie: 'mb_admin=made-up' })).status, 401);
+});
+
+test('signing in opens a session until signing out', async () => {
+  assert.equal((await signIn('wrong-password')).status, 401);
+  const { status, cookie } = await signIn('first-password');
+  assert.equal(status, 200);
+  const me = await call('GET', '/auth/me', { cookie });
+  assert.deepEqual(me.body.user, { username: 'asha', name: 'asha', roles: ['pharmacist'] });
+  assert.equal((await call('GET', '/orders', { cookie })).status, 200);
+  await call('POST', '/auth/logout', { cookie });
+  assert.equal((await call('GET', '/auth/me', { cookie })).status, 401);
+});
+
+test('account changes on disk apply to open sessions', async () => {
+  const { cookie } = await signIn('first-password');
+  const user = staffUser('asha', ['pharmacist'], 'first-password');
+  const current = JSON.parse(fs.readFileSync(path.join(dir, 'users.json'), 'utf8'))[0];
+  saveUsers([{ ...current, roles: ['bloodbank', 'dispatcher'] }]);
+  assert.deepEqual((await call('GET', '/auth/me', { cookie })).body.user.roles, ['bloodbank', 'dispatcher']);
+  saveUsers([user]);
+  assert.equal((await call('GET', '/auth/me', { cookie })).status, 401, 'a replaced password signs the session out');
+  assert.equal((await signIn('first-password')).status, 200);
+  saveUsers([]);
+  assert.equal((await signIn('first-password')).status, 401);
+  saveUsers([user]);
+  assert.equal((await signIn('first-password')).status, 200);
+});
+
+test('repeated failures lock sign-in for the address', async () => {
+  for (let i = 0; i < 5; i += 1) assert.equal((await signIn('wrong-password')).status, 401);
+  const locked = await signIn('first-password');
+  assert.equal(locked.status, 429);
+  assert.match(locked.body.message, /Too many failed sign-in attempts/);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+const lot = (id, group, units, expiresOn) => ({ id, bankId: 'BB-CITY', group, units, expiresOn });
+
+const { server } = loadServer({
+  'blood-stock.json': {
+    lots: [
+      lot('APOS-LATE', 'A+', 3, inDays(10)),
+      lot('APOS-SOON', 'A+', 2, inDays(3)),
+      lot('APOS-EXPIRED', 'A+', 5, inDays(-1)),
+      lot('ONEG', 'O-', 3, inDays(20))
+    ]
+  }
+});
+const { planBloodAllocation, EMERGENCY_RESERVE_UNITS } = server;
+
+const lotsUsed = (plan) => plan.lines.map((line) => [line.lotId, line.units]);
+
+test('the exact group is used first, earliest expiry first', () => {
+  const plan = planBloodAllocation({ bloodType: 'A+', units: 2, urgency: 'Routine' });
+  assert.deepEqual(lotsUsed(plan), [['APOS-SOON', 2]]);
+  assert.equal(plan.allocated, 2);
+  assert.equal(plan.shortfall, 0);
+  assert.equal(plan.lines[0].bankName, 'City Blood Bank');
+});
+
+test('compatible groups fill the rest once the exact group runs down to its reserve', () => {
+  assert.equal(EMERGENCY_RESERVE_UNITS, 2);
+  const plan = planBloodAllocation({ bloodType: 'A+', units: 4, urgency: 'Routine' });
+  assert.deepEqual(lotsUsed(plan), [
+    ['APOS-SOON', 2],
+    ['APOS-LATE', 1],
+    ['ONEG', 1]
+  ]);
+  assert.equal(plan.shortfall, 0);
+  assert.equal(plan.reserveHeld, false);
+});
+
+test('routine requests leave the reserve and report it as held', () => {
+  const plan = planBloodAllocation({ bloodType: 'B+', units: 3, urgency: 'Routine' });
+  assert.deepEqual(lotsUsed(plan), [['ONEG', 1]]);
+  assert.equal(plan.shortfall, 2);
+  assert.equal(plan.reserveHeld, true);
+});
+
+test('emergency requests may use the reserve', () => {
+  const plan = planBloodAllocation({ bloodType: 'B+', units: 3, urgency: 'Emergency' });
+  assert.deepEqual(lotsUsed(plan), [['ONEG', 3]]);
+  assert.equal(plan.shortfall, 0);
+});
+
+test('expired lots are never allocated and the rest is a shortfall', () => {
+  const plan = planBloodAllocation({ bloodType: 'A+', units: 10, urgency: 'Emergency' });
+  assert.ok(!plan.lines.some((line) => line.lotId === 'APOS-EXPIRED'));
+  assert.equal(plan.allocated, 8);
+  assert.equal(plan.shortfall, 2);
+  assert.equal(plan.reserveHeld, false);
+});
+
+test('O- patients can only take O-', () => {
+  const plan = planBloodAllocation({ bloodType: 'O-', units: 1, urgency: 'Routine' });
+  assert.deepEqual(plan.compatibleGroups, ['O-']);
+  assert.deepEqual(lotsUsed(plan), [['ONEG', 1]]);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, item } = require('./helpers');
+
+const coupon = (fields) => ({
+  description: '',
+  type: 'percent',
+  value: 10,
+  minCart: 0,
+  skus: [],
+  tags: [],
+  expiresAt: '',
+  perCustomer: 0,
+  active: true,
+  ...fields
+});
+
+const { server } = loadServer({
+  'coupons.json': [
+    coupon({ code: 'SAVE10' }),
+    coupon({ code: 'FLAT50', type: 'flat', value: 50, minCart: 100 }),
+    coupon({ code: 'IBU20', value: 20, skus: ['MB-IBU-200'] }),
+    coupon({ code: 'OLD', expiresAt: '2000-01-01' }),
+    coupon({ code: 'PAUSED', active: false }),
+    coupon({ code: 'ONCE', perCustomer: 1 })
+  ]
+});
+const { applyCoupon, buildCoupon, priceItems, orders } = server;
+
+const cart = (...lines) => priceItems(lines, {});
+
+test('percentage and flat coupons discount the covered items', () => {
+  assert.equal(applyCoupon('SAVE10', cart(item('MB-PARA-500', 20))).coupon.discount, 5);
+  assert.equal(applyCoupon('FLAT50', cart(item('MB-PARA-500', 60))).coupon.discount, 50);
+  assert.equal(applyCoupon('IBU20', cart(item('MB-PARA-500', 10), item('MB-IBU-200', 10))).coupon.discount, 6);
+});
+
+test('unknown, paused, expired and below-minimum coupons are refused', () => {
+  const items = cart(item('MB-PARA-500', 20));
+  assert.match(applyCoupon('NOPE', items).error, /not valid/);
+  assert.match(applyCoupon('PAUSED', items).error, /not valid/);
+  assert.match(applyCoupon('OLD', items).error, /expired/);
+  assert.match(applyCoupon('FLAT50', items).error, /₹100 or more/);
+  assert.match(applyCoupon('IBU20', items).error, /does not apply/);
+});
+
+test('prescription items are never discounted', () => {
+  assert.match(applyCoupon('SAVE10', cart(item('MB-AMOX-250', 2))).error, /does not apply/);
+  assert.equal(applyCoupon('SAVE10', cart(item('MB-AMOX-250', 2), item('MB-PARA-500', 4))).coupon.discount, 1);
+});
+
+test('the per-customer limit counts standing orders for the same phone', () => {
+  const items = cart(item('MB-PARA-500', 4));
+  const used = { id: 'MB-TEST-1', status: 'Placed', coupon: { code: 'ONCE' }, customer: { phone: '+91 98765 43210' } };
+  orders.push(used);
+  try {
+    assert.match(applyCoupon('ONCE', items, '9876543210').error, /already used/);
+    assert.ok(applyCoupon('ONCE', items, '9123456789').coupon);
+    assert.ok(applyCoupon('ONCE', items, '9876543210', 'MB-TEST-1').coupon, 'editing that order keeps its coupon');
+    // Without a phone (a signed-out check) the limit is left to checkout.
+    assert.ok(applyCoupon('ONCE', items).coupon);
+    used.status = 'Cancelled';
+    assert.ok(applyCoupon('ONCE', items, '9876543210').coupon, 'a cancelled order gives the use back');
+  } finally {
+    orders.splice(orders.indexOf(used), 1);
+  }
+});
+
+test('coupons cannot target prescription items or unknown SKUs', () => {
+  const input = { code: 'new-one', type: 'percent', value: 15, skus: 'MB-AMOX-250' };
+  assert.throws(
+    () => buildCoupon(input, null, { username: 'admin' }),
+    (err) => err.status === 400 && err.data.errors.skus === 'MB-AMOX-250 is a prescription item.'
+  );
+  assert.throws(
+    () => buildCoupon({ ...input, skus: 'MB-NOPE' }, null, { username: 'admin' }),
+    (err) => err.data.errors.skus === 'Unknown SKU MB-NOPE.'
+  );
+  const built = buildCoupon({ ...input, skus: 'mb-para-500' }, null, { username: 'admin' });
+  assert.equal(built.code, 'NEW-ONE');
+  assert.deepEqual(built.skus, ['MB-PARA-500']);
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, request } = require('./helpers');
+
+const { server } = loadServer();
+const { cancelByCustomer, editByCustomer, requireOrderOwner, trackingOrder } = server;
+
+const order = (id) => ({
+  id,
+  type: 'medicine',
+  status: 'Placed',
+  customer: { name: 'Asha', phone: '+91 98765 43210' }
+});
+
+// The HTTP status the phone check answers with (200 when it lets the request through).
+const ownerCheck = (address, target, phone) => {
+  try {
+    requireOrderOwner(request({ address }), target, phone);
+  } catch (err) {
+    return err.status;
+  }
+  return 200;
+};
+
+test('the phone number on the order proves ownership, in any format', () => {
+  assert.equal(ownerCheck('10.0.0.1', order('MB-O1-A'), '098765 43210'), 200);
+  assert.equal(ownerCheck('10.0.0.1', order('MB-O1-A'), '9123456789'), 403);
+  assert.equal(ownerCheck('10.0.0.1', order('MB-O1-A'), ''), 403);
+});
+
+test('wrong numbers lock the phone check for that order', () => {
+  const target = order('MB-O2-A');
+  for (let i = 0; i < 5; i += 1) assert.equal(ownerCheck(`10.0.1.${i}`, target, `91234567${i}0`), 403);
+  // Even the right number is refused from then on, from any address.
+  assert.equal(ownerCheck('10.0.1.99', target, '9876543210'), 429);
+  assert.equal(ownerCheck('10.0.1.99', order('MB-O2-B'), '9876543210'), 200);
+});
+
+test('one address cannot spread its guesses over many orders', () => {
+  for (let i = 0; i < 20; i += 1) assert.equal(ownerCheck('10.0.2.1', order(`MB-O3-${i}`), '9123456789'), 403);
+  assert.equal(ownerCheck('10.0.2.1', order('MB-O3-X'), '9876543210'), 429);
+  assert.equal(ownerCheck('10.0.2.2', order('MB-O3-X'), '9876543210'), 200);
+});
+
+test('a missing phone number is not counted as a guess', () => {
+  const target = order('MB-O4-A');
+  for (let i = 0; i < 10; i += 1) ownerCheck('10.0.3.1', target, '');
+  assert.equal(ownerCheck('10.0.3.1', target, '9876543210'), 200);
+});
+
+test('Track shows no digit of the phone number it asks for', () => {
+  const shown = trackingOrder(request(), { ...order('MB-O5-A'), history: [] });
+  assert.equal(shown.customer.phone, '+•• ••••• •••••');
+  assert.equal(shown.customer.name, 'A•••');
+});
+
+const placed = (fields) => ({
+  id: 'MB-E1-A',
+  type: 'medicine',
+  status: 'Placed',
+  createdAt: '2026-01-05T10:00:00.000Z',
+  customer: { name: 'Asha Patil', phone: '9876543210', address: '12 MG Road', city: 'Pune', pincode: '411001' },
+  note: 'Ring twice',
+  items: [
+    { sku: 'MB-PARA-500', name: 'Paracetamol Tablets 500mg (10)', price: 2.5, qty: 20 },
+    { sku: 'MB-AMOX-250', name: 'Amoxicillin', price: 8, qty: 2 }
+  ],
+  delivery: { zoneId: 'PUNE', zoneName: 'Pune', slot: 'x' },
+  history: [],
+  ...fields
+});
+
+const editErrors = (order, input) => {
+  try {
+    editByCustomer(order, input);
+  } catch (err) {
+    return { status: err.status, errors: err.data ? err.data.errors : err.message };
+  }
+  return null;
+};
+
+test('a change touches only the fields it sends and re-prices the order', () => {
+  const order = placed();
+  editByCustomer(order, { items: [{ sku: 'MB-PARA-500', qty: 30 }] });
+  assert.equal(order.note, 'Ring twice');
+  assert.equal(order.customer.address, '12 MG Road');
+  assert.equal(order.items[0].qty, 30);
+  assert.equal(order.subtotal, 91);
+  assert.equal(order.deliveryFee, 40);
+  assert.equal(order.history.at(-1).note, 'Changed by the customer: Paracetamol Tablets 500mg (10) 20 → 30.');
+
+  editByCustomer(order, { customer: { address: '4 FC Road' }, note: '' });
+  assert.equal(order.customer.address, '4 FC Road');
+  assert.equal(order.customer.city, 'Pune');
+  assert.equal(order.note, '');
+  assert.equal(order.history.at(-1).note, 'Changed by the customer: address; note.');
+});
+
+test('a change that changes nothing is refused', () => {
+  assert.deepEqual(editErrors(placed(), { customer: {}, items: [] }), { status: 400, errors: 'Nothing was changed.' });
+});
+
+test('prescription quantities can only go down and the order keeps an item', () => {
+  const up = editErrors(placed(), { items: [{ sku: 'MB-AMOX-250', qty: 3 }] });
+  assert.equal(up.status, 400);
+  assert.match(up.errors['items.1.qty'], /can only be lowered/);
+  const empty = editErrors(placed(), {
+    items: [
+      { sku: 'MB-PARA-500', qty: 0 },
+      { sku: 'MB-AMOX-250', qty: 0 }
+    ]
+  });
+  assert.match(empty.errors.items, /Cancel the order instead/);
+});
+
+test('the new address must still be in a delivery zone', () => {
+  const result = editErrors(placed(), { customer: { city: 'Delhi', pincode: '110001' } });
+  assert.equal(result.errors['customer.city'], 'We do not deliver to this city or pincode yet.');
+});
+
+test('changes and cancellations close once the order is being packed', () => {
+  assert.equal(editErrors(placed({ status: 'Packed' }), { note: 'Late' }).status, 409);
+  assert.throws(() => cancelByCustomer(placed({ status: 'Packed' }), 'Changed my mind'), { status: 409 });
+});
+
+test('a cancellation needs a reason and is recorded in the history', () => {
+  assert.throws(
+    () => cancelByCustomer(placed(), ''),
+    (err) => err.data.errors.reason === 'Tell us why you are cancelling.'
+  );
+  const order = cancelByCustomer(placed(), 'Bought elsewhere');
+  assert.equal(order.status, 'Cancelled');
+  assert.equal(order.history.at(-1).note, 'Cancelled by the customer: Bought elsewhere');
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { client, listen, loadServer, staffUser } = require('./helpers');
+
+const customer = { name: 'Asha Patil', phone: '9876543210', address: '12 MG Road', city: 'Pune', pincode: '411001' };
+const medicineOrder = (id, fields) => ({
+  id,
+  type: 'medicine',
+  status: 'Out for delivery',
+  createdAt: '2026-01-05T10:00:00.000Z',
+  customer,
+  items: [{ sku: 'MB-PARA-500', name: 'Paracetamol Tablets 500mg (10)', price: 2.5, qty: 20 }],
+  history: [],
+  ...fields
+});
+
+const { dir, server: mediblood } = loadServer({
+  'users.json': [
+    staffUser('ph', ['pharmacist'], 'pharmacist-password'),
+    staffUser('bb', ['bloodbank'], 'bloodbank-password')
+  ],
+  'orders.json': [
+    medicineOrder('MB-D1-ROAD', { assignment: { rider: 'rd', riderName: 'Rohit', handoverCode: '482913' } }),
+    medicineOrder('MB-D1-DONE', {
+      status: 'Delivered',
+      proof: { recipientName: 'Asha', signatureFile: 'MB-D1-DONE.png', deliveredAt: '2026-01-05T12:00:00.000Z' }
+    })
+  ]
+});
+fs.mkdirSync(path.join(dir, 'signatures'));
+fs.writeFileSync(path.join(dir, 'signatures', 'MB-D1-DONE.png'), 'signature');
+const call = client(listen(test, mediblood.server));
+
+const staff = async (username, password) => {
+  const { cookie } = await call('POST', '/auth/login', { body: { username, password } });
+  return cookie;
+};
+
+// Signs in on My orders the way the browser does, reading the one-time code from the demo's SMS log.
+const customerSession = async (phone) => {
+  await call('POST', '/account/otp', { body: { phone } });
+  const code = fs.readFileSync(path.join(dir, 'otp-codes.log'), 'utf8').trim().split(' ').pop();
+  return (await call('POST', '/account/verify', { body: { phone, code, name: 'Asha Patil' } })).cookie;
+};
+
+test('the handover code reaches neither Track nor staff', async () => {
+  const tracked = await call('GET', '/orders/MB-D1-ROAD');
+  assert.equal(tracked.status, 200);
+  assert.deepEqual(tracked.body.order.assignment, { rider: 'rd', riderName: 'Rohit', hasCode: true });
+  const listed = await call('GET', '/orders', { cookie: await staff('ph', 'pharmacist-password') });
+  assert.ok(!JSON.stringify(listed.body).includes('482913'));
+});
+
+test('the customer gets the handover code with the order phone number', async () => {
+  const wrong = await call('POST', '/orders/MB-D1-ROAD/handover-code', { body: { phone: '9123456789' } });
+  assert.equal(wrong.status, 403);
+  const right = await call('POST', '/orders/MB-D1-ROAD/handover-code', { body: { phone: '+91 98765 43210' } });
+  assert.deepEqual(right.body, { ok: true, code: '482913' });
+  const done = await call('POST', '/orders/MB-D1-DONE/handover-code', { body: { phone: '9876543210' } });
+  assert.equal(done.status, 409);
+});
+
+test('the signature is only served to the customer and staff who handle the order', async () => {
+  const url = '/orders/MB-D1-DONE/signature';
+  assert.equal((await call('GET', url)).status, 403);
+  assert.equal((await call('GET', url, { cookie: await staff('bb', 'bloodbank-password') })).status, 403);
+  assert.equal((await call('GET', url, { cookie: await customerSession('9123456789') })).status, 403);
+
+  const forStaff = await call('GET', url, { cookie: await staff('ph', 'pharmacist-password') });
+  assert.equal(forStaff.status, 200);
+  assert.equal(forStaff.type, 'image/png');
+  assert.equal(forStaff.body.toString(), 'signature');
+  assert.equal((await call('GET', url, { cookie: await customerSession('9876543210') })).status, 200);
+});
+
+test('Track masks the recipient for everyone but the signed-in customer', async () => {
+  const masked = await call('GET', '/orders/MB-D1-DONE');
+  assert.equal(masked.body.order.masked, true);
+  assert.equal(masked.body.order.proof.recipientName, 'A•••');
+  const own = await call('GET', '/orders/MB-D1-DONE', { cookie: await customerSession('9876543210') });
+  assert.equal(own.body.order.masked, undefined);
+  assert.equal(own.body.order.proof.recipientName, 'Asha');
+});
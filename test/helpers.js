@@ -0,0 +1,73 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_KEY = 'ab'.repeat(32);
+
+// Loads server.js against a fresh data folder holding `files` (name -> JSON). Each test file runs in its own
+// process, so it gets its own copy of the server's state; the folder is removed when the process exits.
+const loadServer = (files = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mediblood-test-'));
+  for (const [name, data] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+  }
+  process.env.MEDIBLOOD_DATA_DIR = dir;
+  process.env.MEDIBLOOD_DATA_KEY = TEST_KEY;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, server: require('../server.js') };
+};
+
+const item = (sku, qty) => ({ sku, qty });
+
+// Just enough of an http.IncomingMessage for the server's session and throttle helpers.
+const request = ({ address = '127.0.0.1', cookie = '' } = {}) => ({
+  headers: { cookie },
+  socket: { remoteAddress: address }
+});
+
+// Listens on a free port for the tests in one file and closes when they are done. Returns a getter for the API's base
+// URL, which is only known once the tests start.
+const listen = (test, server) => {
+  let base = '';
+  test.before(
+    () =>
+      new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          base = `http://127.0.0.1:${server.address().port}/api/mediblood`;
+          resolve();
+        });
+      })
+  );
+  test.after(() => new Promise((resolve) => server.close(resolve)));
+  return () => base;
+};
+
+// `call(method, url, { cookie, body })` against a listening server. JSON bodies are parsed; `cookie` is the first
+// Set-Cookie pair, ready to send back.
+const client = (api) => async (method, url, { cookie = '', body } = {}) => {
+  const res = await fetch(`${api()}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: body && JSON.stringify(body)
+  });
+  const type = res.headers.get('content-type') || '';
+  const setCookie = res.headers.get('set-cookie');
+  return {
+    status: res.status,
+    type,
+    body: type.startsWith('application/json') ? await res.json() : Buffer.from(await res.arrayBuffer()),
+    cookie: setCookie ? setCookie.split(';')[0] : ''
+  };
+};
+
+// Staff account as stored in users.json, with a quick scrypt hash of `password`.
+const staffUser = (username, roles, password) => {
+  const salt = crypto.randomBytes(8).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return { username, name: username, roles, passwordHash: `scrypt$${salt}$${hash}`, createdAt: '2026-01-01' };
+};
+
+module.exports = { loadServer, item, request, listen, client, staffUser };
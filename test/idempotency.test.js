@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listen, loadServer } = require('./helpers');
+
+const { server: mediblood } = loadServer();
+const { orders, server } = mediblood;
+
+const api = listen(test, server);
+
+const bloodRequest = {
+  type: 'blood',
+  customer: { name: 'Ravi Kumar', phone: '9123456789', city: 'Pune' },
+  request: { bloodType: 'B+', units: 1, urgency: 'Routine', hospital: 'City Hospital', patientName: 'Meena Kumar' }
+};
+
+const place = async (key, order = bloodRequest) => {
+  const res = await fetch(`${api()}/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify({ order })
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test('a repeated Idempotency-Key returns the first order instead of placing another', async () => {
+  const first = await place('key-1');
+  assert.equal(first.status, 201);
+  const again = await place('key-1', { ...bloodRequest, request: { ...bloodRequest.request, units: 3 } });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.replayed, true);
+  assert.equal(again.body.orderId, first.body.orderId);
+  assert.equal(again.body.order.request.units, 1);
+  assert.equal(orders.filter((o) => o.idempotencyKey === 'key-1').length, 1);
+});
+
+test('different keys, or none, place separate orders', async () => {
+  const count = orders.length;
+  const a = await place('key-2');
+  const b = await place('key-3');
+  const c = await place('');
+  const d = await place('');
+  assert.deepEqual([a, b, c, d].map((r) => r.status), [201, 201, 201, 201]);
+  assert.equal(new Set([a, b, c, d].map((r) => r.body.orderId)).size, 4);
+  assert.equal(orders.length, count + 4);
+});
+
+test('an invalid order is not remembered under its key', async () => {
+  const bad = await place('key-4', { ...bloodRequest, request: { ...bloodRequest.request, bloodType: 'Q' } });
+  assert.equal(bad.status, 400);
+  assert.equal((await place('key-4')).status, 201);
+});
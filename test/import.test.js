@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, item } = require('./helpers');
+
+const { server } = loadServer();
+const { importOrders, orders } = server;
+
+const pharmacist = { username: 'ph', roles: ['pharmacist'] };
+const bloodbank = { username: 'bb', roles: ['bloodbank'] };
+
+const medicineOrder = (id, fields) => ({
+  id,
+  type: 'medicine',
+  status: 'Placed',
+  createdAt: '2026-01-05T10:00:00.000Z',
+  customer: { name: 'Asha Patil', phone: '9876543210', address: '12 MG Road', city: 'Pune', pincode: '411001' },
+  items: [item('MB-PARA-500', 2)],
+  ...fields
+});
+
+const importErrors = (input, user) => {
+  try {
+    importOrders(input, user);
+  } catch (err) {
+    assert.equal(err.status, 400);
+    return err.data ? err.data.errors : err.message;
+  }
+  assert.fail('the import was accepted');
+};
+
+test('an empty file is rejected', () => {
+  assert.equal(importErrors([], pharmacist), 'The file does not contain any orders.');
+  assert.equal(importErrors({ orders: 'nope' }, pharmacist), 'The file does not contain any orders.');
+});
+
+test('unknown SKUs, bad IDs and missing details reject the whole file', () => {
+  const errors = importErrors(
+    [
+      medicineOrder('MB-A1-B1'),
+      medicineOrder('MB-A1-B2', { items: [item('MB-MADE-UP', 1)] }),
+      medicineOrder('not an id'),
+      medicineOrder('MB-A1-B4', { customer: { name: 'No Address', phone: '9876543210' } }),
+      medicineOrder('MB-A1-B5', { status: 'Teleported' })
+    ],
+    pharmacist
+  );
+  assert.deepEqual(errors, {
+    'orders.1.items.0.sku': 'Unknown item MB-MADE-UP.',
+    'orders.2.id': 'Missing or malformed order ID.',
+    'orders.3.customer.address': 'Address is required.',
+    'orders.4.status': 'Unknown medicine status.'
+  });
+  assert.equal(orders.length, 0, 'nothing was imported');
+});
+
+test('roles can only import the order types they handle', () => {
+  const errors = importErrors([medicineOrder('MB-A2-B1')], bloodbank);
+  assert.deepEqual(errors, { 'orders.0.type': 'Your role cannot import medicine orders.' });
+});
+
+test('items are re-priced from the catalog', () => {
+  const line = { sku: 'MB-PARA-500', qty: 4, name: 'Anything', price: 0.01 };
+  const result = importOrders([medicineOrder('MB-A3-B1', { items: [line], subtotal: 0.04, total: 0.04 })], pharmacist);
+  assert.deepEqual(result, { imported: [{ id: 'MB-A3-B1', localId: undefined }], skipped: [] });
+  const order = orders.find((o) => o.id === 'MB-A3-B1');
+  assert.deepEqual(order.items, [{ sku: 'MB-PARA-500', name: 'Paracetamol Tablets 500mg (10)', price: 2.5, qty: 4 }]);
+  assert.equal(order.subtotal, 10);
+  assert.equal(order.total, 10);
+  assert.equal(order.history.at(-1).note, 'Imported by ph');
+});
+
+test('imported prescriptions keep their details but never a stored file', () => {
+  const prescription = {
+    fileName: 'rx.png',
+    mimeType: 'text/html',
+    size: 12345,
+    file: '../users.json',
+    prescriberName: 'Dr. Rao',
+    prescriberRegNo: 'MH-1234',
+    review: { decision: 'approved', at: '2026-01-05T11:00:00.000Z', reason: '', by: 'someone' }
+  };
+  const input = medicineOrder('MB-A4-B1', { items: [item('MB-AMOX-250', 1)], prescription });
+  importOrders([input], pharmacist);
+  const order = orders.find((o) => o.id === 'MB-A4-B1');
+  assert.equal(order.prescription.file, '');
+  assert.equal(order.prescription.mimeType, '');
+  assert.equal(order.prescription.size, 0);
+  assert.equal(order.prescription.prescriberName, 'Dr. Rao');
+  assert.deepEqual(order.prescription.review, { decision: 'approved', at: '2026-01-05T11:00:00.000Z', reason: '' });
+});
+
+test('orders already present are skipped and browser-local IDs get a server ID', () => {
+  const result = importOrders(
+    [medicineOrder('MB-A3-B1'), medicineOrder('MB-A5-LX1'), medicineOrder('MB-A5-LX1')],
+    pharmacist
+  );
+  assert.deepEqual(result.skipped, ['MB-A3-B1', 'MB-A5-LX1']);
+  assert.equal(result.imported.length, 1);
+  assert.equal(result.imported[0].localId, 'MB-A5-LX1');
+  assert.notEqual(result.imported[0].id, 'MB-A5-LX1');
+  assert.deepEqual(importOrders([medicineOrder('MB-A5-LX1')], pharmacist).skipped, ['MB-A5-LX1']);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { server } = loadServer({
+  'notifications.json': {
+    customerChannels: ['sms'],
+    channels: { sms: { adapter: 'scripted' } },
+    staffAlerts: [],
+    retry: { attempts: 3, delaySeconds: 0.01, maxDelaySeconds: 0.02 }
+  }
+});
+const { NOTIFY_ADAPTERS, orders, publishOrder } = server;
+
+// Each order ID gets a list of outcomes for its attempts: true is accepted, anything else is thrown.
+const outcomes = new Map();
+const sent = [];
+NOTIFY_ADAPTERS.scripted = () => async (message) => {
+  const outcome = (outcomes.get(message.orderId) || []).shift();
+  if (outcome !== true) throw outcome || new Error('Gateway unavailable.');
+  sent.push(message);
+};
+
+const placeOrder = (id, script) => {
+  outcomes.set(id, script);
+  const order = {
+    id,
+    type: 'medicine',
+    status: 'Placed',
+    createdAt: new Date().toISOString(),
+    customer: { name: 'Asha Patil', phone: '9876543210', address: '12 MG Road', city: 'Pune' },
+    items: [],
+    total: 96,
+    history: []
+  };
+  orders.push(order);
+  publishOrder(order, 'created');
+  return order;
+};
+
+const settled = async (order) => {
+  for (let i = 0; i < 100 && order.notifications[0].status === 'pending'; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return order.notifications[0];
+};
+
+test('a placed order queues a message that is retried until the gateway takes it', async () => {
+  const record = await settled(placeOrder('MB-N1-A', [new Error('Timeout.'), new Error('Busy.'), true]));
+  assert.equal(record.status, 'sent');
+  assert.equal(record.attempts, 3);
+  assert.equal(record.error, '');
+  const message = sent.find((m) => m.orderId === 'MB-N1-A');
+  assert.equal(message.to, '9876543210');
+  assert.equal(message.event, 'order-placed');
+  assert.match(message.text, /MB-N1-A/);
+});
+
+test('a message fails once its attempts are used up', async () => {
+  const record = await settled(placeOrder('MB-N1-B', []));
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 3);
+  assert.equal(record.error, 'Gateway unavailable.');
+});
+
+test('a permanent error is not retried', async () => {
+  const refused = Object.assign(new Error('Number is not reachable by SMS.'), { permanent: true });
+  const record = await settled(placeOrder('MB-N1-C', [refused]));
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 1);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+const donor = (id, phone) => ({ id, registeredAt: '2026-01-01T00:00:00.000Z', name: 'Asha', phone, bloodGroup: 'B+' });
+
+const { dir, server } = loadServer({
+  'customers.json': [{ phone: '9876543210', displayPhone: '98765 43210', name: 'Asha Patil', contacts: [] }],
+  'donors.json': [donor('DN-OWN', '+91 98765 43210'), donor('DN-OTHER', '9123456789')]
+});
+const { customers, decryptField, donors, encryptField, eraseCustomer, importOrders, mapPersonalFields } = server;
+
+const order = {
+  id: 'MB-P1-Q1',
+  type: 'medicine',
+  status: 'Cancelled',
+  createdAt: '2026-01-05T10:00:00.000Z',
+  customer: { name: 'Asha Patil', phone: '9876543210', address: '12 MG Road', city: 'Pune', pincode: '411001' },
+  note: 'Ring the bell twice',
+  items: [{ sku: 'MB-AMOX-250', qty: 1 }],
+  prescription: {
+    fileName: 'rx.png',
+    prescriberName: 'Dr. Meera Rao',
+    review: { decision: 'rejected', at: '2026-01-05T11:00:00.000Z', reason: 'Unreadable for Asha Patil' }
+  },
+  history: [{ status: 'Cancelled', at: '2026-01-05T12:00:00.000Z', note: 'Cancelled by customer: moving house' }]
+};
+
+test('encrypted fields round-trip and never repeat their ciphertext', () => {
+  const sealed = encryptField('Asha Patil');
+  assert.match(sealed, /^enc:v1:/);
+  assert.notEqual(encryptField('Asha Patil'), sealed);
+  assert.equal(decryptField(sealed), 'Asha Patil');
+  assert.equal(decryptField('written before encryption'), 'written before encryption');
+});
+
+test('a tampered value does not decrypt', () => {
+  const parts = encryptField('Asha Patil').split(':');
+  parts[4] = Buffer.from('Usha Patil').toString('base64');
+  assert.throws(() => decryptField(parts.join(':')));
+});
+
+test('personal fields, review reasons and history notes are encrypted together', () => {
+  const sealed = mapPersonalFields(order, encryptField);
+  assert.equal(sealed.customer.city, 'Pune');
+  assert.equal(sealed.prescription.fileName, 'rx.png');
+  for (const value of [
+    sealed.customer.name,
+    sealed.customer.phone,
+    sealed.customer.address,
+    sealed.note,
+    sealed.prescription.prescriberName,
+    sealed.prescription.review.reason,
+    sealed.history[0].note
+  ]) {
+    assert.match(value, /^enc:v1:/);
+  }
+  assert.deepEqual(mapPersonalFields(sealed, decryptField), order);
+  assert.equal(order.customer.name, 'Asha Patil', 'the original is left alone');
+});
+
+test('the order store holds no personal data in plain text', () => {
+  importOrders([order], { username: 'ph', roles: ['pharmacist'] });
+  const text = fs.readFileSync(path.join(dir, 'orders.json'), 'utf8');
+  for (const secret of ['Asha', '9876543210', 'MG Road', 'Ring the bell', 'Meera', 'Unreadable', 'moving house']) {
+    assert.ok(!text.includes(secret), `${secret} is stored in plain text`);
+  }
+});
+
+test('erasure anonymizes closed orders and removes the donor entry for the same number', () => {
+  const result = eraseCustomer(null, customers[0]);
+  assert.deepEqual(result, { anonymized: ['MB-P1-Q1'], pending: [], donors: ['DN-OWN'] });
+  assert.equal(customers.length, 0);
+  assert.deepEqual(donors.map((d) => d.id), ['DN-OTHER']);
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, 'donors.json'), 'utf8'));
+  assert.deepEqual(stored.map((d) => d.id), ['DN-OTHER']);
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, item } = require('./helpers');
+
+const { server } = loadServer();
+const { priceItems, priceOrder, findZone } = server;
+
+test('items are priced from the catalog, not from the client', () => {
+  const errors = {};
+  const items = priceItems([{ sku: 'MB-PARA-500', qty: 2, price: 0.01, name: 'Free pills' }], errors);
+  assert.deepEqual(errors, {});
+  assert.deepEqual(items, [{ sku: 'MB-PARA-500', name: 'Paracetamol Tablets 500mg (10)', price: 2.5, qty: 2 }]);
+});
+
+test('unknown, repeated and out-of-range lines are reported per line', () => {
+  const errors = {};
+  priceItems([item('NOPE', 1), item('MB-PARA-500', 1), item('MB-PARA-500', 1), item('MB-IBU-200', 100)], errors);
+  assert.equal(errors['items.0.sku'], 'Unknown item NOPE.');
+  assert.match(errors['items.2.sku'], /more than once/);
+  assert.match(errors['items.3.qty'], /between 1 and 99/);
+  assert.equal(errors['items.1.sku'], undefined);
+});
+
+test('an empty cart is rejected', () => {
+  const errors = {};
+  assert.deepEqual(priceItems([], errors), []);
+  assert.ok(errors.items);
+});
+
+test('zones match by pincode prefix before city', () => {
+  assert.equal(findZone({ city: 'Mumbai', pincode: '411001' }).id, 'PUNE');
+  assert.equal(findZone({ city: 'thane', pincode: '' }).id, 'MUMBAI');
+  assert.equal(findZone({ city: 'Delhi', pincode: '110001' }), null);
+});
+
+test('the delivery fee applies below the free-delivery threshold and tax is charged on the items', () => {
+  const zone = findZone({ city: 'Pune' });
+  const price = priceOrder(priceItems([item('MB-PARA-500', 20)], {}), zone);
+  assert.equal(price.subtotal, 50);
+  assert.equal(price.deliveryFee, 40);
+  assert.deepEqual(price.taxes.map((t) => t.amount), [3, 3]);
+  assert.equal(price.total, 96);
+});
+
+test('free delivery is judged on the subtotal before the discount', () => {
+  const zone = findZone({ city: 'Pune' });
+  const price = priceOrder(priceItems([item('MB-PARA-500', 99), item('MB-IBU-200', 99)], {}), zone, 44.5);
+  assert.equal(price.subtotal, 544.5);
+  assert.equal(price.deliveryFee, 0);
+  assert.deepEqual(price.taxes.map((t) => t.amount), [30, 30]);
+  assert.equal(price.total, 560);
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, request } = require('./helpers');
+
+const { server } = loadServer();
+const { createSession, readSession } = server;
+
+const signIn = (ttlMs) => {
+  const store = new Map();
+  const token = createSession(store, { username: 'asha' }, ttlMs);
+  return { store, session: store.get(token), req: request({ cookie: `other=1; mb_test=${token}` }) };
+};
+
+test('reading a session slides its expiry forward', async () => {
+  const { store, session, req } = signIn(60000);
+  const opened = session.expiresAt;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(readSession(req, store, 'mb_test'), session);
+  assert.ok(session.expiresAt > opened);
+});
+
+test('a non-sliding read leaves the expiry alone', async () => {
+  const { store, session, req } = signIn(60000);
+  const opened = session.expiresAt;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(readSession(req, store, 'mb_test', { slide: false }), session);
+  assert.equal(session.expiresAt, opened);
+});
+
+test('an expired session is dropped', () => {
+  const { store, session, req } = signIn(60000);
+  session.expiresAt = Date.now() - 1;
+  assert.equal(readSession(req, store, 'mb_test', { slide: false }), null);
+  assert.equal(store.size, 0);
+  assert.equal(readSession(request(), store, 'mb_test'), null);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { server } = loadServer();
+const { transitionOrder } = server;
+
+const medicineOrder = (status = 'Placed') => ({
+  id: 'MB-S1-A',
+  type: 'medicine',
+  status,
+  items: [{ sku: 'MB-PARA-500', name: 'Paracetamol Tablets 500mg (10)', price: 2.5, qty: 4 }],
+  history: []
+});
+
+const refusal = (order, status) => {
+  try {
+    transitionOrder(order, status, '');
+  } catch (err) {
+    return { status: err.status, allowed: err.data.allowed };
+  }
+  return null;
+};
+
+test('a medicine order moves through its flow and records each step', () => {
+  const order = medicineOrder();
+  for (const status of ['Confirmed', 'Packed', 'Out for delivery', 'Delivered']) {
+    transitionOrder(order, status, `to ${status}`);
+  }
+  assert.equal(order.status, 'Delivered');
+  assert.deepEqual(
+    order.history.map((h) => [h.status, h.note]),
+    [
+      ['Confirmed', 'to Confirmed'],
+      ['Packed', 'to Packed'],
+      ['Out for delivery', 'to Out for delivery'],
+      ['Delivered', 'to Delivered']
+    ]
+  );
+  assert.ok(order.updatedAt);
+});
+
+test('skipping a step or leaving a final status is refused with the allowed moves', () => {
+  assert.deepEqual(refusal(medicineOrder(), 'Delivered'), { status: 409, allowed: ['Confirmed', 'Cancelled'] });
+  assert.deepEqual(refusal(medicineOrder('Delivered'), 'Cancelled'), { status: 409, allowed: [] });
+  assert.deepEqual(refusal({ type: 'blood', status: 'Requested', history: [] }, 'Packed'), {
+    status: 409,
+    allowed: ['Matched', 'Rejected']
+  });
+});
+
+test('an open temperature excursion blocks delivery', () => {
+  const order = medicineOrder('Out for delivery');
+  order.coldChain = { excursions: [{ id: 'EX-1' }] };
+  assert.throws(() => transitionOrder(order, 'Delivered', ''), { status: 409 });
+  order.coldChain.excursions[0].resolution = { decision: 'deliver' };
+  assert.equal(transitionOrder(order, 'Delivered', '').status, 'Delivered');
+});
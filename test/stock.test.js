@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { server } = loadServer({ 'inventory.json': { 'MB-PARA-500': 10 } });
+const { inventory, reserveStock, transitionOrder } = server;
+
+const order = (lines) => ({
+  id: 'MB-K1-A',
+  type: 'medicine',
+  status: 'Placed',
+  items: lines.map(([sku, qty]) => ({ sku, name: sku, price: 1, qty })),
+  history: []
+});
+
+test('live counts come from the inventory file, falling back to the catalog', () => {
+  assert.equal(inventory['MB-PARA-500'], 10);
+  assert.equal(inventory['MB-ORS-200'], 200);
+});
+
+test('an order reserves all of its stock or none of it', () => {
+  assert.throws(
+    () => reserveStock(order([['MB-ORS-200', 5], ['MB-PARA-500', 11]])),
+    (err) => err.status === 409 && err.data.errors['items.1.qty'] === 'Only 10 left of MB-PARA-500 (MB-PARA-500).'
+  );
+  assert.equal(inventory['MB-ORS-200'], 200);
+  assert.equal(inventory['MB-PARA-500'], 10);
+});
+
+test('cancelling gives reserved stock back', () => {
+  const placed = order([['MB-PARA-500', 4]]);
+  reserveStock(placed);
+  assert.equal(inventory['MB-PARA-500'], 6);
+  transitionOrder(placed, 'Cancelled', 'Customer called');
+  assert.equal(inventory['MB-PARA-500'], 10);
+  assert.equal(placed.stockReserved, false);
+});